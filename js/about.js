@@ -0,0 +1,33 @@
+// Fills the Data Provenance section of about.html (helpers in js/provenance.js)
+async function loadProvenanceDetails() {
+  const container = document.getElementById('provenanceDetails');
+  if (!container) return;
+
+  try {
+    const SQL = await initSqlJs({
+      locateFile: file => `vendor/sql.js/${file}`
+    });
+    const response = await fetch('data/HighwayPlan_data.db');
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    const database = new SQL.Database(new Uint8Array(await response.arrayBuffer()));
+
+    // A layer that fails to load is reported as "not available"
+    const extractDates = {};
+    await Promise.all(EXTRACT_DATE_FILES.map(file =>
+      fetch(file)
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP error! status: ${res.status}`);
+          return res.json();
+        })
+        .then(data => { extractDates[file] = getGeoJSONExtractDate(data); })
+        .catch(() => { extractDates[file] = null; })
+    ));
+
+    container.innerHTML = renderProvenanceHTML(buildDataProvenance(database, extractDates));
+    database.close();
+  } catch (err) {
+    container.textContent = 'Data provenance could not be loaded: ' + err.message;
+  }
+}
+
+loadProvenanceDetails();
@@ -0,0 +1,214 @@
+// Project type crosswalk section of download.html
+// Lists TYPE_WORK values in the projects table that have no crosswalk entry (and so drop out of
+// every project type filter), saves new entries through POST /api/crosswalk and exports the crosswalk as CSV.
+
+// Columns of data/project_type_crosswalk.csv, in file order
+const CROSSWALK_CSV_COLUMNS = ['raw_project_type', 'dropdown_category', 'dropdown_display_name', 'count_current_plans', 'description'];
+
+let crosswalkDatabase = null;
+
+// Escapes text for use inside HTML
+function escapeHTML(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Raw project types are compared trimmed and upper-cased, the same way the dashboard matches map features
+function getUnmappedProjectTypes() {
+  const result = crosswalkDatabase.exec(`
+    SELECT TYPE_WORK, COUNT(DISTINCT SYP_NO) AS projects, COUNT(*) AS row_count
+    FROM projects
+    WHERE TRIM(COALESCE(TYPE_WORK, '')) != ''
+      AND UPPER(TRIM(TYPE_WORK)) NOT IN (SELECT UPPER(TRIM(raw_project_type)) FROM crosswalk)
+    GROUP BY TYPE_WORK
+    ORDER BY projects DESC, TYPE_WORK
+  `);
+  if (result.length === 0) return [];
+  return result[0].values.map(([rawType, projects, rowCount]) => ({ rawType, projects, rowCount }));
+}
+
+// Existing categories with the display name most entries use for each
+function getCrosswalkCategoryNames() {
+  const result = crosswalkDatabase.exec(`
+    SELECT dropdown_category, dropdown_display_name, COUNT(*) AS entries
+    FROM crosswalk
+    GROUP BY dropdown_category, dropdown_display_name
+    ORDER BY dropdown_category, entries DESC
+  `);
+  const names = {};
+  if (result.length > 0) {
+    result[0].values.forEach(([category, displayName]) => {
+      if (!(category in names)) names[category] = displayName;
+    });
+  }
+  return names;
+}
+
+function renderUnmappedProjectTypes() {
+  const container = document.getElementById('crosswalkUnmapped');
+  const unmapped = getUnmappedProjectTypes();
+  const categoryNames = getCrosswalkCategoryNames();
+
+  document.getElementById('crosswalkSummary').textContent = unmapped.length === 0
+    ? 'Every TYPE_WORK value in the projects table has a crosswalk entry.'
+    : `${unmapped.length} TYPE_WORK values (${unmapped.reduce((sum, item) => sum + item.projects, 0)} projects) ` +
+      'have no crosswalk entry and are left out of every project type filter.';
+
+  if (unmapped.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const categoryOptions = Object.keys(categoryNames).map(category => `<option value="${escapeHTML(category)}">`).join('');
+  const displayOptions = [...new Set(Object.values(categoryNames))].map(name => `<option value="${escapeHTML(name)}">`).join('');
+
+  container.innerHTML = `
+    <datalist id="crosswalkCategoryList">${categoryOptions}</datalist>
+    <datalist id="crosswalkDisplayNameList">${displayOptions}</datalist>
+    <table class="crosswalk-table">
+      <thead>
+        <tr><th>Raw TYPE_WORK</th><th>Projects</th><th>Rows</th><th>Category</th><th>Display name</th><th>Description</th></tr>
+      </thead>
+      <tbody>
+        ${unmapped.map(item => `
+          <tr data-raw-type="${escapeHTML(item.rawType)}">
+            <td><code>${escapeHTML(item.rawType)}</code></td>
+            <td class="number">${item.projects}</td>
+            <td class="number">${item.rowCount}</td>
+            <td><input type="text" class="crosswalk-category" list="crosswalkCategoryList" placeholder="Choose or type a category"></td>
+            <td><input type="text" class="crosswalk-display-name" list="crosswalkDisplayNameList" placeholder="Filter menu name"></td>
+            <td><input type="text" class="crosswalk-description" placeholder="Optional"></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+
+  // Choosing an existing category fills in the display name it already uses
+  container.querySelectorAll('tbody tr').forEach(row => {
+    const categoryInput = row.querySelector('.crosswalk-category');
+    const displayInput = row.querySelector('.crosswalk-display-name');
+    categoryInput.addEventListener('change', () => {
+      const category = categoryInput.value.trim();
+      if (category in categoryNames && !displayInput.value.trim()) {
+        displayInput.value = categoryNames[category];
+      }
+    });
+  });
+}
+
+// Rows with a category filled in; the display name defaults to the category
+function getPendingMappings() {
+  return Array.from(document.querySelectorAll('#crosswalkUnmapped tbody tr'))
+    .map(row => ({
+      raw_project_type: row.dataset.rawType,
+      dropdown_category: row.querySelector('.crosswalk-category').value.trim(),
+      dropdown_display_name: row.querySelector('.crosswalk-display-name').value.trim() ||
+        row.querySelector('.crosswalk-category').value.trim(),
+      description: row.querySelector('.crosswalk-description').value.trim()
+    }))
+    .filter(mapping => mapping.dropdown_category);
+}
+
+// Applies saved entries to the copy of the database on this page (mirrors saveCrosswalkMappings in server.js)
+function applyMappingsLocally(mappings) {
+  const stmt = crosswalkDatabase.prepare(`
+    INSERT INTO crosswalk (raw_project_type, dropdown_category, dropdown_display_name, count_current_plans, description)
+    VALUES (?, ?, ?, (SELECT COUNT(DISTINCT SYP_NO) FROM projects WHERE TYPE_WORK = ?), ?)
+    ON CONFLICT(raw_project_type) DO UPDATE SET
+      dropdown_category = excluded.dropdown_category,
+      dropdown_display_name = excluded.dropdown_display_name,
+      description = COALESCE(NULLIF(excluded.description, ''), crosswalk.description)
+  `);
+  mappings.forEach(mapping => {
+    stmt.run([mapping.raw_project_type, mapping.dropdown_category, mapping.dropdown_display_name,
+      mapping.raw_project_type, mapping.description]);
+  });
+  stmt.free();
+}
+
+function saveCrosswalk() {
+  const status = document.getElementById('crosswalkStatus');
+  const mappings = getPendingMappings();
+  if (mappings.length === 0) {
+    status.textContent = 'Enter a category for at least one project type first.';
+    return;
+  }
+
+  status.textContent = `Saving ${mappings.length} crosswalk entries...`;
+  fetch('/api/crosswalk', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ mappings: mappings })
+  })
+    .then(response => response.json())
+    .then(data => {
+      if (!data.success) throw new Error(data.error || 'Unknown error');
+      applyMappingsLocally(mappings);
+      renderUnmappedProjectTypes();
+      status.textContent = `Saved ${data.saved} crosswalk entries. Reload the dashboard to use them in the project type filter.`;
+    })
+    .catch(err => {
+      status.textContent = 'Save failed: ' + err.message +
+        ' (saving needs the local server - run "npm start"). Export CSV still includes your entries.';
+    });
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Exports the crosswalk table plus any entries typed in but not saved yet
+function exportCrosswalkCSV() {
+  const pending = getPendingMappings();
+  const pendingTypes = new Set(pending.map(mapping => mapping.raw_project_type));
+  const counts = {};
+  getUnmappedProjectTypes().forEach(item => { counts[item.rawType] = item.projects; });
+
+  const result = crosswalkDatabase.exec(`
+    SELECT ${CROSSWALK_CSV_COLUMNS.join(', ')}
+    FROM crosswalk
+    ORDER BY count_current_plans DESC, raw_project_type
+  `);
+  const rows = (result.length ? result[0].values : []).filter(row => !pendingTypes.has(row[0]));
+  pending.forEach(mapping => {
+    rows.push([mapping.raw_project_type, mapping.dropdown_category, mapping.dropdown_display_name,
+      counts[mapping.raw_project_type] || 0, mapping.description]);
+  });
+
+  const csv = [CROSSWALK_CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n');
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+  link.download = 'project_type_crosswalk.csv';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  document.getElementById('crosswalkStatus').textContent = `Exported ${rows.length} crosswalk entries` +
+    (pending.length ? ` (${pending.length} not saved to the database yet).` : '.');
+}
+
+async function loadCrosswalkAdmin() {
+  const summary = document.getElementById('crosswalkSummary');
+  try {
+    const SQL = await initSqlJs({
+      locateFile: file => `vendor/sql.js/${file}`
+    });
+    // Skip the HTTP cache so a save is reflected after a reload
+    const response = await fetch('data/HighwayPlan_data.db', { cache: 'no-store' });
+    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    crosswalkDatabase = new SQL.Database(new Uint8Array(await response.arrayBuffer()));
+
+    renderUnmappedProjectTypes();
+    document.getElementById('saveCrosswalkBtn').disabled = false;
+    document.getElementById('exportCrosswalkBtn').disabled = false;
+  } catch (err) {
+    summary.textContent = 'The crosswalk could not be loaded: ' + err.message;
+  }
+}
+
+document.getElementById('saveCrosswalkBtn').onclick = saveCrosswalk;
+document.getElementById('exportCrosswalkBtn').onclick = exportCrosswalkCSV;
+
+loadCrosswalkAdmin();
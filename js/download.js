@@ -20,14 +20,20 @@ document.getElementById('downloadBtn').onclick = function() {
     fetch(file.url)
       .then(response => {
         if (!response.ok) throw new Error('Network response was not ok');
-        // For the raw endpoint, use .text(), otherwise .json()
-        if (file.url.endsWith('/1')) {
+        // The enact plan CSV is saved as is, the map layers are parsed and checked
+        if (file.filename.endsWith('.csv')) {
           return response.text();
         } else {
           return response.json();
         }
       })
       .then(data => {
+        if (typeof data !== 'string') {
+          // A layer without features would leave the dashboard map empty - don't save it
+          if (data.type !== 'FeatureCollection' || !Array.isArray(data.features) || data.features.length === 0) {
+            throw new Error(`${file.filename} has no features` + (data.error ? ` (${data.error.message})` : ''));
+          }
+        }
         let blob;
         if (typeof data === 'string') {
           blob = new Blob([data], {type: "application/json"});
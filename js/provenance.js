@@ -0,0 +1,173 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Data Provenance
+   =====================================================
+
+   Shared by index.html (freshness banner in the header) and
+   about.html (Data Provenance section).
+
+   Reports where the data comes from and how current it is:
+   - last refresh time and row count from the metadata table
+   - EXTRACT_DATE carried by the plan GeoJSON layers
+   - a warning when the two are too far apart
+   ===================================================== */
+
+// Days the GeoJSON extract date and the database refresh may differ before a warning is shown.
+// A `freshness_warning_days` row in the metadata table overrides this for a given database.
+const DEFAULT_FRESHNESS_WARNING_DAYS = 14;
+
+// Where each data file comes from (the same endpoints download.js pulls)
+const DATA_SOURCES = [
+    {
+        name: 'Awarded projects layer',
+        file: 'data/Awarded_Highway_Plans.geojson',
+        url: 'https://maps.kytc.ky.gov/arcgis/rest/services/Apps/ActiveHighwayPlan_Ext_Prd/MapServer/0'
+    },
+    {
+        name: 'Current projects layer',
+        file: 'data/Current_Highway_Plans.geojson',
+        url: 'https://maps.kytc.ky.gov/arcgis/rest/services/Apps/ActiveHighwayPlan_Ext_Prd/MapServer/1'
+    },
+    {
+        name: 'Enact plan data set (projects table)',
+        file: 'data/Current_Enact_Plan_Data_Set.csv',
+        url: 'https://storage.googleapis.com/kytc-trak/data_hub_csv/eda_current_enact_plan_data_set.csv'
+    }
+];
+
+// Plan GeoJSON files that carry an EXTRACT_DATE on every feature
+const EXTRACT_DATE_FILES = DATA_SOURCES.filter(source => source.file.endsWith('.geojson')).map(source => source.file);
+
+/**
+ * Reads the metadata key/value table
+ * @param {Object} database - SQL.js database
+ * @returns {Object} Values keyed by metadata key
+ */
+function readMetadata(database) {
+    const metadata = {};
+    try {
+        const stmt = database.prepare('SELECT key, value FROM metadata');
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            metadata[row.key] = row.value;
+        }
+        stmt.free();
+    } catch (error) {
+        console.error('Error reading metadata table:', error);
+    }
+    return metadata;
+}
+
+/**
+ * Gets the extract date of a plan GeoJSON layer (the latest EXTRACT_DATE of its features)
+ * @param {Object} geojson - FeatureCollection
+ * @returns {Date|null} Extract date
+ */
+function getGeoJSONExtractDate(geojson) {
+    let latest = null;
+    (geojson.features || []).forEach(feature => {
+        const value = (feature.properties || {})['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.EXTRACT_DATE'];
+        if (value && (latest === null || value > latest)) {
+            latest = value;
+        }
+    });
+    return latest === null ? null : new Date(latest);
+}
+
+/**
+ * Collects the provenance of the loaded data
+ * @param {Object} database - SQL.js database (may be null while loading)
+ * @param {Object} extractDates - Extract date (or null) keyed by GeoJSON file
+ * @returns {Object} { lastUpdate, totalProjects, distinctProjects, extractDates, sources, warningDays, daysApart, warning }
+ */
+function buildDataProvenance(database, extractDates) {
+    const provenance = {
+        lastUpdate: null,
+        totalProjects: null,
+        distinctProjects: null,
+        extractDates: extractDates || {},
+        sources: DATA_SOURCES,
+        warningDays: DEFAULT_FRESHNESS_WARNING_DAYS,
+        daysApart: null,
+        warning: false
+    };
+
+    if (database) {
+        const metadata = readMetadata(database);
+        provenance.lastUpdate = metadata.last_update ? new Date(metadata.last_update) : null;
+        provenance.totalProjects = metadata.total_projects ? Number(metadata.total_projects) : null;
+        if (metadata.freshness_warning_days && !isNaN(Number(metadata.freshness_warning_days))) {
+            provenance.warningDays = Number(metadata.freshness_warning_days);
+        }
+
+        try {
+            const result = database.exec('SELECT COUNT(*), COUNT(DISTINCT SYP_NO) FROM projects');
+            provenance.totalProjects = provenance.totalProjects || result[0].values[0][0];
+            provenance.distinctProjects = result[0].values[0][1];
+        } catch (error) {
+            console.error('Error counting projects:', error);
+        }
+    }
+
+    // Compare the refresh with the most out-of-step GeoJSON extract
+    const dates = Object.values(provenance.extractDates).filter(Boolean);
+    if (provenance.lastUpdate && dates.length) {
+        const dayMs = 24 * 60 * 60 * 1000;
+        provenance.daysApart = Math.max(...dates.map(date =>
+            Math.round(Math.abs(date.getTime() - provenance.lastUpdate.getTime()) / dayMs)));
+        provenance.warning = provenance.daysApart > provenance.warningDays;
+    }
+
+    return provenance;
+}
+
+/**
+ * Formats a provenance date for display
+ * @param {Date|null} date - Date to format
+ * @returns {string} Date such as "Jul 28, 2025", or "unknown"
+ */
+function formatProvenanceDate(date) {
+    if (!date || isNaN(date)) return 'unknown';
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Builds the warning shown when the GeoJSON extracts and the database refresh disagree
+ * @param {Object} provenance - From buildDataProvenance()
+ * @returns {string} Warning text, or '' when the data is in step
+ */
+function describeFreshnessWarning(provenance) {
+    if (!provenance.warning) return '';
+    return `The map layers and the projects table were refreshed ${provenance.daysApart} days apart ` +
+        `(more than ${provenance.warningDays}), so they may not describe the same plan.`;
+}
+
+/**
+ * Builds the detailed provenance listing: dates, row counts and source URLs
+ * @param {Object} provenance - From buildDataProvenance()
+ * @returns {string} HTML
+ */
+function renderProvenanceHTML(provenance) {
+    const sourceRows = provenance.sources.map(source => {
+        let detail = '';
+        if (source.file in provenance.extractDates) {
+            detail = provenance.extractDates[source.file]
+                ? `extracted ${formatProvenanceDate(provenance.extractDates[source.file])}`
+                : 'not available';
+        } else if (source.file.endsWith('.csv')) {
+            detail = `loaded ${formatProvenanceDate(provenance.lastUpdate)}`;
+        }
+        return `<li><strong>${source.name}</strong> (${detail})<br><a href="${source.url}" target="_blank" rel="noopener">${source.url}</a></li>`;
+    }).join('');
+
+    const warning = describeFreshnessWarning(provenance);
+
+    return `
+        ${warning ? `<p class="provenance-warning">⚠ ${warning}</p>` : ''}
+        <ul class="provenance-facts">
+            <li><strong>Projects table refreshed:</strong> ${provenance.lastUpdate ? provenance.lastUpdate.toLocaleString('en-US') : 'unknown'}</li>
+            <li><strong>Rows:</strong> ${provenance.totalProjects !== null ? provenance.totalProjects.toLocaleString() : 'unknown'}${provenance.distinctProjects !== null ? ` (${provenance.distinctProjects.toLocaleString()} projects)` : ''}</li>
+            <li><strong>Warning threshold:</strong> ${provenance.warningDays} days between extract and refresh</li>
+        </ul>
+        <ul class="provenance-sources">${sourceRows}</ul>
+    `;
+}
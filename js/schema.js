@@ -0,0 +1,74 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Database Schema
+   =====================================================
+
+   Shared by server.js (rebuilds the indexes and views after every
+   projects table refresh) and index.html (re-creates the views in the
+   in-memory copy of data/HighwayPlan_data.db).
+
+   Keeping the definitions here means a view change is a reviewable
+   source change rather than an edit to the binary database.
+   ===================================================== */
+
+// Indexes rebuilt after every projects table refresh
+const PROJECT_INDEXES = {
+    idx_projects_district: 'CREATE INDEX idx_projects_district ON projects(district)',
+    idx_projects_county: 'CREATE INDEX idx_projects_county ON projects(county)',
+    idx_projects_type_work: 'CREATE INDEX idx_projects_type_work ON projects(type_work)',
+    idx_projects_enact_year: 'CREATE INDEX idx_projects_enact_year ON projects(enact_year)',
+    idx_projects_awarded: 'CREATE INDEX idx_projects_awarded ON projects(awarded)'
+};
+
+// Views used by js/script.js for the charts and the data table.
+// The committed database may predate a change here, so the dashboard
+// re-creates them after loading it (see applyProjectViews)
+const PROJECT_VIEWS = {
+    Basic_Project_Info: `SELECT DISTRICT, COUNTY, SYP_NO, ROUTE, TYPE_WORK, BMP, EMP,
+            DESCRIPTION, BRIDGE_ID, RSY_YEAR, AWARDED,
+            ENACT_PHASE, FUND_CODE, CAST(RSY_FUND AS REAL) AS RSY_FUND
+        FROM projects`,
+    Projects_by_Year: `SELECT COUNTY, SYP_NO, RSY_YEAR
+        FROM projects`,
+    ProjectsAwarded: `SELECT
+            COUNT(CASE WHEN AWARDED = 'Awarded' THEN 1 END) AS Awarded,
+            COUNT(CASE WHEN AWARDED IS NULL OR AWARDED = '' THEN 1 END) AS Current
+        FROM Basic_Project_Info`,
+    ProjectCount_Year: `SELECT RSY_YEAR AS YEAR, COUNT(*) AS record_count
+        FROM projects
+        GROUP BY RSY_YEAR
+        ORDER BY RSY_YEAR`,
+    ProjectsAwarded_ByCounty: `SELECT county,
+            COUNT(CASE WHEN AWARDED = 'Awarded' THEN 1 END) AS Awarded,
+            COUNT(CASE WHEN AWARDED IS NULL OR AWARDED != 'Awarded' THEN 1 END) AS Current
+        FROM Basic_Project_Info
+        GROUP BY county
+        ORDER BY county`,
+    ProjectsAwarded_ByDistrict: `SELECT district,
+            COUNT(CASE WHEN AWARDED = 'Awarded' THEN 1 END) AS Awarded,
+            COUNT(CASE WHEN AWARDED IS NULL OR AWARDED != 'Awarded' THEN 1 END) AS Current
+        FROM Basic_Project_Info
+        GROUP BY district
+        ORDER BY district`,
+    ProjectYears_ByDistrict: `SELECT district, RSY_YEAR, COUNT(*) AS total_projects
+        FROM Basic_Project_Info
+        GROUP BY district, RSY_YEAR
+        ORDER BY district, RSY_YEAR`,
+    ProjectYears_ByCounty: `SELECT county, RSY_YEAR, COUNT(*) AS total_projects
+        FROM Basic_Project_Info
+        GROUP BY county, RSY_YEAR
+        ORDER BY county, RSY_YEAR`
+};
+
+/**
+ * Drops and re-creates every view in PROJECT_VIEWS
+ * Views are created in declaration order, so a view may select from one declared above it
+ * @param {Object} database - SQL.js database
+ */
+function applyProjectViews(database) {
+    Object.keys(PROJECT_VIEWS).forEach(view => database.exec(`DROP VIEW IF EXISTS ${view}`));
+    Object.entries(PROJECT_VIEWS).forEach(([view, sql]) => database.exec(`CREATE VIEW ${view} AS ${sql}`));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PROJECT_INDEXES, PROJECT_VIEWS, applyProjectViews };
+}
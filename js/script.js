@@ -8,7 +8,7 @@
    1. Basemap definitions and map initialization
    2. Chart creation and management (Chart.js)
    3. Database operations (SQLite with SQL.js)
-   4. Interactive filtering (district and county)
+   4. Interactive filtering (combined district, county and project type filters)
    5. GeoJSON layer management
    6. User interface controls
 
@@ -61,6 +61,45 @@ let currentBasemap = 'OpenStreetMap';
 // Chart.js chart instances (global references for updates/destruction)
 let projectsPieChart = null;      // Pie chart showing awarded vs current projects
 let projectYearsChart = null;     // Horizontal bar chart showing project distribution by year
+let fundingCharts = {             // Bar charts in the funding panel, keyed by breakdown
+    year: null,
+    fundCode: null,
+    phase: null
+};
+
+let phaseYearsChart = null;       // Stacked bar chart showing projects in each phase per fiscal year
+let phaseTimelineChart = null;    // Gantt-style phase timeline for a selected project
+let fundingSummary = null;        // Last totals drawn in the funding panel (also used by the printed report)
+
+// ENACT_PHASE / SYP_RPT_*{P,D,R,U,C} phase codes and their labels
+const PHASE_LABELS = {
+    P: 'Planning',
+    D: 'Design',
+    R: 'Right of Way',
+    U: 'Utilities',
+    C: 'Construction'
+};
+
+// Phase colors shared by the phase years chart and the timeline
+const PHASE_COLORS = {
+    P: '#A9BDAE',
+    D: '#7E9C88',
+    R: '#C9A66B',
+    U: '#71716C',
+    C: '#2F5441'
+};
+
+// SYP_RPT_STAGE* values and their display labels
+const PHASE_STAGE_LABELS = {
+    ESTIMATED: 'Estimated',
+    SENTTOFHWA: 'Sent to FHWA',
+    AUTHORIZED: 'Authorized',
+    AWARDED: 'Awarded',
+    UNK: 'Unknown'
+};
+
+// Which breakdown the Project Years panel shows ('years' or 'phases')
+let projectYearsView = 'years';
 
 // Project count tracking object
 let projectCounts = {
@@ -71,59 +110,312 @@ let projectCounts = {
 /* =====================================================
    3. FILTER VARIABLES AND LAYER STORAGE
    ===================================================== */
-// Active filter tracking
-let currentDistrictFilter = null;  // Currently selected district filter
-let currentCountyFilter = null;    // Currently selected county filter
-let currentProjectTypeFilter = null;  // Currently selected project type filter
+// Active filter state - every dimension is combined (intersected) by the filter engine
+const filterState = {
+    district: null,     // Currently selected district filter (district number)
+    county: null,       // Currently selected county filter (county name)
+    projectType: null,  // Currently selected project type filter (crosswalk dropdown_category)
+    text: null          // Keyword search across DESCRIPTION, ROUTE and COUNTY (section 20)
+};
 
 // Project layer storage for filtering
 let currentProjectsLayer = null;   // Store current projects layer for filtering
 let awardedProjectsLayer = null;   // Store awarded projects layer for filtering
 
+// When true, features that fail the filters are removed from the map instead of dimmed
+let hideFilteredFeatures = false;
+
+// Feature layers taken off the map, either by the filters or because a spot project is
+// shown as a point at this zoom (project layer -> Set of feature layers)
+const hiddenFeatureLayers = new Map();
+
 // Layer storage for zoom functionality
 let districtLayers = {};  // Store district boundary layers for zooming to specific districts
 let countyLayers = {};    // Store county boundary layers for zooming to specific counties
 
 /* =====================================================
-   UI TITLE UPDATE FUNCTIONS
+   FILTER ENGINE
    ===================================================== */
 
 /**
- * Updates the Projects panel and table titles based on active filters
- * This provides clear visual feedback about what data is currently being displayed
+ * Filter dimension definitions
+ * Each dimension knows how to turn its filter value into a SQL condition against
+ * Basic_Project_Info and how to test a map feature. New dimensions only need an
+ * entry here and a matching key in filterState. `sql` is a string, or a function
+ * of the filter value when the condition's shape depends on it.
  */
-function updatePanelTitles() {
-    const projectsPanelTitle = document.getElementById('projectsPanelTitle');
-    const tableDataTitle = document.getElementById('tableDataTitle');
+const filterDimensions = {
+    district: {
+        sql: 'DISTRICT = ?',
+        params: value => [formatDistrictName(value)],
+        matchesFeature: (feature, value) =>
+            parseInt(getPlanProperty(feature.properties, 'SYP_PRO_DISTNO')) === parseInt(value),
+        describe: value => ` in District ${value}`
+    },
+    county: {
+        sql: 'COUNTY = ? COLLATE NOCASE',
+        params: value => [value],
+        matchesFeature: (feature, value) =>
+            String(getPlanProperty(feature.properties, 'COUNTYNAME') || '').toUpperCase() === value.toUpperCase(),
+        describe: value => ` in ${value} County`
+    },
+    projectType: {
+        sql: 'TYPE_WORK IN (SELECT raw_project_type FROM crosswalk WHERE dropdown_category = ?)',
+        params: value => [value],
+        matchesFeature: (feature, value) => checkProjectTypeMatch(feature, value),
+        describe: value => ` (${getProjectTypeDisplayName(value)})`
+    },
+    text: {
+        sql: value => buildTextSearchCondition(value).sql,
+        params: value => buildTextSearchCondition(value).params,
+        matchesFeature: (feature, value) => featureMatchesTextSearch(feature, value),
+        describe: value => ` matching "${value}"`
+    }
+};
+
+/**
+ * Formats a district number the way the projects table stores it
+ * @param {string|number} districtNumber - District number (1-12)
+ * @returns {string} District name, e.g. "District 05"
+ */
+function formatDistrictName(districtNumber) {
+    return `District ${districtNumber.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Reads a TED_CHIPS_ACTIVEPLAN property from a highway plan GeoJSON feature
+ * @param {Object} props - Feature properties
+ * @param {string} field - Field name without the table prefix, e.g. "COUNTYNAME"
+ * @returns {*} The property value (undefined if missing)
+ */
+function getPlanProperty(props, field) {
+    return props[`KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.${field}`];
+}
+
+/**
+ * Returns the keys of the filter dimensions that currently have a value
+ * @returns {Array<string>} Active dimension keys, in filterDimensions order
+ */
+function getActiveFilterKeys() {
+    return Object.keys(filterDimensions).filter(key =>
+        filterState[key] !== null && filterState[key] !== undefined && filterState[key] !== ''
+    );
+}
+
+/**
+ * Compiles the active filters into a single parameterized WHERE clause
+ * @returns {Object} { where: 'WHERE ...' or '', params: [...] }
+ * @example buildFilterWhereClause() // { where: "WHERE DISTRICT = ? AND COUNTY = ? COLLATE NOCASE", params: ["District 07", "Fayette"] }
+ */
+function buildFilterWhereClause() {
+    const conditions = [];
+    const params = [];
+
+    getActiveFilterKeys().forEach(key => {
+        const dimension = filterDimensions[key];
+        conditions.push(typeof dimension.sql === 'function' ? dimension.sql(filterState[key]) : dimension.sql);
+        params.push(...dimension.params(filterState[key]));
+    });
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params: params
+    };
+}
+
+/**
+ * Tests a highway plan feature against every active filter
+ * @param {Object} feature - GeoJSON feature (annotated with projectCategory, see annotateProjectCategory())
+ * @returns {boolean} True when the feature matches all active filters
+ */
+function featureMatchesFilters(feature) {
+    return getActiveFilterKeys().every(key =>
+        filterDimensions[key].matchesFeature(feature, filterState[key])
+    );
+}
+
+/**
+ * Builds the human-readable suffix for the active filters
+ * @returns {string} e.g. " in District 7 in Fayette County (Bridge Projects)"
+ */
+function describeActiveFilters() {
+    return getActiveFilterKeys()
+        .map(key => filterDimensions[key].describe(filterState[key]))
+        .join('');
+}
+
+/**
+ * Builds the title suffix shared by the panels and the printed report
+ * @returns {string} Active filters plus the area the charts and table are limited to
+ */
+function getPanelTitleSuffix() {
+    return describeActiveFilters() +
+        (spatialSelection ? ' in Selected Area' : extentFilterEnabled ? ' in Map View' : '');
+}
+
+/**
+ * Calls a function for every feature layer of a project layer, including the
+ * ones currently removed from the map (hidden by the filters or shown as spot points)
+ * @param {L.GeoJSON} projectLayer - Awarded or current projects layer
+ * @param {Function} callback - Called with each feature layer
+ */
+function eachProjectFeatureLayer(projectLayer, callback) {
+    if (!projectLayer) return;
+
+    const hidden = hiddenFeatureLayers.get(projectLayer) || new Set();
+    [...projectLayer.getLayers(), ...hidden].forEach(callback);
+}
 
-    // Build title suffix for Projects panel (only district and county filters)
-    let projectsTitleSuffix = '';
-    if (currentDistrictFilter) {
-        projectsTitleSuffix += ` in District ${currentDistrictFilter}`;
+/**
+ * Removes a feature from the map or puts it back
+ * Removed features can't be clicked, so neither popups nor the KYTC API
+ * selection mode can pick them
+ * @param {L.GeoJSON} projectLayer - Project layer the feature belongs to
+ * @param {L.Path} layer - Project feature layer
+ * @param {boolean} visible - Whether the feature should be on the map
+ */
+function setFeatureLayerVisible(projectLayer, layer, visible) {
+    if (!hiddenFeatureLayers.has(projectLayer)) {
+        hiddenFeatureLayers.set(projectLayer, new Set());
     }
-    if (currentCountyFilter) {
-        projectsTitleSuffix += ` in ${currentCountyFilter} County`;
+    const hidden = hiddenFeatureLayers.get(projectLayer);
+
+    if (visible && hidden.has(layer)) {
+        hidden.delete(layer);
+        projectLayer.addLayer(layer);
+        // The symbology may have changed while the feature was off the map
+        projectLayer.resetStyle(layer);
+    } else if (!visible && !hidden.has(layer)) {
+        hidden.add(layer);
+        projectLayer.removeLayer(layer);
     }
+}
+
+/**
+ * Styles the awarded and current project layers so only features matching
+ * every active filter are highlighted. In hide mode the other features are
+ * removed from the map; otherwise they are dimmed. Spot projects are shown
+ * as points instead of lines below SPOT_PROJECT_EXPAND_ZOOM.
+ */
+function applyFiltersToMap() {
+    const markersToShow = [];
+    const markersToHide = [];
+
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        if (!projectLayer) return;
+
+        let matchCount = 0;
+        let totalCount = 0;
+
+        // Points of a layer switched off in the layer manager stay off too
+        const layerOnMap = window.mainMap.hasLayer(projectLayer);
+        const markerOpacity = getLayerOpacity(projectLayer === awardedProjectsLayer ? 'awarded' : 'current');
+
+        eachProjectFeatureLayer(projectLayer, function(layer) {
+            if (!layer.feature || !layer.feature.properties) return;
+            totalCount++;
+
+            const matches = featureMatchesFilters(layer.feature);
+            const shown = matches || !hideFilteredFeatures;
+            const collapsed = isCollapsedSpotProject(layer);
+
+            setFeatureLayerVisible(projectLayer, layer, shown && !collapsed);
+            styleFeatureForFilters(layer, matches);
+
+            const marker = spotProjectMarkers.get(layer);
+            if (marker) {
+                marker.setOpacity((matches ? 1 : 0.35) * markerOpacity);
+                (layerOnMap && shown && collapsed ? markersToShow : markersToHide).push(marker);
+            }
+
+            if (matches) {
+                matchCount++;
+            }
+        });
+
+        console.log(`Map filter: ${matchCount} matches out of ${totalCount} features` +
+            (hideFilteredFeatures ? ` (${totalCount - matchCount} hidden)` : ''));
+    });
+
+    updateSpotProjectClusters(markersToShow, markersToHide);
+
+    // Lines put back on a shared canvas are drawn last, so restore awarded-over-current
+    orderProjectLayers();
+
+    // Keep the selected project highlighted on top of the filter styling
+    reapplyProjectHighlight();
+}
+
+/**
+ * Switches between hiding and dimming the features that fail the filters
+ * @param {boolean} enabled - True to remove non-matching features from the map
+ */
+function setHideFilteredFeatures(enabled) {
+    console.log('Hide non-matching projects:', enabled ? 'on' : 'off');
 
-    // Build title suffix for data table (all filters including project type)
-    let tableTitleSuffix = '';
-    if (currentDistrictFilter) {
-        tableTitleSuffix += ` in District ${currentDistrictFilter}`;
+    hideFilteredFeatures = enabled;
+
+    // Update the button active state
+    const btn = document.querySelector('.hide-filtered-btn');
+    if (btn) {
+        btn.classList.toggle('active', enabled);
+        btn.title = enabled ? 'Hiding Non-Matching Projects (click to dim them instead)' : 'Hide Non-Matching Projects';
     }
-    if (currentCountyFilter) {
-        tableTitleSuffix += ` in ${currentCountyFilter} County`;
+
+    applyFiltersToMap();
+    updateUrlState();
+}
+
+/**
+ * Sets the filter styling (full or dimmed opacity) on one project feature layer
+ * @param {L.Path} layer - Project feature layer
+ * @param {boolean} [matches] - Result of featureMatchesFilters(), computed when omitted
+ * @returns {boolean} True when the feature matches the active filters
+ */
+function styleFeatureForFilters(layer, matches) {
+    if (matches === undefined) {
+        matches = featureMatchesFilters(layer.feature);
     }
-    if (currentProjectTypeFilter) {
-        // Get the display name for the project type from the database
-        const displayName = getProjectTypeDisplayName(currentProjectTypeFilter);
-        tableTitleSuffix += ` (${displayName})`;
+
+    // Scaled by the layer's opacity slider in the layer manager (section 19)
+    const layerOpacity = getLayerOpacity(layer.feature.projectAwarded ? 'awarded' : 'current');
+
+    if (matches) {
+        layer.setStyle({
+            fillOpacity: 0.7 * layerOpacity,
+            opacity: 0.8 * layerOpacity
+        });
+    } else {
+        layer.setStyle({
+            fillOpacity: 0.1 * layerOpacity,
+            opacity: 0.3 * layerOpacity
+        });
     }
 
+    return matches;
+}
+
+/* =====================================================
+   UI TITLE UPDATE FUNCTIONS
+   ===================================================== */
+
+/**
+ * Updates the Projects panel and table titles based on active filters
+ * This provides clear visual feedback about what data is currently being displayed
+ */
+function updatePanelTitles() {
+    const projectsPanelTitle = document.getElementById('projectsPanelTitle');
+    const tableDataTitle = document.getElementById('tableDataTitle');
+    const fundingPanelTitle = document.getElementById('fundingPanelTitle');
+
+    // Every filter now applies to both the charts and the table, so they share one suffix
+    const titleSuffix = getPanelTitleSuffix();
+
     // Update the titles
     if (projectsPanelTitle) {
-        if (projectsTitleSuffix) {
+        if (titleSuffix) {
             // For Projects panel, adjust font size to fit width, no weight changes
-            projectsPanelTitle.innerHTML = `Projects${projectsTitleSuffix}`;
+            projectsPanelTitle.textContent = `Projects${titleSuffix}`;
             projectsPanelTitle.classList.add('has-filter');
         } else {
             projectsPanelTitle.textContent = 'Projects';
@@ -132,12 +424,17 @@ function updatePanelTitles() {
     }
 
     if (tableDataTitle) {
-        if (tableTitleSuffix) {
-            tableDataTitle.innerHTML = `Highway Projects Data${tableTitleSuffix}`;
+        if (titleSuffix) {
+            tableDataTitle.textContent = `Highway Projects Data${titleSuffix}`;
         } else {
             tableDataTitle.textContent = 'Highway Projects Data';
         }
     }
+
+    if (fundingPanelTitle) {
+        fundingPanelTitle.textContent = `Programmed Funding${titleSuffix}`;
+        fundingPanelTitle.classList.toggle('has-filter', Boolean(titleSuffix));
+    }
 }
 
 /**
@@ -294,6 +591,109 @@ function createProjectYearsChart(yearData) {
     });
 }
 
+/**
+ * Creates or updates the stacked bar chart showing how many projects sit in each phase per fiscal year
+ * @param {Object} phaseYearData - Object with fiscal year as key and { phase code: project count } as value
+ * @example phaseYearData = { "2024": { "D": 12, "C": 30 }, "2025": { "R": 4, "C": 41 } }
+ */
+function createPhaseYearsChart(phaseYearData) {
+    const ctx = document.getElementById('phaseYearsChart');
+
+    // Error handling - ensure canvas element exists
+    if (!ctx) {
+        console.error('Canvas element with id "phaseYearsChart" not found');
+        return;
+    }
+
+    // Destroy existing chart if it exists (prevents memory leaks)
+    if (phaseYearsChart) {
+        phaseYearsChart.destroy();
+        phaseYearsChart = null;
+    }
+
+    const years = Object.keys(phaseYearData).sort();
+    if (years.length === 0) {
+        console.log('No data to display in phase years chart');
+        return;
+    }
+
+    // One stacked dataset per phase, in project order
+    const datasets = Object.keys(PHASE_LABELS)
+        .filter(phase => years.some(year => phaseYearData[year][phase]))
+        .map(phase => ({
+            label: PHASE_LABELS[phase],
+            data: years.map(year => phaseYearData[year][phase] || 0),
+            backgroundColor: PHASE_COLORS[phase],
+            borderColor: '#ffffff',
+            borderWidth: 1
+        }));
+
+    phaseYearsChart = new Chart(ctx.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: years.map(year => `FY ${year}`),
+            datasets: datasets
+        },
+        options: {
+            indexAxis: 'y',           // Horizontal bars like the project years chart
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'bottom',
+                    labels: {
+                        boxWidth: 10,
+                        font: { size: 10 }
+                    }
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return `${context.dataset.label}: ${context.parsed.x} projects`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    beginAtZero: true,
+                    ticks: {
+                        font: { size: 10 }
+                    }
+                },
+                y: {
+                    stacked: true,
+                    ticks: {
+                        font: { size: 10 }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Switches the Project Years panel between the project count and phase breakdown charts
+ * @param {string} view - 'years' or 'phases'
+ */
+function setProjectYearsView(view) {
+    projectYearsView = view === 'phases' ? 'phases' : 'years';
+
+    document.getElementById('projectYearsChart').hidden = projectYearsView !== 'years';
+    document.getElementById('phaseYearsChart').hidden = projectYearsView !== 'phases';
+
+    document.querySelectorAll('.years-view-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === projectYearsView);
+    });
+
+    // Charts drawn while hidden have no size until they are resized
+    const chart = projectYearsView === 'years' ? projectYearsChart : phaseYearsChart;
+    if (chart) {
+        chart.resize();
+    }
+}
+
 /**
  * Creates or updates the pie chart showing awarded vs current projects
  * This function also updates the legend values and total count display
@@ -349,6 +749,128 @@ function createProjectsPieChart() {
     });
 }
 
+/**
+ * Formats a dollar amount for display
+ * @param {number} value - Dollar amount
+ * @param {boolean} compact - Use short units ($1.2M) for chart axes and totals
+ * @returns {string} Formatted amount
+ */
+function formatCurrency(value, compact = false) {
+    return Number(value || 0).toLocaleString('en-US', {
+        style: 'currency',
+        currency: 'USD',
+        maximumFractionDigits: compact ? 1 : 0,
+        notation: compact ? 'compact' : 'standard'
+    });
+}
+
+/**
+ * Creates or updates one of the funding panel bar charts
+ * @param {string} key - Key in fundingCharts ('year', 'fundCode' or 'phase')
+ * @param {string} canvasId - Canvas element id
+ * @param {Object} amounts - Object with label as key and dollar amount as value
+ * @param {boolean} horizontal - Draw horizontal bars (used for long category lists)
+ */
+function createFundingChart(key, canvasId, amounts, horizontal = false) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) {
+        console.error(`Canvas element with id "${canvasId}" not found`);
+        return;
+    }
+
+    // Destroy existing chart if it exists (prevents memory leaks)
+    if (fundingCharts[key]) {
+        fundingCharts[key].destroy();
+        fundingCharts[key] = null;
+    }
+
+    const labels = Object.keys(amounts);
+    if (labels.length === 0) {
+        console.log(`No funding data to display in ${key} chart`);
+        return;
+    }
+
+    const valueAxis = horizontal ? 'x' : 'y';
+    fundingCharts[key] = new Chart(canvas.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                data: labels.map(label => amounts[label]),
+                backgroundColor: '#3c5e49',
+                borderColor: '#2F5441',
+                borderWidth: 1
+            }]
+        },
+        options: {
+            indexAxis: horizontal ? 'y' : 'x',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            return formatCurrency(context.parsed[valueAxis]);
+                        }
+                    }
+                }
+            },
+            scales: {
+                [valueAxis]: {
+                    beginAtZero: true,
+                    ticks: {
+                        font: { size: 10 },
+                        callback: value => formatCurrency(value, true)
+                    }
+                },
+                [horizontal ? 'y' : 'x']: {
+                    ticks: {
+                        font: { size: 10 },
+                        autoSkip: false
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Renders the funding panel total and its three breakdown charts
+ * @param {Object} funding - { total, byYear, byFundCode, byPhase } dollar amounts
+ */
+function renderFundingPanel(funding) {
+    fundingSummary = funding;
+
+    const totalDisplay = document.getElementById('fundingTotal');
+    if (totalDisplay) {
+        totalDisplay.textContent = formatCurrency(funding.total, true);
+        totalDisplay.title = formatCurrency(funding.total);
+    }
+
+    // Years in order, fund codes largest first, phases in project order
+    const byYear = {};
+    Object.keys(funding.byYear).sort().forEach(year => { byYear[year] = funding.byYear[year]; });
+
+    const byFundCode = {};
+    Object.keys(funding.byFundCode)
+        .sort((a, b) => funding.byFundCode[b] - funding.byFundCode[a])
+        .forEach(code => { byFundCode[code] = funding.byFundCode[code]; });
+
+    const byPhase = {};
+    Object.keys(PHASE_LABELS).forEach(code => {
+        if (funding.byPhase[code]) {
+            byPhase[PHASE_LABELS[code]] = funding.byPhase[code];
+        }
+    });
+
+    createFundingChart('year', 'fundingByYearChart', byYear);
+    createFundingChart('fundCode', 'fundingByFundCodeChart', byFundCode, true);
+    createFundingChart('phase', 'fundingByPhaseChart', byPhase);
+}
+
 // Update project counts and refresh chart
 function updateProjectCounts(type, count) {
     projectCounts[type] = count;
@@ -501,61 +1023,180 @@ function createClearAllControl(map) {
     return control;
 }
 
-// Legend control function
-function createLegendControl(map) {
-    const control = L.control({ position: 'bottomleft' });
+// Map extent filter control function
+function createExtentFilterControl(map) {
+    const control = L.control({ position: 'topright' });
 
     control.onAdd = function() {
-        const div = L.DomUtil.create('div', 'legend-control');
+        const div = L.DomUtil.create('div', 'extent-filter-control');
 
         div.innerHTML = `
-            <button class="legend-btn" title="Show Map Legend">
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
-                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
-                    <line x1="9" y1="9" x2="15" y2="9"/>
-                    <line x1="9" y1="15" x2="15" y2="15"/>
+            <button class="extent-filter-btn" title="Filter by Map Extent">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M3 7V3h4"/>
+                    <path d="M17 3h4v4"/>
+                    <path d="M21 17v4h-4"/>
+                    <path d="M7 21H3v-4"/>
+                    <rect x="8" y="8" width="8" height="8" rx="1"/>
                 </svg>
-                <span style="margin-left: 4px; font-size: 12px; font-weight: bold;">Legend</span>
             </button>
-            <div class="legend-popup" style="display: none;">
-                <div class="legend-header">
-                    <span>Map Legend</span>
-                    <button class="legend-close-btn" title="Close Legend">×</button>
-                </div>
-                <div class="legend-content">
-                    <div class="legend-item">
-                        <div class="legend-color" style="background-color: #006600; border: 1px solid #004400;"></div>
-                        <span>Current Projects</span>
-                    </div>
-                    <div class="legend-item">
-                        <div class="legend-color" style="background-color: #0066cc; border: 1px solid #004499;"></div>
-                        <span>Awarded Projects</span>
-                    </div>
-                    <div class="legend-item">
-
-                    <div class="legend-color" style="background-color: transparent; border: 2px solid #808080;"></div>
-                        <span>County Boundaries</span>
-                    </div>
-                    <div class="legend-item">
-                        <div class="legend-color" style="background-color: transparent; border: 2px solid #8b4513;"></div>
-                        <span>District Boundaries</span>
-                    </div>
-                </div>
-            </div>
         `;
 
         // Prevent map events when clicking on control
         L.DomEvent.disableClickPropagation(div);
         L.DomEvent.disableScrollPropagation(div);
 
-        // Toggle legend visibility
-        const toggleBtn = div.querySelector('.legend-btn');
-        const popup = div.querySelector('.legend-popup');
-
+        // Toggle extent filtering on and off
+        const toggleBtn = div.querySelector('.extent-filter-btn');
         toggleBtn.addEventListener('click', (e) => {
             e.stopPropagation();
-            const isVisible = popup.style.display !== 'none';
-            popup.style.display = isVisible ? 'none' : 'block';
+            setExtentFilterEnabled(map, !extentFilterEnabled);
+        });
+
+        return div;
+    };
+
+    return control;
+}
+
+// Hide non-matching projects control function
+function createHideFilteredControl(map) {
+    const control = L.control({ position: 'topright' });
+
+    control.onAdd = function() {
+        const div = L.DomUtil.create('div', 'hide-filtered-control');
+
+        div.innerHTML = `
+            <button class="hide-filtered-btn" title="Hide Non-Matching Projects">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94"/>
+                    <path d="M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19"/>
+                    <path d="M14.12 14.12a3 3 0 1 1-4.24-4.24"/>
+                    <line x1="1" y1="1" x2="23" y2="23"/>
+                </svg>
+            </button>
+        `;
+
+        // Prevent map events when clicking on control
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+
+        // Toggle between hiding and dimming non-matching projects
+        const toggleBtn = div.querySelector('.hide-filtered-btn');
+        toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setHideFilteredFeatures(!hideFilteredFeatures);
+        });
+
+        return div;
+    };
+
+    return control;
+}
+
+// Performance mode control function
+function createRenderModeControl(map) {
+    const control = L.control({ position: 'topright' });
+
+    control.onAdd = function() {
+        const div = L.DomUtil.create('div', 'render-mode-control');
+
+        div.innerHTML = `
+            <button class="render-mode-btn${projectRenderMode === 'canvas' ? ' active' : ''}" title="Performance Mode (draw project lines on a canvas)">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/>
+                </svg>
+            </button>
+        `;
+
+        // Prevent map events when clicking on control
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+
+        // Toggle between SVG and canvas rendering of the project lines
+        const toggleBtn = div.querySelector('.render-mode-btn');
+        toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setProjectRenderMode(projectRenderMode === 'canvas' ? 'svg' : 'canvas');
+        });
+
+        return div;
+    };
+
+    return control;
+}
+
+// Legend control function
+function createLegendControl(map) {
+    const control = L.control({ position: 'bottomleft' });
+
+    control.onAdd = function() {
+        const div = L.DomUtil.create('div', 'legend-control');
+
+        div.innerHTML = `
+            <button class="legend-btn" title="Show Map Legend">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+                    <line x1="9" y1="9" x2="15" y2="9"/>
+                    <line x1="9" y1="15" x2="15" y2="15"/>
+                </svg>
+                <span style="margin-left: 4px; font-size: 12px; font-weight: bold;">Legend</span>
+            </button>
+            <div class="legend-popup" style="display: none;">
+                <div class="legend-header">
+                    <span>Map Legend</span>
+                    <button class="legend-close-btn" title="Close Legend">×</button>
+                </div>
+                <div class="legend-content">
+                    <div class="legend-symbology-picker">
+                        <label>Color lines by
+                            <select class="symbology-color-select">
+                                ${Object.entries(symbologySchemes).map(([key, scheme]) => `<option value="${key}">${scheme.label}</option>`).join('')}
+                            </select>
+                        </label>
+                        <label>Line width by
+                            <select class="symbology-weight-select">
+                                ${Object.entries(LINE_WEIGHT_OPTIONS).map(([key, label]) => `<option value="${key}">${label}</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+                    <div class="legend-symbology-items"></div>
+                    <div class="legend-item">
+                        <div class="legend-spot-symbol bridge"></div>
+                        <span>Bridge project (point at low zoom)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-spot-symbol spot"></div>
+                        <span>Spot project (point at low zoom)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-spot-cluster"><span class="awarded">3</span><span class="current">2</span></div>
+                        <span>Cluster (awarded / current)</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color area" style="border-color: #808080;"></div>
+                        <span>County Boundaries</span>
+                    </div>
+                    <div class="legend-item">
+                        <div class="legend-color area" style="border-color: #8b4513; border-width: 3px;"></div>
+                        <span>District Boundaries</span>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Prevent map events when clicking on control
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+
+        // Toggle legend visibility
+        const toggleBtn = div.querySelector('.legend-btn');
+        const popup = div.querySelector('.legend-popup');
+
+        toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const isVisible = popup.style.display !== 'none';
+            popup.style.display = isVisible ? 'none' : 'block';
         });
 
         // Close legend button
@@ -565,6 +1206,14 @@ function createLegendControl(map) {
             popup.style.display = 'none';
         });
 
+        // Symbology picker restyles the project lines and rebuilds the items above
+        const colorSelect = div.querySelector('.symbology-color-select');
+        const weightSelect = div.querySelector('.symbology-weight-select');
+        colorSelect.value = symbologyState.colorBy;
+        weightSelect.value = symbologyState.weightBy;
+        colorSelect.addEventListener('change', () => setSymbology(colorSelect.value, weightSelect.value));
+        weightSelect.addEventListener('change', () => setSymbology(colorSelect.value, weightSelect.value));
+
         // Close legend when clicking outside
         document.addEventListener('click', (e) => {
             if (!div.contains(e.target)) {
@@ -684,6 +1333,17 @@ function loadProjectTypeOptions(controlDiv) {
 
         container.innerHTML = optionsHTML;
 
+        // Raw types without a crosswalk entry never match any option - point to where they can be mapped
+        const unmappedCount = countUnmappedProjectTypes();
+        if (unmappedCount > 0) {
+            container.insertAdjacentHTML('beforeend', `
+                <div class="project-type-unmapped-note">
+                    ${unmappedCount} TYPE_WORK values have no crosswalk entry and are not in any project type.
+                    <a href="download.html#crosswalk">Manage crosswalk</a>
+                </div>
+            `);
+        }
+
         // Add search functionality
         searchInput.addEventListener('input', (e) => {
             const searchTerm = e.target.value.toLowerCase();
@@ -704,12 +1364,7 @@ function loadProjectTypeOptions(controlDiv) {
                 const displayName = option.textContent;
 
                 // Update the button to show selected project type with icon
-                const btn = controlDiv.querySelector('.project-type-filter-btn');
-                btn.innerHTML = `
-                    <img src="images/road-icon.png" alt="Project Type Filter" width="16" height="16" style="opacity: 1;">
-                    <div style="position: absolute; top: -2px; right: -2px; width: 8px; height: 8px; background: #244332; border-radius: 50%; border: 1px solid white;"></div>
-                `;
-                btn.title = `Filtered by: ${displayName}`;
+                setProjectTypeButtonActive(displayName);
 
                 // Apply the filter
                 applyProjectTypeFilter(map, projectType);
@@ -732,116 +1387,113 @@ function applyProjectTypeFilter(map, projectType) {
     console.log('Applying project type filter:', projectType);
 
     // Update global filter state
-    currentProjectTypeFilter = projectType;
+    filterState.projectType = projectType;
 
     // Update panel titles to reflect the filter
     updatePanelTitles();
 
-    // Check if layers exist
-    console.log('Current projects layer exists:', !!currentProjectsLayer);
-    console.log('Awarded projects layer exists:', !!awardedProjectsLayer);
-
-    // Apply to map layers
-    if (currentProjectsLayer) {
-        console.log('Filtering current projects layer...');
-        let matchCount = 0;
-        let totalCount = 0;
-
-        currentProjectsLayer.eachLayer(function(layer) {
-            totalCount++;
-            if (layer.feature && layer.feature.properties) {
-                const projectProps = layer.feature.properties;
-
-                // Check if project matches the selected type using crosswalk
-                const matchesType = checkProjectTypeMatch(projectProps, projectType);
-
-                if (matchesType) {
-                    matchCount++;
-                    layer.setStyle({
-                        fillOpacity: 0.7,
-                        opacity: 0.8
-                    });
-                } else {
-                    layer.setStyle({
-                        fillOpacity: 0.1,
-                        opacity: 0.3
-                    });
-                }
-            }
-        });
+    // Update map, charts and table
+    updateChartsAndTable();
+}
 
-        console.log(`Current projects: ${matchCount} matches out of ${totalCount} total`);
+// Show the active state (dot indicator) on the project type filter button
+function setProjectTypeButtonActive(displayName) {
+    const btn = document.querySelector('.project-type-filter-btn');
+    if (btn) {
+        btn.innerHTML = `
+            <img src="images/road-icon.png" alt="Project Type Filter" width="16" height="16" style="opacity: 1;">
+            <div style="position: absolute; top: -2px; right: -2px; width: 8px; height: 8px; background: #244332; border-radius: 50%; border: 1px solid white;"></div>
+        `;
+        btn.title = `Filtered by: ${displayName}`;
     }
+}
 
-    if (awardedProjectsLayer) {
-        console.log('Filtering awarded projects layer...');
-        let matchCount = 0;
-        let totalCount = 0;
+// Raw project type (normalized) -> crosswalk dropdown_category, built once per database load
+let crosswalkLookup = null;
 
-        awardedProjectsLayer.eachLayer(function(layer) {
-            totalCount++;
-            if (layer.feature && layer.feature.properties) {
-                const projectProps = layer.feature.properties;
+/**
+ * Normalizes a raw project type so GeoJSON and crosswalk values compare equal
+ * @param {string} value - Raw TYPE_WORK value
+ * @returns {string} Trimmed, upper-case value
+ */
+function normalizeProjectType(value) {
+    return String(value || '').trim().toUpperCase();
+}
 
-                // Check if project matches the selected type using crosswalk
-                const matchesType = checkProjectTypeMatch(projectProps, projectType);
+/**
+ * Gets the raw project type (TYPE_WORK) of a highway plan feature
+ * @param {Object} props - Feature properties
+ * @returns {string} Raw project type, or '' when the feature has none
+ */
+function getRawProjectType(props) {
+    return getPlanProperty(props, 'SYP_RPT_TYPEWORK') ||
+        props.TYPE_WORK ||
+        props.type_work ||
+        props.project_type ||
+        props.PROJECT_TYPE || '';
+}
 
-                if (matchesType) {
-                    matchCount++;
-                    layer.setStyle({
-                        fillOpacity: 0.7,
-                        opacity: 0.8
-                    });
-                } else {
-                    layer.setStyle({
-                        fillOpacity: 0.1,
-                        opacity: 0.3
-                    });
-                }
-            }
-        });
+/**
+ * Reads the crosswalk table into crosswalkLookup and annotates the features already on the map
+ * Called once after the database loads, so filtering never queries the crosswalk per feature
+ */
+function buildCrosswalkLookup() {
+    crosswalkLookup = {};
 
-        console.log(`Awarded projects: ${matchCount} matches out of ${totalCount} total`);
+    try {
+        const stmt = database.prepare("SELECT raw_project_type, dropdown_category FROM crosswalk");
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            crosswalkLookup[normalizeProjectType(row.raw_project_type)] = row.dropdown_category;
+        }
+        stmt.free();
+    } catch (error) {
+        console.error('Error reading crosswalk table:', error);
     }
 
-    // Update charts and table
-    updateChartsAndTable();
+    console.log(`Crosswalk lookup built: ${Object.keys(crosswalkLookup).length} project types`);
+
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        eachProjectFeatureLayer(projectLayer, layer => annotateProjectCategory(layer.feature));
+    });
 }
 
-// Check if project matches the selected type using crosswalk
-function checkProjectTypeMatch(projectProps, selectedType) {
-    if (!database) return false;
+/**
+ * Counts the TYPE_WORK values in the projects table that have no crosswalk entry
+ * @returns {number} Unmapped raw project types
+ */
+function countUnmappedProjectTypes() {
+    if (!database || !crosswalkLookup) return 0;
 
+    let count = 0;
     try {
-        // Get the raw project type from the project data - use the correct GeoJSON property name
-        const rawProjectType = projectProps.KYTCDynamic_HighwaysDBOTED_CHIPS_ACTIVEPLANSYP_RPT_TYPEWORK ||
-                             projectProps.TYPE_WORK ||
-                             projectProps.type_work ||
-                             projectProps.project_type ||
-                             projectProps.PROJECT_TYPE || '';
-
-        if (!rawProjectType) {
-            console.log('No project type found in properties:', Object.keys(projectProps));
-            return false;
-        }
-
-        // Query crosswalk table to find the dropdown category for this raw project type
-        const stmt = database.prepare("SELECT dropdown_category FROM crosswalk WHERE raw_project_type = ?");
-        stmt.bind([rawProjectType]);
-
-        if (stmt.step()) {
-            const row = stmt.getAsObject();
-            const matches = row.dropdown_category === selectedType;
-            console.log(`Checking match: ${rawProjectType} -> ${row.dropdown_category} === ${selectedType} = ${matches}`);
-            return matches;
+        const stmt = database.prepare("SELECT DISTINCT TYPE_WORK FROM projects");
+        while (stmt.step()) {
+            const rawProjectType = normalizeProjectType(stmt.getAsObject().TYPE_WORK);
+            if (rawProjectType && !(rawProjectType in crosswalkLookup)) {
+                count++;
+            }
         }
-
-        console.log(`No crosswalk entry found for project type: ${rawProjectType}`);
-        return false;
+        stmt.free();
     } catch (error) {
-        console.error('Error checking project type match:', error);
-        return false;
+        console.error('Error counting unmapped project types:', error);
     }
+    return count;
+}
+
+/**
+ * Stores a feature's crosswalk category on feature.projectCategory (null when unmapped)
+ * Runs as the GeoJSON layers load, and again for every feature once the crosswalk is read
+ * @param {Object} feature - GeoJSON feature
+ */
+function annotateProjectCategory(feature) {
+    const rawProjectType = normalizeProjectType(getRawProjectType(feature.properties || {}));
+    feature.projectCategory = (crosswalkLookup && crosswalkLookup[rawProjectType]) || null;
+}
+
+// Check if project matches the selected type using its precomputed crosswalk category
+function checkProjectTypeMatch(feature, selectedType) {
+    return feature.projectCategory === selectedType;
 }
 
 // Clear project type filter
@@ -849,30 +1501,11 @@ function clearProjectTypeFilter(map) {
     console.log('Clearing project type filter');
 
     // Reset global filter state
-    currentProjectTypeFilter = null;
+    filterState.projectType = null;
 
     // Update panel titles to reflect cleared filters
     updatePanelTitles();
 
-    // Reset map layers
-    if (currentProjectsLayer) {
-        currentProjectsLayer.eachLayer(function(layer) {
-            layer.setStyle({
-                fillOpacity: 0.7,
-                opacity: 0.8
-            });
-        });
-    }
-
-    if (awardedProjectsLayer) {
-        awardedProjectsLayer.eachLayer(function(layer) {
-            layer.setStyle({
-                fillOpacity: 0.7,
-                opacity: 0.8
-            });
-        });
-    }
-
     // Reset button to default state
     const btn = document.querySelector('.project-type-filter-btn');
     if (btn) {
@@ -882,7 +1515,7 @@ function clearProjectTypeFilter(map) {
         btn.title = "Project Type Filter";
     }
 
-    // Update charts and table
+    // Update map, charts and table (remaining filters still apply)
     updateChartsAndTable();
 }
 
@@ -1170,7 +1803,7 @@ function loadDistrictOptions(controlDiv) {
 function applyCountyFilter(countyName) {
     console.log('Applying county filter:', countyName);
 
-    currentCountyFilter = countyName;
+    filterState.county = countyName;
 
     // Update the county filter button to show active state with dot indicator
     const btn = document.querySelector('.county-filter-btn');
@@ -1188,45 +1821,28 @@ function applyCountyFilter(countyName) {
     // Zoom to county boundary
     zoomToCounty(countyName);
 
-    // Update charts with filtered data
-    loadFilteredProjectsAwardedDataByCounty(countyName);
-    loadFilteredProjectCountByYearByCounty(countyName);
-
-    // Update table with filtered data
-    loadFilteredBasicProjectInfoByCounty(countyName);
+    // Update map, charts and table (combined with any other active filters)
+    updateChartsAndTable();
 }
 
 // Clear county filter
 function clearCountyFilter(map) {
     console.log('Clearing county filter');
 
-    currentCountyFilter = null;
+    filterState.county = null;
 
     // Update panel titles to reflect cleared filters
     updatePanelTitles();
 
-    // Reset map view to original position and zoom
-    if (window.mainMap) {
-        // Reset to original Kentucky view
-        window.mainMap.setView([37.8, -85.0], 7);
-
-        // Alternative: If we have the projects layer, fit to its bounds
-        if (window.allProjectsLayer) {
-            console.log('Fitting map to all projects bounds');
-            window.mainMap.fitBounds(window.allProjectsLayer.getBounds());
-        }
+    // Zoom back out to the remaining district filter, or to the original view
+    if (filterState.district) {
+        zoomToDistrict(filterState.district);
+    } else {
+        resetMapView();
     }
 
     // Reload data (this will respect any remaining district or project type filters)
-    if (currentDistrictFilter) {
-        loadFilteredProjectsAwardedData(currentDistrictFilter);
-        loadFilteredProjectCountByYear(currentDistrictFilter);
-        loadFilteredBasicProjectInfo(currentDistrictFilter);
-    } else {
-        loadProjectsAwardedData();
-        loadProjectCountByYear();
-        loadBasicProjectInfo();
-    }
+    updateChartsAndTable();
 
     // Clear active states from county options only
     document.querySelectorAll('.county-option').forEach(btn => btn.classList.remove('active'));
@@ -1244,6 +1860,20 @@ function clearCountyFilter(map) {
     console.log('County filter cleared');
 }
 
+// Reset map view to original position and zoom
+function resetMapView() {
+    if (window.mainMap) {
+        // Reset to original Kentucky view
+        window.mainMap.setView([37.8, -85.0], 7);
+
+        // Alternative: If we have the projects layer, fit to its bounds
+        if (window.allProjectsLayer) {
+            console.log('Fitting map to all projects bounds');
+            window.mainMap.fitBounds(window.allProjectsLayer.getBounds());
+        }
+    }
+}
+
 // Zoom to specific county
 function zoomToCounty(countyName) {
     console.log('Attempting to zoom to county:', countyName);
@@ -1281,15 +1911,42 @@ function zoomToCounty(countyName) {
         if (partialMatches.length > 0) {
             console.log(`Trying to zoom using partial match: ${partialMatches[0]}`);
             window.mainMap.fitBounds(countyLayers[partialMatches[0]].getBounds());
+        } else {
+            zoomToCountyProjects(countyName);
         }
     }
 }
 
+/**
+ * Zooms to the project lines in a county
+ * Used when data/KY_Counties.geojson hasn't been built, so there is no boundary to zoom to
+ * @param {string} countyName - County name as used by the county filter
+ */
+function zoomToCountyProjects(countyName) {
+    const countyFeatures = [];
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        eachProjectFeatureLayer(projectLayer, layer => {
+            if (layer.feature && layer.getBounds &&
+                filterDimensions.county.matchesFeature(layer.feature, countyName)) {
+                countyFeatures.push(layer);
+            }
+        });
+    });
+
+    if (countyFeatures.length === 0) {
+        console.warn(`No county boundary or project lines to zoom to for ${countyName} County`);
+        return;
+    }
+
+    console.log(`Zooming to ${countyFeatures.length} project lines in ${countyName} County`);
+    window.mainMap.fitBounds(L.featureGroup(countyFeatures).getBounds(), { maxZoom: 12 });
+}
+
 // Apply district filter
 function applyDistrictFilter(districtNumber) {
     console.log('Applying district filter:', districtNumber);
 
-    currentDistrictFilter = districtNumber;
+    filterState.district = districtNumber;
 
     // Update the district filter button to show active state with dot indicator
     const btn = document.querySelector('.district-filter-btn');
@@ -1307,19 +1964,15 @@ function applyDistrictFilter(districtNumber) {
     // Zoom to district boundary
     zoomToDistrict(districtNumber);
 
-    // Update charts with filtered data
-    loadFilteredProjectsAwardedData(districtNumber);
-    loadFilteredProjectCountByYear(districtNumber);
-
-    // Update table with filtered data
-    loadFilteredBasicProjectInfo(districtNumber);
+    // Update map, charts and table (combined with any other active filters)
+    updateChartsAndTable();
 }
 
 // Clear district filter
 function clearDistrictFilter(map) {
     console.log('Clearing district filter');
 
-    currentDistrictFilter = null;
+    filterState.district = null;
 
     // Reset the district filter button to default state
     const btn = document.querySelector('.district-filter-btn');
@@ -1331,28 +1984,15 @@ function clearDistrictFilter(map) {
     // Update panel titles to reflect cleared filters
     updatePanelTitles();
 
-    // Reset map view to original position and zoom
-    if (window.mainMap) {
-        // Reset to original Kentucky view
-        window.mainMap.setView([37.8, -85.0], 7);
-
-        // Alternative: If we have the projects layer, fit to its bounds
-        if (window.allProjectsLayer) {
-            console.log('Fitting map to all projects bounds');
-            window.mainMap.fitBounds(window.allProjectsLayer.getBounds());
-        }
+    // Zoom back out to the remaining county filter, or to the original view
+    if (filterState.county) {
+        zoomToCounty(filterState.county);
+    } else {
+        resetMapView();
     }
 
     // Reload data (this will respect any remaining county or project type filters)
-    if (currentCountyFilter) {
-        loadFilteredProjectsAwardedDataByCounty(currentCountyFilter);
-        loadFilteredProjectCountByYearByCounty(currentCountyFilter);
-        loadFilteredBasicProjectInfoByCounty(currentCountyFilter);
-    } else {
-        loadProjectsAwardedData();
-        loadProjectCountByYear();
-        loadBasicProjectInfo();
-    }
+    updateChartsAndTable();
 
     // Clear active states from district options only
     document.querySelectorAll('.district-option').forEach(btn => btn.classList.remove('active'));
@@ -1365,43 +2005,20 @@ function clearAllFilters(map) {
     console.log('Clearing all filters (district, county, and project type)');
 
     // Clear all filter states
-    currentDistrictFilter = null;
-    currentCountyFilter = null;
-    currentProjectTypeFilter = null;
+    Object.keys(filterState).forEach(key => {
+        filterState[key] = null;
+    });
+
+    // The drawn selection area is cleared too (the charts and table reload below)
+    if (spatialSelection) {
+        setSpatialSelection(null, false);
+    }
 
     // Update panel titles to reflect cleared filters
     updatePanelTitles();
 
     // Reset map view to original position and zoom
-    if (window.mainMap) {
-        // Reset to original Kentucky view
-        window.mainMap.setView([37.8, -85.0], 7);
-
-        // Alternative: If we have the projects layer, fit to its bounds
-        if (window.allProjectsLayer) {
-            console.log('Fitting map to all projects bounds');
-            window.mainMap.fitBounds(window.allProjectsLayer.getBounds());
-        }
-    }
-
-    // Reset map layers for project type filter
-    if (currentProjectsLayer) {
-        currentProjectsLayer.eachLayer(function(layer) {
-            layer.setStyle({
-                fillOpacity: 0.7,
-                opacity: 0.8
-            });
-        });
-    }
-
-    if (awardedProjectsLayer) {
-        awardedProjectsLayer.eachLayer(function(layer) {
-            layer.setStyle({
-                fillOpacity: 0.7,
-                opacity: 0.8
-            });
-        });
-    }
+    resetMapView();
 
     // Reset project type button to default state
     const projectTypeBtn = document.querySelector('.project-type-filter-btn');
@@ -1426,10 +2043,8 @@ function clearAllFilters(map) {
         countyBtn.title = 'County Filter';
     }
 
-    // Reload original data
-    loadProjectsAwardedData();
-    loadProjectCountByYear();
-    loadBasicProjectInfo();
+    // Reload original data and reset map layer styles
+    updateChartsAndTable();
 
     // Clear active states from all filter options
     document.querySelectorAll('.district-option').forEach(btn => btn.classList.remove('active'));
@@ -1437,6 +2052,7 @@ function clearAllFilters(map) {
 
     // Clear search inputs
     document.querySelectorAll('.county-search-input').forEach(input => input.value = '');
+    updateTextSearchInput();
 
     console.log('All filters cleared and data reset to original state');
 }
@@ -1484,67 +2100,152 @@ function switchBasemap(map, basemapName) {
 
     // Update current basemap reference
     currentBasemap = basemapName;
+
+    // Keep the shareable URL in sync
+    updateUrlState();
 }
 
 // GeoJSON layer loading function
-function loadGeoJSONLayer(map, file, style, layerName) {
+/**
+ * Builds the popup shown when a highway project line is clicked
+ * @param {Object} props - Feature properties
+ * @param {boolean} awarded - Whether the feature comes from the awarded layer
+ * @returns {string} Popup HTML
+ */
+function buildProjectPopupContent(props, awarded) {
+    // Use actual property names from console output
+    const projectId = props['KYTCDynamic_Highways.DBO.Project_Locations_Line.OBJECTID'] ||
+                     props.OBJECTID ||
+                     'Unknown';
+
+    const description = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_DESC'] ||
+                      props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_TYPENAME'] ||
+                      'No description available';
+
+    const location = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.LOCUNIQUE'] ||
+                    props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.ROUTENO'] ||
+                    '';
+
+    const county = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTYNAME'] ||
+                  props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTY'] ||
+                  '';
+
+    const planYear = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.PLANYEAR'] ||
+                    '';
+
+    const status = awarded ? 'Awarded' : 'Current';
+
+    // One line per phase the project has, with a button to open the full timeline
+    const phases = getFeaturePhases(props);
+    const phaseRows = phases.map(item => `
+        <tr>
+            <td>${item.label}</td>
+            <td>${item.fiscalYear ? `FY ${item.fiscalYear}` : '—'}</td>
+            <td>${formatPhaseStage(item.stage)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div style="font-family: Arial, sans-serif; min-width: 250px; max-width: 350px;">
+            <h4 style="margin: 0 0 10px 0; color: ${awarded ? '#0066cc' : '#006600'};">
+                ${status} Highway Project
+            </h4>
+            <p><strong>Project ID:</strong> ${projectId}</p>
+            ${county ? `<p><strong>County:</strong> ${county}</p>` : ''}
+            ${location ? `<p><strong>Location:</strong> ${location}</p>` : ''}
+            ${planYear ? `<p><strong>Plan Year:</strong> ${planYear}</p>` : ''}
+            <p><strong>Description:</strong> ${description}</p>
+            ${phases.length ? `
+                <table class="popup-phase-table">
+                    <thead><tr><th>Phase</th><th>Fiscal Year</th><th>Stage</th></tr></thead>
+                    <tbody>${phaseRows}</tbody>
+                </table>
+                <button type="button" class="phase-timeline-btn">📅 Phase Timeline</button>
+            ` : ''}
+            <button type="button" class="project-details-btn">ℹ Details</button>
+        </div>
+    `;
+}
+
+/**
+ * Wires the Phase Timeline and Details buttons each time a project popup opens
+ * @param {Object} e - Leaflet popupopen event (target is the project line layer)
+ */
+function handleProjectPopupOpen(e) {
+    const popupElement = e.popup.getElement();
+    if (!popupElement) return;
+
+    const timelineBtn = popupElement.querySelector('.phase-timeline-btn');
+    if (timelineBtn) {
+        timelineBtn.onclick = function() {
+            e.target.closePopup();
+            showPhaseTimeline(e.target.feature);
+        };
+    }
+
+    const detailsBtn = popupElement.querySelector('.project-details-btn');
+    if (detailsBtn) {
+        detailsBtn.onclick = function() {
+            e.target.closePopup();
+            openProjectDetail(getFeatureProjectKey(e.target.feature.properties || {}));
+        };
+    }
+}
+
+/**
+ * Loads a GeoJSON file onto the map with popups for its features
+ * @param {L.Map} map - The Leaflet map instance
+ * @param {string} file - GeoJSON file to load
+ * @param {Object|Function} style - Leaflet path style or style function
+ * @param {string} layerName - Name used in popups and load error notices
+ * @param {string} [pane] - Map pane that sets the layer's draw order (see MAP_LAYER_PANES)
+ * @returns {Promise<L.GeoJSON|null>} The layer, or null when it failed to load
+ */
+function loadGeoJSONLayer(map, file, style, layerName, pane) {
     return fetch(file)
-        .then(res => res.json())
+        .then(res => {
+            if (!res.ok) throw new Error(`${file} not found (HTTP ${res.status})`);
+            return res.json();
+        })
         .then(data => {
+            if (!data || !Array.isArray(data.features)) {
+                throw new Error(`${file} is not a GeoJSON FeatureCollection`);
+            }
+
+            // Plan layers report their extract date to the freshness banner
+            if (EXTRACT_DATE_FILES.includes(file)) {
+                layerExtractDates[file] = getGeoJSONExtractDate(data);
+                updateDataFreshnessBanner();
+            }
+
+            // Project features carry their crosswalk category for filtering and symbology,
+            // and which layer they belong to for the layer manager opacity
+            if (EXTRACT_DATE_FILES.includes(file)) {
+                data.features.forEach(feature => {
+                    annotateProjectCategory(feature);
+                    feature.projectAwarded = file.includes('Awarded');
+                });
+            }
+
             const layer = L.geoJSON(data, {
                 style: style,
+                pane: pane || 'overlayPane',
+                // Project lines are drawn on a shared canvas in performance mode (section 16)
+                renderer: file.includes('Highway_Plans') ? getProjectLineRenderer() : undefined,
                 onEachFeature: (feature, layer) => {
                     const props = feature.properties || {};
                     let popupContent = '';
 
-                    // Debug: log the properties to see what's available
+                    // Clicking a project line selects its rows in the table
                     if (file.includes('Highway_Plans')) {
-                        console.log('Highway project properties:', Object.keys(props));
-                        console.log('Sample properties:', props);
+                        bindProjectSelectionClick(layer);
                     }
 
-                    // Add click debugging
-                    layer.on('click', function(e) {
-                        console.log('Layer clicked!', file, 'Properties:', props);
-                    });
-
                     // Customize popup content based on layer type
                     if (file.includes('Highway_Plans')) {
-                        // For highway projects, show project details using actual GeoJSON property names
-                        const projectId = props['KYTCDynamic_Highways.DBO.Project_Locations_Line.OBJECTID'] ||
-                                         props.OBJECTID ||
-                                         'Unknown';
-
-                        // Use actual property names from console output
-                        const description = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_DESC'] ||
-                                          props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_TYPENAME'] ||
-                                          'No description available';
-
-                        const location = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.LOCUNIQUE'] ||
-                                        props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.ROUTENO'] ||
-                                        '';
-
-                        const county = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTYNAME'] ||
-                                      props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTY'] ||
-                                      '';
-
-                        const planYear = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.PLANYEAR'] ||
-                                        '';
-
-                        const status = file.includes('Awarded') ? 'Awarded' : 'Current';
-
-                        popupContent = `
-                            <div style="font-family: Arial, sans-serif; min-width: 250px; max-width: 350px;">
-                                <h4 style="margin: 0 0 10px 0; color: ${file.includes('Awarded') ? '#0066cc' : '#006600'};">
-                                    ${status} Highway Project
-                                </h4>
-                                <p><strong>Project ID:</strong> ${projectId}</p>
-                                ${county ? `<p><strong>County:</strong> ${county}</p>` : ''}
-                                ${location ? `<p><strong>Location:</strong> ${location}</p>` : ''}
-                                ${planYear ? `<p><strong>Plan Year:</strong> ${planYear}</p>` : ''}
-                                <p><strong>Description:</strong> ${description}</p>
-                            </div>
-                        `;
+                        // For highway projects, show project details and phases (built when the popup opens)
+                        popupContent = () => buildProjectPopupContent(props, file.includes('Awarded'));
+                        layer.on('popupopen', handleProjectPopupOpen);
                     } else if (file.includes('KY_Counties')) {
                         // For counties, show county name
                         const countyName = props.COUNTY || props.NAME || props.COUNTY_NAME || 'Unknown County';
@@ -1636,10 +2337,64 @@ function loadGeoJSONLayer(map, file, style, layerName) {
         })
         .catch(err => {
             console.error(`Failed to load ${layerName}:`, err);
+            showLayerLoadError(map, layerName, file, err);
+            if (EXTRACT_DATE_FILES.includes(file)) {
+                layerExtractDates[file] = null;
+                updateDataFreshnessBanner();
+            }
             return null;
         });
 }
 
+// What the dashboard loses without each map layer (keyed by the layer names initializeMap uses)
+const LAYER_LOAD_IMPACT = {
+    'District Boundary': 'district outlines and district zoom are unavailable',
+    'County Boundary': 'county outlines are unavailable and county zoom only fits the county\'s project lines',
+    'Awarded Project': 'awarded projects are not shown on the map',
+    'Current Project': 'current projects are not shown on the map'
+};
+
+// Map layers that failed to load, keyed by file
+const failedMapLayers = {};
+
+/**
+ * Lists the map layers that failed to load in a notice over the map
+ * @param {L.Map} map - The Leaflet map instance
+ * @param {string} layerName - Layer name passed to loadGeoJSONLayer
+ * @param {string} file - GeoJSON file that failed
+ * @param {Error} error - Why it failed
+ */
+function showLayerLoadError(map, layerName, file, error) {
+    failedMapLayers[file] = { layerName: layerName, message: error.message };
+
+    let notice = map.getContainer().querySelector('.layer-error-notice');
+    if (!notice) {
+        notice = L.DomUtil.create('div', 'layer-error-notice', map.getContainer());
+        L.DomEvent.disableClickPropagation(notice);
+        L.DomEvent.disableScrollPropagation(notice);
+        notice.addEventListener('click', (e) => {
+            if (e.target.closest('.layer-error-close')) {
+                notice.remove();
+            }
+        });
+    }
+
+    notice.innerHTML = `
+        <button class="layer-error-close" title="Dismiss">&times;</button>
+        <strong>⚠ Some map layers could not be loaded</strong>
+        <ul>
+            ${Object.keys(failedMapLayers).map(failedFile => {
+                const failed = failedMapLayers[failedFile];
+                return `<li><strong>${failed.layerName}</strong>: ${LAYER_LOAD_IMPACT[failed.layerName] || 'layer is not shown'}
+                    <span class="layer-error-detail">${failed.message}</span></li>`;
+            }).join('')}
+        </ul>
+        <span class="layer-error-detail">Data maintainers: run <code>npm run build:data</code> to download and check the layers.</span>
+    `;
+
+    updateLayerManagerControl();
+}
+
 // KYTC API control function
 function createKYTCAPIControl(map) {
     const control = L.control({ position: 'topright' });
@@ -1772,7 +2527,7 @@ function enableProjectLineSelection(map) {
     // Add click handler to project layers
     if (currentProjectsLayer) {
         let layerCount = 0;
-        currentProjectsLayer.eachLayer(function(layer) {
+        eachProjectFeatureLayer(currentProjectsLayer, function(layer) {
             layerCount++;
             layer.off('click'); // Remove existing handlers
             layer.on('click', function(e) {
@@ -1788,7 +2543,7 @@ function enableProjectLineSelection(map) {
 
     if (awardedProjectsLayer) {
         let layerCount = 0;
-        awardedProjectsLayer.eachLayer(function(layer) {
+        eachProjectFeatureLayer(awardedProjectsLayer, function(layer) {
             layerCount++;
             layer.off('click'); // Remove existing handlers
             layer.on('click', function(e) {
@@ -1801,10 +2556,21 @@ function enableProjectLineSelection(map) {
         });
         console.log(`Attached click handlers to ${layerCount} awarded project features`);
     }
+
+    // Spot project points zoom in to their line, which can then be selected
+    spotProjectMarkers.forEach((marker, layer) => {
+        marker.off('click');
+        marker.on('click', function() {
+            map.fitBounds(layer.getBounds(), { maxZoom: SPOT_PROJECT_EXPAND_ZOOM + 2 });
+        });
+    });
 }
 
 // Handle project line selection
 function handleProjectLineSelection(e, layer, map) {
+    // Features hidden by the filters are off the map and can't be picked
+    if (!map.hasLayer(layer)) return;
+
     console.log('Project line selected:', layer.feature.properties);
 
     // Close any existing popups to prevent interference
@@ -2221,7 +2987,7 @@ function disableKYTCAPIMode(map) {
 function restoreOriginalClickHandlers(map) {
     // Restore the original popup functionality for project layers
     if (currentProjectsLayer) {
-        currentProjectsLayer.eachLayer(function(layer) {
+        eachProjectFeatureLayer(currentProjectsLayer, function(layer) {
             // Remove all click handlers first
             layer.off('click');
 
@@ -2229,47 +2995,15 @@ function restoreOriginalClickHandlers(map) {
             if (layer.feature && layer.feature.properties) {
                 const props = layer.feature.properties;
 
-                // Use the same property names as loadGeoJSONLayer function
-                const projectId = props['KYTCDynamic_Highways.DBO.Project_Locations_Line.OBJECTID'] ||
-                                 props.OBJECTID ||
-                                 'Unknown';
-
-                const description = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_DESC'] ||
-                                  props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_TYPENAME'] ||
-                                  'No description available';
-
-                const location = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.LOCUNIQUE'] ||
-                                props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.ROUTENO'] ||
-                                '';
-
-                const county = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTYNAME'] ||
-                              props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTY'] ||
-                              '';
-
-                const planYear = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.PLANYEAR'] ||
-                                '';
-
-                const status = 'Current'; // This layer contains current projects
-
-                const popupContent = `
-                    <div style="font-family: Arial, sans-serif; min-width: 250px; max-width: 350px;">
-                        <h4 style="margin: 0 0 10px 0; color: #006600;">
-                            ${status} Highway Project
-                        </h4>
-                        <p><strong>Project ID:</strong> ${projectId}</p>
-                        ${county ? `<p><strong>County:</strong> ${county}</p>` : ''}
-                        ${location ? `<p><strong>Location:</strong> ${location}</p>` : ''}
-                        ${planYear ? `<p><strong>Plan Year:</strong> ${planYear}</p>` : ''}
-                        <p><strong>Description:</strong> ${description}</p>
-                    </div>
-                `;
-                layer.bindPopup(popupContent);
+                // Same popup as loadGeoJSONLayer builds
+                layer.bindPopup(() => buildProjectPopupContent(props, false));
+                bindProjectSelectionClick(layer);
             }
         });
     }
 
     if (awardedProjectsLayer) {
-        awardedProjectsLayer.eachLayer(function(layer) {
+        eachProjectFeatureLayer(awardedProjectsLayer, function(layer) {
             // Remove all click handlers first
             layer.off('click');
 
@@ -2277,53 +3011,34 @@ function restoreOriginalClickHandlers(map) {
             if (layer.feature && layer.feature.properties) {
                 const props = layer.feature.properties;
 
-                // Use the same property names as loadGeoJSONLayer function
-                const projectId = props['KYTCDynamic_Highways.DBO.Project_Locations_Line.OBJECTID'] ||
-                                 props.OBJECTID ||
-                                 'Unknown';
-
-                const description = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_DESC'] ||
-                                  props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_TYPENAME'] ||
-                                  'No description available';
-
-                const location = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.LOCUNIQUE'] ||
-                                props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.ROUTENO'] ||
-                                '';
-
-                const county = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTYNAME'] ||
-                              props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.COUNTY'] ||
-                              '';
-
-                const planYear = props['KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.PLANYEAR'] ||
-                                '';
-
-                const status = 'Awarded'; // This layer contains awarded projects
-
-                const popupContent = `
-                    <div style="font-family: Arial, sans-serif; min-width: 250px; max-width: 350px;">
-                        <h4 style="margin: 0 0 10px 0; color: #0066cc;">
-                            ${status} Highway Project
-                        </h4>
-                        <p><strong>Project ID:</strong> ${projectId}</p>
-                        ${county ? `<p><strong>County:</strong> ${county}</p>` : ''}
-                        ${location ? `<p><strong>Location:</strong> ${location}</p>` : ''}
-                        ${planYear ? `<p><strong>Plan Year:</strong> ${planYear}</p>` : ''}
-                        <p><strong>Description:</strong> ${description}</p>
-                    </div>
-                `;
-                layer.bindPopup(popupContent);
+                // Same popup as loadGeoJSONLayer builds
+                layer.bindPopup(() => buildProjectPopupContent(props, true));
+                bindProjectSelectionClick(layer);
             }
         });
     }
+
+    spotProjectMarkers.forEach(marker => {
+        marker.off('click');
+        marker.off('popupopen');
+        marker.unbindPopup();
+        bindSpotProjectMarkerEvents(marker);
+    });
 }
 
 // Main map initialization
 function initializeMap() {
     const map = L.map('map').setView([37.8, -85.0], 7);
 
+    // The project layers are built with the renderer a shared link asks for
+    projectRenderMode = readUrlState().renderMode;
+
     // Store map reference globally
     window.mainMap = map;
 
+    // Overlay panes fix the draw order, whatever order the layers finish loading in
+    createMapLayerPanes(map);
+
     // Add default basemap
     map.currentBasemapLayer = basemaps[currentBasemap];
     map.currentBasemapLayer.addTo(map);
@@ -2332,6 +3047,10 @@ function initializeMap() {
     const basemapControl = createBasemapControl(map);
     basemapControl.addTo(map);
 
+    // Add project search control
+    const projectSearchControl = createProjectSearchControl(map);
+    projectSearchControl.addTo(map);
+
     // Add clear all control
     const clearAllControl = createClearAllControl(map);
     clearAllControl.addTo(map);
@@ -2352,9 +3071,32 @@ function initializeMap() {
     const kytcAPIControl = createKYTCAPIControl(map);
     kytcAPIControl.addTo(map);
 
+    // Add map extent filter control
+    const extentFilterControl = createExtentFilterControl(map);
+    extentFilterControl.addTo(map);
+
+    // Add hide non-matching projects control
+    const hideFilteredControl = createHideFilteredControl(map);
+    hideFilteredControl.addTo(map);
+
+    // Add performance mode control
+    const renderModeControl = createRenderModeControl(map);
+    renderModeControl.addTo(map);
+
+    // Add spatial selection control and the layer showing the selected area
+    const spatialSelectionControl = createSpatialSelectionControl(map);
+    spatialSelectionControl.addTo(map);
+    spatialSelectionLayer = L.layerGroup().addTo(map);
+
+    // Add layer manager control
+    const layerManagerControl = createLayerManagerControl(map);
+    layerManagerControl.addTo(map);
+    updateLayerManagerControl();
+
     // Add legend control
     const legendControl = createLegendControl(map);
     legendControl.addTo(map);
+    updateLegend();
 
     // Load data layers - Load districts first to ensure they're available for zooming
     loadGeoJSONLayer(map, 'data/KYTC_Districts.geojson', {
@@ -2363,8 +3105,9 @@ function initializeMap() {
         weight: 2,
         opacity: 0.8,
         interactive: false  // Make districts non-interactive so highway projects can be clicked
-    }, 'District Boundary').then(layer => {
+    }, 'District Boundary', MAP_LAYER_PANES.districts.pane).then(layer => {
         if (layer) {
+            registerManagedLayer('districts', layer);
             console.log('KYTC_Districts layer loaded successfully');
             console.log('Available district layers after loading:', Object.keys(districtLayers));
             console.log('Total district layers stored:', Object.keys(districtLayers).length);
@@ -2381,38 +3124,57 @@ function initializeMap() {
         }
     });
 
-    // Load counties before highway projects so they're underneath
+    // Counties are drawn underneath everything else (countiesPane)
     loadGeoJSONLayer(map, 'data/KY_Counties.geojson', {
         color: 'grey',
         fillColor: "transparent",
         weight: 1,
         opacity: 0.5,
         interactive: false  // Make counties non-interactive so highway projects can be clicked
-    }, 'County Boundary');
+    }, 'County Boundary', MAP_LAYER_PANES.counties.pane).then(layer => {
+        if (layer) {
+            registerManagedLayer('counties', layer);
+        }
+    });
 
-    // Load highway projects after counties so they're on top
-    loadGeoJSONLayer(map, 'data/Awarded_Highway_Plans.geojson', {
-        color: 'blue',
-        weight: 2,
-        opacity: 0.8
-    }, 'Awarded Project').then(layer => {
+    // Highway projects are drawn on top, awarded above current
+    // Bridge and spot projects are drawn as clustered points at low zoom
+    spotProjectClusters = createSpotProjectClusterGroup().addTo(map);
+    map.on('zoomend', updateSpotProjectZoom);
+
+    loadGeoJSONLayer(map, 'data/Awarded_Highway_Plans.geojson',
+        feature => getProjectLineStyle(feature, true), 'Awarded Project', MAP_LAYER_PANES.awarded.pane).then(layer => {
         if (layer) {
             awardedProjectsLayer = layer;  // Store in global variable
             window.allProjectsLayer = layer;
-            map.fitBounds(layer.getBounds());
+            buildSpotProjectMarkers(layer, true);
+            registerManagedLayer('awarded', layer);
+
+            // A shared link already carries its own map view
+            if (!readUrlState().view) {
+                map.fitBounds(layer.getBounds());
+            }
+
+            // Filters and symbology may have been set (e.g. from the URL) before the layer finished loading
+            applySymbology();
+            buildProjectKeyIndex();
         }
     });
 
-    loadGeoJSONLayer(map, 'data/Current_Highway_Plans.geojson', {
-        color: 'green',
-        weight: 2,
-        opacity: 0.8
-    }, 'Current Project').then(layer => {
+    loadGeoJSONLayer(map, 'data/Current_Highway_Plans.geojson',
+        feature => getProjectLineStyle(feature, false), 'Current Project', MAP_LAYER_PANES.current.pane).then(layer => {
         if (layer) {
             currentProjectsLayer = layer;  // Store in global variable
+            buildSpotProjectMarkers(layer, false);
+            registerManagedLayer('current', layer);
+            applySymbology();
+            buildProjectKeyIndex();
         }
     });
 
+    // Keep the map center and zoom in the shareable URL
+    map.on('moveend', updateUrlState);
+
     return map;
 }
 
@@ -2422,13 +3184,38 @@ document.addEventListener("DOMContentLoaded", function () {
     createProjectsPieChart();
 
     // Initialize map
-    initializeMap();
+    const map = initializeMap();
 
     // Set up database loading
     setupDatabaseLoading();
 
-    // Automatically load database on page load
-    loadDatabase();
+    // Keyword search box above the table
+    setupTextSearch();
+
+    // Escape closes the project detail drawer (unless typing in a field)
+    document.addEventListener('keydown', (e) => {
+        const typing = e.target instanceof Element && e.target.closest('input, select, textarea');
+        if (e.key === 'Escape' && projectDetailSypNo && !typing) {
+            closeProjectDetail();
+        }
+    });
+
+    // Offline support and the cache indicator in the header
+    registerServiceWorker();
+    document.getElementById('cacheStatusBtn').addEventListener('click', toggleCacheStatusPanel);
+    window.addEventListener('online', updateCacheStatus);
+    window.addEventListener('offline', updateCacheStatus);
+
+    // Project Years panel switches between project counts and phases
+    document.querySelectorAll('.years-view-btn').forEach(btn => {
+        btn.addEventListener('click', () => setProjectYearsView(btn.dataset.view));
+    });
+
+    // Automatically load database on page load, then restore any shared link state
+    loadDatabase().then(() => restoreUrlState(map));
+
+    // Restore state again if a different link is pasted into the address bar
+    window.addEventListener('hashchange', () => restoreUrlState(map));
 });
 
 /* =====================================================
@@ -2441,6 +3228,13 @@ let database = null;  // SQLite database instance
 // Tabulator.js table instance
 let highwayProjectsTable = null;  // Global reference to the Tabulator table
 
+// Tabulator "money" formatter settings shared by currency cells and their sum footers
+const CURRENCY_FORMATTER_PARAMS = {
+    symbol: "$",
+    thousand: ",",
+    precision: 0
+};
+
 /* =====================================================
    6. TABULATOR.JS TABLE CONFIGURATION AND FUNCTIONS
    ===================================================== */
@@ -2456,10 +3250,18 @@ function initializeProjectsTable() {
     highwayProjectsTable = new Tabulator("#highway-projects-table", {
         // Table behavior configuration
         height: "400px",              // Fixed height with scrolling
-        pagination: "local",          // Enable local pagination (client-side)
+        pagination: true,             // Enable pagination
         paginationSize: 25,           // Show 25 rows per page
         paginationSizeSelector: [10, 25, 50, 100, true],  // Page size options (true = show all)
 
+        // Paging, sorting and header filtering run as queries over every matching row
+        // (see loadProjectTablePage) instead of on rows held in the table
+        paginationMode: "remote",
+        sortMode: "remote",
+        filterMode: "remote",
+        ajaxURL: "sqlite:Basic_Project_Info",  // Never fetched - ajaxRequestFunc answers every request
+        ajaxRequestFunc: (url, config, params) => Promise.resolve(loadProjectTablePage(params)),
+
         // Column interaction features
         movableColumns: true,         // Allow users to reorder columns by dragging
         resizableColumns: true,       // Allow users to resize columns
@@ -2506,22 +3308,32 @@ function initializeProjectsTable() {
             });
         },
 
-        dataLoaded: function(data) {
-            console.log(`Tabulator loaded ${data.length} rows`);
-            updateTableRecordCount(data.length);
-        },
-
-        dataFiltered: function(filters, rows) {
-            console.log(`Tabulator filtered to ${rows.length} rows`);
-            updateTableRecordCount(rows.length, true);
-        },
-
         // Row selection handler
         rowSelectionChanged: function(data, rows) {
             console.log(`Selected ${rows.length} rows`);
         }
     });
 
+    // The record count covers every matching row, not just the page shown
+    highwayProjectsTable.on('dataProcessed', function() {
+        updateTableRecordCount(projectTableSummary.count, projectTableSummary.filtered);
+    });
+
+    // Clicking a row zooms to and highlights its project lines
+    highwayProjectsTable.on('rowClick', function(e, row) {
+        highlightProjectFeatures(row.getData().SYP_NO, true);
+    });
+
+    // Double-clicking a row opens the project detail drawer
+    highwayProjectsTable.on('rowDblClick', function(e, row) {
+        openProjectDetail(row.getData().SYP_NO);
+    });
+
+    // Keep sorting, header filters and page size in the shareable URL
+    highwayProjectsTable.on('dataSorted', updateUrlState);
+    highwayProjectsTable.on('dataFiltered', updateUrlState);
+    highwayProjectsTable.on('pageLoaded', updateUrlState);
+
     // Set up export button event listeners
     setupExportButtons();
 
@@ -2576,7 +3388,8 @@ function createTableColumns(sampleRow) {
             title: "County",
             minWidth: 90,
             widthGrow: 1.5,
-            headerFilter: "input"
+            headerFilter: "input",
+            formatter: formatTextSearchCell
         },
         'SYP_NO': {
             title: "SYP No",
@@ -2588,7 +3401,8 @@ function createTableColumns(sampleRow) {
             title: "Route",
             minWidth: 75,
             widthGrow: 1,
-            headerFilter: "input"
+            headerFilter: "input",
+            formatter: formatTextSearchCell
         },
         'TYPE_WORK': {
             title: "Type Work",
@@ -2612,7 +3426,9 @@ function createTableColumns(sampleRow) {
             title: "Description",
             minWidth: 250,
             widthGrow: 4,
-            headerFilter: "input"
+            headerFilter: "input",
+            // Keyword search matches are marked in the searched columns
+            formatter: formatTextSearchCell
         },
         'BRIDGE_ID': {
             title: "Bridge ID",
@@ -2645,6 +3461,32 @@ function createTableColumns(sampleRow) {
                     return '<span class="badge bg-secondary">Unknown</span>';
                 }
             }
+        },
+        'ENACT_PHASE': {
+            title: "Phase",
+            minWidth: 70,
+            widthGrow: 0.8,
+            headerFilter: "input"
+        },
+        'FUND_CODE': {
+            title: "Fund Code",
+            minWidth: 80,
+            widthGrow: 0.8,
+            headerFilter: "input"
+        },
+        'RSY_FUND': {
+            title: "Programmed",
+            minWidth: 110,
+            widthGrow: 1.2,
+            headerFilter: "input",
+            sorter: "number",
+            hozAlign: "right",
+            // Currency cells with a running total of every matching row (not just the page) in the footer
+            formatter: "money",
+            formatterParams: CURRENCY_FORMATTER_PARAMS,
+            bottomCalc: () => projectTableSummary.fundTotal,
+            bottomCalcFormatter: "money",
+            bottomCalcFormatterParams: CURRENCY_FORMATTER_PARAMS
         }
     };
 
@@ -2666,7 +3508,12 @@ function createTableColumns(sampleRow) {
             headerFilter: config.headerFilter,
             headerFilterParams: config.headerFilterParams,
             formatter: config.formatter,
-            sorter: "string",            // Default sorter
+            formatterParams: config.formatterParams,
+            hozAlign: config.hozAlign,
+            bottomCalc: config.bottomCalc,
+            bottomCalcFormatter: config.bottomCalcFormatter,
+            bottomCalcFormatterParams: config.bottomCalcFormatterParams,
+            sorter: config.sorter || "string",  // Default sorter
             tooltip: true,               // Show tooltip on hover
             resizable: true              // Allow column resizing
         });
@@ -2687,7 +3534,7 @@ function setupExportButtons() {
         csvBtn.addEventListener('click', function() {
             if (highwayProjectsTable) {
                 console.log('Exporting data to CSV...');
-                highwayProjectsTable.download("csv", "ky-highway-projects.csv");
+                exportProjectTable("csv", "ky-highway-projects.csv");
             } else {
                 alert('Table not initialized. Please load data first.');
             }
@@ -2700,7 +3547,7 @@ function setupExportButtons() {
         jsonBtn.addEventListener('click', function() {
             if (highwayProjectsTable) {
                 console.log('Exporting data to JSON...');
-                highwayProjectsTable.download("json", "ky-highway-projects.json");
+                exportProjectTable("json", "ky-highway-projects.json");
             } else {
                 alert('Table not initialized. Please load data first.');
             }
@@ -2724,9 +3571,7 @@ function setupExportButtons() {
                 console.log('SheetJS library detected, proceeding with Excel export...');
 
                 try {
-                    highwayProjectsTable.download("xlsx", "ky-highway-projects.xlsx", {
-                        sheetName: "Highway Projects"
-                    });
+                    exportProjectTable("xlsx", "ky-highway-projects.xlsx");
                     console.log('Excel export initiated successfully');
                 } catch (error) {
                     console.error('Error during Excel export:', error);
@@ -2738,6 +3583,32 @@ function setupExportButtons() {
         });
     }
 
+    // Project line geometry exports
+    [['downloadGeoJSON', 'geojson'], ['downloadKML', 'kml'], ['downloadShapefile', 'shapefile']].forEach(([id, format]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => exportProjectGeometries(format));
+        }
+    });
+
+    // Map/table match report
+    const matchReportBtn = document.getElementById('matchReportBtn');
+    if (matchReportBtn) {
+        matchReportBtn.addEventListener('click', showProjectMatchReport);
+    }
+
+    // Changes between plan data snapshots
+    const snapshotDiffBtn = document.getElementById('snapshotDiffBtn');
+    if (snapshotDiffBtn) {
+        snapshotDiffBtn.addEventListener('click', showSnapshotDiff);
+    }
+
+    // Printable report of the current view
+    const printReportBtn = document.getElementById('printReportBtn');
+    if (printReportBtn) {
+        printReportBtn.addEventListener('click', printDashboardReport);
+    }
+
     console.log('Export button event listeners set up');
 }
 
@@ -2768,7 +3639,7 @@ async function loadDatabase() {
         console.log('Initializing SQL.js...');
         // Initialize SQL.js
         const SQL = await initSqlJs({
-            locateFile: file => `https://cdnjs.cloudflare.com/ajax/libs/sql.js/1.8.0/${file}`
+            locateFile: file => `vendor/sql.js/${file}`
         });
 
         recordCount.textContent = 'Fetching database file...';
@@ -2788,9 +3659,30 @@ async function loadDatabase() {
         // Create database
         database = new SQL.Database(uint8Array);
 
+        // Views come from js/schema.js rather than the copy stored in the file
+        applyProjectViews(database);
 
-        // Load the Basic_Project_Info table
-        loadBasicProjectInfo();
+        // Project type filtering compares precomputed categories
+        buildCrosswalkLookup();
+
+        // Keyword search uses a full-text index built in memory
+        buildTextSearchIndex();
+
+
+        // Load the charts and table for the current filters
+        updateChartsAndTable();
+
+        // Link table rows to map features
+        buildProjectKeyIndex();
+
+        // Project type colors come from the crosswalk table
+        applySymbology();
+
+        // The service worker has now cached the database
+        updateCacheStatus();
+
+        // Refresh date and row counts come from the metadata table
+        updateDataFreshnessBanner();
 
         loadBtn.textContent = 'Database Loaded';
         // The loading message will be replaced by updateTableRecordCount() when data loads
@@ -2805,8 +3697,9 @@ async function loadDatabase() {
 
 // Load and display Basic_Project_Info table
 /**
- * Loads and displays Basic_Project_Info data using Tabulator.js
- * This function replaces the old HTML table with an advanced Tabulator table
+ * Points the Tabulator.js table at the Basic_Project_Info rows matching the active filters
+ * The WHERE clause comes from buildFilterWhereClause() so every filter dimension intersects;
+ * the table then queries one page at a time (see loadProjectTablePage)
  */
 function loadBasicProjectInfo() {
     if (!database) {
@@ -2815,48 +3708,13 @@ function loadBasicProjectInfo() {
     }
 
     try {
-        console.log('Loading Basic_Project_Info data for Tabulator table...');
-
-        // Query the Basic_Project_Info view - get more records for better table demonstration
-        const stmt = database.prepare("SELECT * FROM Basic_Project_Info LIMIT 1000");
-        const rows = [];
-
-        // Get all rows
-        while (stmt.step()) {
-            rows.push(stmt.getAsObject());
-        }
-        stmt.free();
-
-        console.log(`Retrieved ${rows.length} rows from Basic_Project_Info`);
-
-        if (rows.length === 0) {
-            console.error('No data found in Basic_Project_Info view');
-            updateTableRecordCount(0);
-            return;
-        }
-
-        // Create year chart data from ProjectCount_Year view
-        loadProjectCountByYear();
-
-        // Create pie chart data from ProjectsAwarded view
-        loadProjectsAwardedData();
+        const filter = buildFilterWhereClause();
+        console.log('Loading Basic_Project_Info data for Tabulator table...', filter);
 
         // Update Tabulator table with new data
         if (highwayProjectsTable) {
-            console.log('Updating Tabulator table with new data...');
-
-            // Create column definitions based on the first row
-            const columns = createTableColumns(rows[0]);
-
-            // Update table columns
-            highwayProjectsTable.setColumns(columns);
-
-            // Load data into the table
-            highwayProjectsTable.setData(rows);
-
-            console.log('Tabulator table updated successfully');
-            // Ensure record count is updated after table loads
-            updateTableRecordCount(rows.length);
+            projectTableSource = { type: 'database', where: filter.where, params: filter.params };
+            refreshProjectTable(getBasicProjectInfoColumns());
         } else {
             console.error('Tabulator table not initialized');
             // Try to initialize the table if it doesn't exist
@@ -2874,211 +3732,485 @@ function loadBasicProjectInfo() {
     }
 }
 
-// Update charts and table with filtered data
-function updateChartsAndTable() {
-    console.log('Updating charts and table with current filters...');
+/**
+ * Loads rows built outside the database (map extent and area selection) into the Tabulator.js table
+ * They are paged, sorted and filtered the same way as database rows
+ * @param {Array<Object>} rows - Rows shaped like Basic_Project_Info
+ */
+function setTableRows(rows) {
+    if (rows.length === 0) {
+        console.log('No data found for the active filters');
+    }
+
+    projectTableSource = { type: 'rows', rows: rows };
+    refreshProjectTable(rows.length > 0 ? Object.keys(rows[0]) : getBasicProjectInfoColumns());
+}
+
+/* =====================================================
+   TABLE PAGING, SORTING AND FILTERING QUERIES
+   ===================================================== */
+
+// Where the table rows come from: the Basic_Project_Info view filtered by buildFilterWhereClause(),
+// or rows built from the project lines in map extent and area selection mode
+let projectTableSource = { type: 'database', where: '', params: [] };
+
+// Matching row count and programmed total of the last table query, shown above and below the table
+let projectTableSummary = { count: 0, fundTotal: 0, filtered: false };
+
+// Basic_Project_Info column names (read once from the database)
+let basicProjectInfoColumns = null;
+
+// Tabulator header filter types: how each is written in SQL and tested on a row value
+// (input filters send "like", select filters send "=")
+const TABLE_FILTER_TYPES = {
+    like: {
+        sql: column => `CAST(${column} AS TEXT) LIKE ? ESCAPE '\\'`,
+        param: value => `%${String(value).replace(/[\\%_]/g, '\\$&')}%`,
+        test: (cell, value) => String(cell === null || cell === undefined ? '' : cell).toLowerCase().includes(String(value).toLowerCase())
+    },
+    '=': {
+        sql: column => `${column} = ?`,
+        param: value => value,
+        test: (cell, value) => String(cell === null || cell === undefined ? '' : cell) === String(value)
+    }
+};
+
+/**
+ * Gets the Basic_Project_Info column names
+ * @returns {Array<string>} Column names in view order (empty before the database loads)
+ */
+function getBasicProjectInfoColumns() {
+    if (!basicProjectInfoColumns && database) {
+        const result = database.exec("PRAGMA table_info(Basic_Project_Info)");
+        basicProjectInfoColumns = result.length > 0 ? result[0].values.map(row => row[1]) : [];
+    }
+    return basicProjectInfoColumns || [];
+}
+
+/**
+ * Creates the table columns on first load, then has the table request its first page
+ * @param {Array<string>} fields - Column names of the rows the table will show
+ */
+function refreshProjectTable(fields) {
+    if (fields.length > 0 && (!highwayProjectsTable.getColumns().length ||
+        highwayProjectsTable.getColumns()[0].getField() === 'loading')) {
+        const sampleRow = {};
+        fields.forEach(field => { sampleRow[field] = null; });
+        highwayProjectsTable.setColumns(createTableColumns(sampleRow));
+    }
+
+    // Without data, setData() asks ajaxRequestFunc for page 1 with the current sort and header filters
+    highwayProjectsTable.setData()
+        .then(() => console.log('Tabulator table updated successfully'))
+        .catch(error => console.error('Error loading table page:', error));
+}
+
+/**
+ * Keeps only the header filters on known columns with a supported type
+ * @param {Array<Object>} filters - Tabulator filters ({ field, type, value })
+ * @returns {Array<Object>} Usable filters
+ */
+function getUsableTableFilters(filters) {
+    const columns = getBasicProjectInfoColumns();
+    return (filters || []).filter(filter => {
+        if (!TABLE_FILTER_TYPES[filter.type] || (columns.length > 0 && !columns.includes(filter.field))) {
+            console.warn('Ignoring unsupported table filter:', filter);
+            return false;
+        }
+        return filter.value !== '' && filter.value !== null && filter.value !== undefined;
+    });
+}
 
-    if (currentProjectTypeFilter) {
-        console.log('Applying project type filter to data:', currentProjectTypeFilter);
+/**
+ * Queries the table rows for a set of header filters and sorters
+ * @param {Object} query - { filters, sorters, offset, limit } (no limit returns every matching row)
+ * @returns {{rows: Array<Object>, count: number, fundTotal: number}} Rows in table order,
+ *          with the number and programmed total of all matching rows
+ */
+function queryProjectTable(query) {
+    const filters = getUsableTableFilters(query.filters);
+    const columns = getBasicProjectInfoColumns();
+    // Tabulator lists the primary sorter last
+    const sorters = (query.sorters || [])
+        .filter(sorter => columns.length === 0 || columns.includes(sorter.field))
+        .reverse();
+
+    if (projectTableSource.type === 'rows') {
+        const rows = projectTableSource.rows.filter(row =>
+            filters.every(filter => TABLE_FILTER_TYPES[filter.type].test(row[filter.field], filter.value)));
+
+        // Without a column sort, keyword search results come best match first
+        const scores = sorters.length === 0 ? getTextSearchScores() : null;
+        rows.sort((a, b) => {
+            for (const sorter of sorters) {
+                const result = compareTableValues(a[sorter.field], b[sorter.field]);
+                if (result !== 0) return sorter.dir === 'desc' ? -result : result;
+            }
+            return scores
+                ? (scores.get(normalizeProjectKey(b.SYP_NO)) || 0) - (scores.get(normalizeProjectKey(a.SYP_NO)) || 0)
+                : 0;
+        });
 
-        // Update charts with filtered data
-        loadFilteredProjectsAwardedDataByProjectType(currentProjectTypeFilter);
-        loadFilteredProjectCountByYearByProjectType(currentProjectTypeFilter);
+        return {
+            rows: query.limit ? rows.slice(query.offset, query.offset + query.limit) : rows,
+            count: rows.length,
+            fundTotal: rows.reduce((sum, row) => sum + (Number(row.RSY_FUND) || 0), 0)
+        };
+    }
 
-        // Update table with filtered data
-        loadFilteredBasicProjectInfoByProjectType(currentProjectTypeFilter);
+    if (!database) {
+        return { rows: [], count: 0, fundTotal: 0 };
+    }
 
-    } else if (currentDistrictFilter) {
-        console.log('Applying district filter to data:', currentDistrictFilter);
+    // Column names were checked against the view above, so only values need binding
+    const conditions = filters.map(filter => TABLE_FILTER_TYPES[filter.type].sql(filter.field));
+    const params = [...projectTableSource.params, ...filters.map(filter => TABLE_FILTER_TYPES[filter.type].param(filter.value))];
+    const where = [projectTableSource.where.replace(/^WHERE /, ''), ...conditions].filter(Boolean);
+    const whereSql = where.length > 0 ? `WHERE ${where.map(condition => `(${condition})`).join(' AND ')}` : '';
+    let orderSql = '';
+    if (sorters.length > 0) {
+        orderSql = `ORDER BY ${sorters.map(sorter => `${sorter.field} COLLATE NOCASE ${sorter.dir === 'desc' ? 'DESC' : 'ASC'}`).join(', ')}`;
+    } else if (getTextSearchScores()) {
+        // Without a column sort, keyword search results come best match first
+        orderSql = 'ORDER BY (SELECT score FROM project_text_ranks r WHERE r.SYP_NO = Basic_Project_Info.SYP_NO) DESC';
+    }
 
-        // Update charts with filtered data
-        loadFilteredProjectsAwardedData(currentDistrictFilter);
-        loadFilteredProjectCountByYear(currentDistrictFilter);
+    const countStmt = database.prepare(`SELECT COUNT(*) AS count, COALESCE(SUM(RSY_FUND), 0) AS fund_total FROM Basic_Project_Info ${whereSql}`);
+    countStmt.bind(params);
+    countStmt.step();
+    const totals = countStmt.getAsObject();
+    countStmt.free();
+
+    const rows = [];
+    const stmt = database.prepare(`SELECT * FROM Basic_Project_Info ${whereSql} ${orderSql}` +
+        (query.limit ? ' LIMIT ? OFFSET ?' : ''));
+    stmt.bind(query.limit ? [...params, query.limit, query.offset] : params);
+    while (stmt.step()) {
+        rows.push(stmt.getAsObject());
+    }
+    stmt.free();
 
-        // Update table with filtered data
-        loadFilteredBasicProjectInfo(currentDistrictFilter);
+    return { rows: rows, count: totals.count, fundTotal: totals.fund_total };
+}
 
-    } else if (currentCountyFilter) {
-        console.log('Applying county filter to data:', currentCountyFilter);
+/**
+ * Compares two cell values the way the SQL ORDER BY does (empty first, numbers by value, text ignoring case)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareTableValues(a, b) {
+    const emptyA = a === null || a === undefined || a === '';
+    const emptyB = b === null || b === undefined || b === '';
+    if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? -1 : 1);
+
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    const textA = String(a).toLowerCase();
+    const textB = String(b).toLowerCase();
+    return textA < textB ? -1 : (textA > textB ? 1 : 0);
+}
 
-        // Update charts with filtered data
-        loadFilteredProjectsAwardedDataByCounty(currentCountyFilter);
-        loadFilteredProjectCountByYearByCounty(currentCountyFilter);
+/**
+ * Answers a Tabulator page request (ajaxRequestFunc) from the current table source
+ * @param {Object} params - Tabulator request params: page, size (true for all rows), sort and filter
+ * @returns {Object} Tabulator remote pagination response: { last_page, last_row, data }
+ */
+function loadProjectTablePage(params) {
+    const size = params.size && params.size !== true ? Number(params.size) : 0;
+    const page = Math.max(Number(params.page) || 1, 1);
 
-        // Update table with filtered data
-        loadFilteredBasicProjectInfoByCounty(currentCountyFilter);
+    try {
+        const result = queryProjectTable({
+            filters: params.filter,
+            sorters: params.sort,
+            offset: size ? (page - 1) * size : 0,
+            limit: size
+        });
 
-    } else {
-        console.log('No filters active, loading all data');
+        projectTableSummary = {
+            count: result.count,
+            fundTotal: result.fundTotal,
+            filtered: getUsableTableFilters(params.filter).length > 0
+        };
+        console.log(`Table page ${page}: ${result.rows.length} of ${result.count} matching rows`);
 
-        // Load all data
-        loadProjectsAwardedData();
-        loadProjectCountByYear();
-        loadBasicProjectInfo();
+        return {
+            last_page: size ? Math.max(Math.ceil(result.count / size), 1) : 1,
+            last_row: result.count,
+            data: result.rows
+        };
+    } catch (error) {
+        console.error('Error querying table page:', error);
+        projectTableSummary = { count: 0, fundTotal: 0, filtered: false };
+        return { last_page: 1, last_row: 0, data: [] };
     }
 }
 
-// Load filtered data by project type
-function loadFilteredProjectsAwardedDataByProjectType(projectType) {
-    if (!database) {
-        console.error('Database not loaded');
+/**
+ * Gets every row matching the table's sorters and header filters, in table order
+ * @returns {Array<Object>} Rows shaped like Basic_Project_Info
+ */
+function getAllTableRows() {
+    return queryProjectTable({
+        filters: highwayProjectsTable.getHeaderFilters(),
+        sorters: highwayProjectsTable.getSorters()
+    }).rows;
+}
+
+/**
+ * Downloads every row matching the table's filters (not just the page shown)
+ * CSV and Excel use the column titles and order of the table; JSON keeps the field names
+ * @param {string} format - 'csv', 'json' or 'xlsx'
+ * @param {string} filename - Download file name
+ */
+function exportProjectTable(format, filename) {
+    const rows = getAllTableRows();
+    if (rows.length === 0) {
+        alert('There are no projects to export for the current filters.');
         return;
     }
 
-    try {
-        console.log('Loading filtered ProjectsAwarded data for project type:', projectType);
+    console.log(`Exporting ${rows.length} rows as ${format}`);
 
-        // Query Basic_Project_Info with project type filter and count by status
-        const stmt = database.prepare(`
-            SELECT
-                CASE
-                    WHEN c.dropdown_category = ? THEN 'Awarded'
-                    ELSE 'Current'
-                END as status,
-                COUNT(*) as count
-            FROM Basic_Project_Info b
-            LEFT JOIN crosswalk c ON b.TYPE_WORK = c.raw_project_type
-            WHERE c.dropdown_category = ?
-            GROUP BY status
-        `);
-        stmt.bind([projectType, projectType]);
+    if (format === 'json') {
+        downloadTextFile(JSON.stringify(rows), 'application/json', filename);
+        return;
+    }
 
-        let awardedCount = 0;
-        let currentCount = 0;
+    const columns = highwayProjectsTable.getColumns()
+        .filter(column => column.getField() && column.getField() in rows[0]);
+    const titledRows = rows.map(row => {
+        const titled = {};
+        columns.forEach(column => {
+            titled[column.getDefinition().title] = row[column.getField()];
+        });
+        return titled;
+    });
 
-        while (stmt.step()) {
-            const row = stmt.getAsObject();
-            if (row.status === 'Awarded') {
-                awardedCount = row.count || 0;
-            } else {
-                currentCount = row.count || 0;
-            }
-        }
+    if (format === 'xlsx') {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(titledRows), 'Highway Projects');
+        XLSX.writeFile(workbook, filename);
+    } else {
+        downloadTextFile(rowsToCSV(titledRows), 'text/csv', filename);
+    }
+}
 
-        console.log('Filtered project type counts - Awarded:', awardedCount, 'Current:', currentCount);
+/**
+ * Updates the map, charts and table from the current filterState
+ * This is the single refresh entry point used by every filter control
+ */
+function updateChartsAndTable() {
+    console.log('Updating charts and table with current filters:', filterState);
 
-        // Update project counts and refresh pie chart
-        updateProjectCounts('awarded', awardedCount);
-        updateProjectCounts('current', currentCount);
-        createProjectsPieChart();
+    // Highlight matching project lines on the map
+    applyFiltersToMap();
 
-    } catch (error) {
-        console.error('Error loading filtered ProjectsAwarded data by project type:', error);
+    if (extentFilterEnabled || spatialSelection) {
+        // Charts and table follow the project lines visible in the map or in the selected area
+        loadExtentProjectData(window.mainMap);
+    } else {
+        // Pie chart, years chart and table all use the same WHERE clause
+        loadProjectsAwardedData();
+        loadProjectCountByYear();
+        loadPhaseCountByYear();
+        loadFundingData();
+        loadBasicProjectInfo();
     }
+
+    // Keep the shareable URL in sync with the filters
+    updateUrlState();
 }
 
-// Load filtered data by project type for year chart
-function loadFilteredProjectCountByYearByProjectType(projectType) {
+// Load and display project counts by year for the bar chart
+function loadProjectCountByYear() {
     if (!database) {
         console.error('Database not loaded');
         return;
     }
 
     try {
-        console.log('Loading filtered ProjectCount_Year data for project type:', projectType);
+        const filter = buildFilterWhereClause();
+        console.log('Loading project counts by year...', filter);
 
-        // Query Basic_Project_Info with project type filter and count by year
+        // Aggregate Basic_Project_Info by plan year for the active filters
         const stmt = database.prepare(`
-            SELECT
-                RSY_YEAR as YEAR,
-                COUNT(*) as record_count
-            FROM Basic_Project_Info b
-            LEFT JOIN crosswalk c ON b.TYPE_WORK = c.raw_project_type
-            WHERE c.dropdown_category = ?
+            SELECT RSY_YEAR AS YEAR, COUNT(*) AS record_count
+            FROM Basic_Project_Info
+            ${filter.where}
             GROUP BY RSY_YEAR
             ORDER BY RSY_YEAR
         `);
-        stmt.bind([projectType]);
+        stmt.bind(filter.params);
 
+        // Convert to the format expected by the chart
         const yearData = {};
         while (stmt.step()) {
             const row = stmt.getAsObject();
-            const year = row.YEAR || row.year;
-            const count = row.record_count || row.RECORD_COUNT || row.count;
-
-            if (year && count !== undefined) {
-                yearData[year] = count;
+            if (row.YEAR && row.record_count !== undefined) {
+                yearData[row.YEAR] = row.record_count;
             }
         }
+        stmt.free();
 
-        console.log('Filtered project type year data:', yearData);
+        console.log('Processed year data for chart:', yearData);
 
-        // Update the years chart
+        // Create the years chart (an empty object clears it)
         createProjectYearsChart(yearData);
 
     } catch (error) {
-        console.error('Error loading filtered ProjectCount_Year data by project type:', error);
+        console.error('Error querying project counts by year:', error);
     }
 }
 
-// Load filtered table data by project type
-function loadFilteredBasicProjectInfoByProjectType(projectType) {
+/**
+ * Loads awarded vs current project counts for the pie chart
+ * Counts are calculated from Basic_Project_Info using the active filters
+ */
+function loadProjectsAwardedData() {
     if (!database) {
         console.error('Database not loaded');
         return;
     }
 
     try {
-        console.log('Loading filtered Basic_Project_Info for project type:', projectType);
+        const filter = buildFilterWhereClause();
+        console.log('Loading awarded vs current counts...', filter);
 
-        // Query Basic_Project_Info with project type filter
         const stmt = database.prepare(`
-            SELECT b.*
-            FROM Basic_Project_Info b
-            LEFT JOIN crosswalk c ON b.TYPE_WORK = c.raw_project_type
-            WHERE c.dropdown_category = ?
-            LIMIT 1000
+            SELECT
+                COUNT(CASE WHEN AWARDED = 'Awarded' THEN 1 END) AS Awarded,
+                COUNT(CASE WHEN AWARDED IS NULL OR AWARDED != 'Awarded' THEN 1 END) AS Current
+            FROM Basic_Project_Info
+            ${filter.where}
         `);
-        stmt.bind([projectType]);
+        stmt.bind(filter.params);
 
-        const rows = [];
-        while (stmt.step()) {
-            rows.push(stmt.getAsObject());
+        if (stmt.step()) {
+            const row = stmt.getAsObject();
+            console.log('Extracted counts - Awarded:', row.Awarded, 'Current:', row.Current);
+
+            // Update project counts and refresh pie chart
+            projectCounts.awarded = row.Awarded || 0;
+            projectCounts.current = row.Current || 0;
+        } else {
+            projectCounts.awarded = 0;
+            projectCounts.current = 0;
         }
         stmt.free();
 
-        console.log(`Found ${rows.length} records for project type: ${projectType}`);
+        createProjectsPieChart();
 
-        // Update Tabulator table with filtered data
-        if (highwayProjectsTable) {
-            if (rows.length === 0) {
-                console.log('No data found for project type:', projectType);
-                // Clear table data
-                highwayProjectsTable.setData([]);
-                updateTableRecordCount(0);
-            } else {
-                console.log('Updating Tabulator table with filtered project type data...');
+    } catch (error) {
+        console.error('Error querying awarded vs current counts:', error);
+    }
+}
 
-                // Create column definitions if needed (first time loading)
-                if (!highwayProjectsTable.getColumns().length ||
-                    highwayProjectsTable.getColumns()[0].getField() === 'loading') {
-                    const columns = createTableColumns(rows[0]);
-                    highwayProjectsTable.setColumns(columns);
-                }
+/**
+ * Loads the number of projects in each phase (ENACT_PHASE) per fiscal year for the phase years chart
+ * A project is counted once per phase and year even if it has several rows
+ */
+function loadPhaseCountByYear() {
+    if (!database) {
+        console.error('Database not loaded');
+        return;
+    }
 
-                // Load filtered data into the table
-                highwayProjectsTable.setData(rows);
+    try {
+        const filter = buildFilterWhereClause();
+        console.log('Loading project phases by year...', filter);
+
+        const stmt = database.prepare(`
+            SELECT RSY_YEAR AS YEAR, ENACT_PHASE AS PHASE, COUNT(DISTINCT SYP_NO) AS project_count
+            FROM Basic_Project_Info
+            ${filter.where}
+            GROUP BY RSY_YEAR, ENACT_PHASE
+            ORDER BY RSY_YEAR
+        `);
+        stmt.bind(filter.params);
 
-                console.log('Tabulator table updated with filtered project type data');
+        const phaseYearData = {};
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            if (row.YEAR && row.PHASE) {
+                phaseYearData[row.YEAR] = phaseYearData[row.YEAR] || {};
+                phaseYearData[row.YEAR][row.PHASE] = row.project_count;
             }
-        } else {
-            console.error('Tabulator table not initialized');
-            // Initialize table and try again
-            initializeProjectsTable();
-            setTimeout(() => loadFilteredBasicProjectInfoByProjectType(projectType), 100);
         }
+        stmt.free();
+
+        createPhaseYearsChart(phaseYearData);
 
     } catch (error) {
-        console.error('Error loading filtered Basic_Project_Info by project type:', error);
-        const recordCount = document.getElementById('recordCount');
-        if (recordCount) {
-            recordCount.textContent = 'Error loading filtered project type data: ' + error.message;
-        }
+        console.error('Error querying project phases by year:', error);
+    }
+}
+
+/**
+ * Loads programmed dollars (RSY_FUND) by year, fund code and phase for the funding panel
+ * Uses the same WHERE clause as the other charts so the totals follow the active filters
+ */
+function loadFundingData() {
+    if (!database) {
+        console.error('Database not loaded');
+        return;
+    }
+
+    try {
+        const filter = buildFilterWhereClause();
+        console.log('Loading funding totals...', filter);
+        renderFundingPanel(queryProjectFunding(filter.where, filter.params));
+    } catch (error) {
+        console.error('Error querying funding totals:', error);
     }
 }
 
+/**
+ * Sums RSY_FUND over the matching Basic_Project_Info rows, in total and by year, fund code and phase
+ * Both the filter view and the map extent view read funding from here, so toggling between
+ * them never switches sources; rows with no year, fund code or phase still count in the total
+ * @param {string} where - WHERE clause (may be empty)
+ * @param {Array} params - Values bound to the WHERE clause placeholders
+ * @returns {Object} { total, byYear, byFundCode, byPhase } dollar amounts
+ */
+function queryProjectFunding(where, params) {
+    const totalStmt = database.prepare(`SELECT SUM(RSY_FUND) AS amount FROM Basic_Project_Info ${where}`);
+    totalStmt.bind(params);
+    totalStmt.step();
+    const total = totalStmt.getAsObject().amount || 0;
+    totalStmt.free();
+
+    // One grouped query per breakdown; empty groups are left out of the charts
+    const sumBy = (column) => {
+        const stmt = database.prepare(`
+            SELECT ${column} AS label, SUM(RSY_FUND) AS amount
+            FROM Basic_Project_Info
+            ${where}
+            GROUP BY ${column}
+        `);
+        stmt.bind(params);
+
+        const amounts = {};
+        while (stmt.step()) {
+            const row = stmt.getAsObject();
+            if (row.label && row.amount) {
+                amounts[row.label] = row.amount;
+            }
+        }
+        stmt.free();
+        return amounts;
+    };
+
+    return {
+        total: total,
+        byYear: sumBy('RSY_YEAR'),
+        byFundCode: sumBy('FUND_CODE'),
+        byPhase: sumBy('ENACT_PHASE')
+    };
+}
+
 // Load and display ProjectCount_Year data for the bar chart
-function loadProjectCountByYear() {
+function loadProjectsByYear() {
     if (!database) {
         console.error('Database not loaded');
         return;
@@ -3087,8 +4219,17 @@ function loadProjectCountByYear() {
     try {
         console.log('Loading ProjectCount_Year data...');
 
+        // First, let's check if the table exists
+        const checkStmt = database.prepare("SELECT name FROM sqlite_master WHERE type='table' OR type='view'");
+        const tables = [];
+        while (checkStmt.step()) {
+            tables.push(checkStmt.getAsObject().name);
+        }
+        checkStmt.free();
+        console.log('Available tables/views:', tables);
+
         // Query the ProjectCount_Year view
-        const stmt = database.prepare("SELECT * FROM ProjectCount_Year ORDER BY YEAR");
+        const stmt = database.prepare("SELECT * FROM ProjectCount_Year");
         const rows = [];
 
         // Get all rows
@@ -3104,18 +4245,28 @@ function loadProjectCountByYear() {
             return;
         }
 
+        // Show the structure of the first row
+        console.log('First row structure:', Object.keys(rows[0]));
+        console.log('First row values:', rows[0]);
+
         // Convert to the format expected by the chart
         const yearData = {};
         rows.forEach(row => {
-            const year = row.YEAR || row.year;
-            const count = row.record_count || row.RECORD_COUNT || row.count;
+            // Check all possible column names
+            console.log('Processing row:', row);
+
+            const year = row.year || row.Year || row.YEAR || row.RSY_Year || row.rsy_year;
+            const count = row.project_count || row.count || row.COUNT || row.projects || row.ProjectCount || row.projectcount;
+
+            console.log('Extracted - Year:', year, 'Count:', count);
 
-            if (year && count !== undefined) {
+            // Remove the 2024 filter temporarily to see all data
+            if (year && count) {
                 yearData[year] = count;
             }
         });
 
-        console.log('Processed year data for chart:', yearData);
+        console.log('All processed year data for chart:', yearData);
 
         // Create the years chart
         if (Object.keys(yearData).length > 0) {
@@ -3127,600 +4278,5081 @@ function loadProjectCountByYear() {
     } catch (error) {
         console.error('Error querying ProjectCount_Year:', error);
 
-        // Fallback to the old method if the view doesn't exist
+        // Try alternative table names
         try {
-            console.log('Falling back to Basic_Project_Info for years chart...');
-            const fallbackStmt = database.prepare("SELECT RSY_YEAR FROM Basic_Project_Info WHERE RSY_YEAR >= 2024");
-            const yearData = {};
-
-            while (fallbackStmt.step()) {
-                const row = fallbackStmt.getAsObject();
-                const rsyYear = parseInt(row.RSY_YEAR);
-                if (!isNaN(rsyYear)) {
-                    yearData[rsyYear] = (yearData[rsyYear] || 0) + 1;
-                }
-            }
-            fallbackStmt.free();
-
-            if (Object.keys(yearData).length > 0) {
-                createProjectYearsChart(yearData);
+            console.log('Trying alternative table names...');
+            const altStmt = database.prepare("SELECT * FROM Projects_by_Year LIMIT 5");
+            const altRows = [];
+            while (altStmt.step()) {
+                altRows.push(altStmt.getAsObject());
             }
-
-            console.log('Used fallback data for years chart:', yearData);
-        } catch (fallbackError) {
-            console.error('Fallback also failed:', fallbackError);
+            altStmt.free();
+            console.log('Projects_by_Year data:', altRows);
+        } catch (altError) {
+            console.log('Projects_by_Year also not found');
         }
     }
 }
 
-// Load filtered ProjectsAwarded data by district
-function loadFilteredProjectsAwardedData(districtNumber) {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
+// Helper function to format column names
+function formatColumnName(colName) {
+    return colName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+}
+
+// Helper function to format cell values
+function formatCellValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return '<span class="text-muted">—</span>';
     }
+    return String(value);
+}
 
+// Helper function to get total record count
+function getTotalRecordCount() {
     try {
-        console.log('Loading filtered ProjectsAwarded data for district:', districtNumber);
+        const stmt = database.prepare("SELECT COUNT(*) as count FROM Basic_Project_Info");
+        stmt.step();
+        const result = stmt.getAsObject();
+        stmt.free();
+        return result.count;
+    } catch (error) {
+        return 'unknown';
+    }
+}
 
-        // Format district number properly (ensure it's two digits with leading zero if needed)
-        const formattedDistrict = `District ${districtNumber.toString().padStart(2, '0')}`;
-        console.log('Formatted district string:', formattedDistrict);
+/* =====================================================
+   7. SHAREABLE URL STATE
+   ===================================================== */
 
-        // Query the ProjectsAwarded_ByDistrict view
-        const stmt = database.prepare("SELECT * FROM ProjectsAwarded_ByDistrict WHERE DISTRICT = ?");
-        stmt.bind([formattedDistrict]);
+// True while state is being applied from the URL, so partial state isn't written back
+let urlStateRestoring = false;
 
-        if (stmt.step()) {
-            const row = stmt.getAsObject();
-            console.log('Filtered ProjectsAwarded row data:', row);
+// False until the link the page was opened with has been applied; until then map moves
+// (e.g. the awarded layer's fitBounds) must not overwrite the hash with the empty startup state
+let initialUrlStateRestored = false;
 
-            // The view contains aggregate counts in columns named "Awarded" and "Current"
-            const awardedCount = row.Awarded || row.awarded || 0;
-            const currentCount = row.Current || row.current || 0;
+// Timer used to debounce URL updates while the user pans or types in header filters
+let urlStateTimer = null;
 
-            console.log('Filtered counts - Awarded:', awardedCount, 'Current:', currentCount);
+/**
+ * Reads the dashboard state from the URL hash
+ * @returns {Object} Parsed state (only keys present in the URL are set)
+ * @example "#district=7&type=Bridge+Projects&hide=1&render=canvas&view=37.80000,-85.00000,8&style=cost&width=length&sort=COUNTY:asc&size=50&hf=ROUTE:KY-80&project=07-00123.00"
+ */
+function readUrlState() {
+    const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const state = {
+        filters: {},
+        sorters: [],
+        headerFilters: []
+    };
 
-            // Update project counts and refresh pie chart
-            projectCounts.awarded = awardedCount;
-            projectCounts.current = currentCount;
-            createProjectsPieChart();
-        } else {
-            console.log('No data found for district:', formattedDistrict);
-            // Set counts to zero if no data found
-            projectCounts.awarded = 0;
-            projectCounts.current = 0;
-            createProjectsPieChart();
+    // Filter dimensions use their filterState key as the parameter name
+    Object.keys(filterDimensions).forEach(key => {
+        if (params.get(key)) {
+            state.filters[key] = params.get(key);
         }
+    });
 
-        stmt.free();
+    state.extentFilter = params.get('extent') === '1';
+    state.hideFiltered = params.get('hide') === '1';
+    state.renderMode = params.get('render') === 'canvas' ? 'canvas' : 'svg';
 
-    } catch (error) {
-        console.error('Error querying filtered ProjectsAwarded:', error);
-    }
-}// Load filtered ProjectCount_Year data by district
-function loadFilteredProjectCountByYear(districtNumber) {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
+    if (params.get('basemap') && basemaps[params.get('basemap')]) {
+        state.basemap = params.get('basemap');
     }
 
-    try {
-        console.log('Loading filtered ProjectCount_Year data for district:', districtNumber);
-
-        // Format district number properly (ensure it's two digits with leading zero if needed)
-        const formattedDistrict = `District ${districtNumber.toString().padStart(2, '0')}`;
-        console.log('Formatted district string:', formattedDistrict);
-
-        // First try to use the ProjectYears_ByDistrict view if it exists
-        let stmt;
-        let rows = [];
+    // Map view is stored as "lat,lng,zoom"
+    if (params.get('view')) {
+        const [lat, lng, zoom] = params.get('view').split(',').map(Number);
+        if (!isNaN(lat) && !isNaN(lng) && !isNaN(zoom)) {
+            state.view = { lat, lng, zoom };
+        }
+    }
 
-        try {
-            console.log('Attempting to use ProjectYears_ByDistrict view...');
-            stmt = database.prepare("SELECT * FROM ProjectYears_ByDistrict WHERE DISTRICT = ? ORDER BY RSY_YEAR");
-            stmt.bind([formattedDistrict]);
+    // Line symbology (section 14)
+    state.colorBy = params.get('style') || 'status';
+    state.weightBy = params.get('width') || 'none';
 
-            while (stmt.step()) {
-                rows.push(stmt.getAsObject());
-            }
-            stmt.free();
+    // Table sorters are stored as "FIELD:dir" (repeatable)
+    params.getAll('sort').forEach(value => {
+        const [field, dir] = value.split(':');
+        if (field) {
+            state.sorters.push({ column: field, dir: dir === 'desc' ? 'desc' : 'asc' });
+        }
+    });
 
-            console.log('Successfully loaded from ProjectYears_ByDistrict:', rows);
-        } catch (viewError) {
-            console.log('ProjectYears_ByDistrict view not available, falling back to Basic_Project_Info');
-
-            // Fallback: Query Basic_Project_Info with district filter and aggregate by year
-            stmt = database.prepare(`
-                SELECT RSY_YEAR as YEAR, COUNT(*) as record_count
-                FROM Basic_Project_Info
-                WHERE DISTRICT = ? AND RSY_YEAR >= 2024
-                GROUP BY RSY_YEAR
-                ORDER BY RSY_YEAR
-            `);
-            stmt.bind([formattedDistrict]);
+    // Page size is a number, or "all" for Tabulator's show-all option
+    if (params.get('size')) {
+        state.pageSize = params.get('size') === 'all' ? true : parseInt(params.get('size'));
+    }
 
-            while (stmt.step()) {
-                rows.push(stmt.getAsObject());
-            }
-            stmt.free();
+    // Header filters are stored as "FIELD:value" (repeatable)
+    params.getAll('hf').forEach(value => {
+        const separator = value.indexOf(':');
+        if (separator > 0) {
+            state.headerFilters.push({ field: value.slice(0, separator), value: value.slice(separator + 1) });
         }
+    });
 
-        console.log('Filtered ProjectCount_Year data:', rows);
-
-        // Convert to the format expected by the chart
-        const yearData = {};
-        rows.forEach(row => {
-            const year = row.RSY_YEAR || row.YEAR || row.year;
-            const count = row.total_projects || row.record_count || row.RECORD_COUNT || row.count || row.Count;
+    // Project open in the detail drawer (section 21)
+    state.project = params.get('project') || null;
 
-            if (year && count !== undefined) {
-                yearData[year] = count;
-            }
-        });
+    return state;
+}
 
-        console.log('Processed filtered year data for chart:', yearData);
+/**
+ * Serializes the current filters, basemap, map view and table settings
+ * @returns {string} URL hash parameters (without the leading "#")
+ */
+function serializeDashboardState() {
+    const params = new URLSearchParams();
 
-        // Create the years chart
-        if (Object.keys(yearData).length > 0) {
-            createProjectYearsChart(yearData);
-        } else {
-            console.log('No valid year data found for district:', formattedDistrict);
-            // Create empty chart
-            createProjectYearsChart({});
-        }
+    getActiveFilterKeys().forEach(key => {
+        params.set(key, filterState[key]);
+    });
 
-    } catch (error) {
-        console.error('Error querying filtered ProjectCount_Year:', error);
+    if (extentFilterEnabled) {
+        params.set('extent', '1');
     }
-}
 
-// Load filtered Basic_Project_Info data by district
-/**
- * Loads filtered Basic_Project_Info data by district using Tabulator.js
- * @param {string|number} districtNumber - The district number to filter by
- */
-function loadFilteredBasicProjectInfo(districtNumber) {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
+    if (hideFilteredFeatures) {
+        params.set('hide', '1');
     }
 
-    try {
-        console.log('Loading filtered Basic_Project_Info for district:', districtNumber);
+    if (projectRenderMode === 'canvas') {
+        params.set('render', 'canvas');
+    }
 
-        // Format district number properly (ensure it's two digits with leading zero if needed)
-        const formattedDistrict = `District ${districtNumber.toString().padStart(2, '0')}`;
-        console.log('Formatted district string:', formattedDistrict);
+    params.set('basemap', currentBasemap);
 
-        // Query the Basic_Project_Info view with district filter - get more records for better filtering
-        const stmt = database.prepare("SELECT * FROM Basic_Project_Info WHERE DISTRICT = ? LIMIT 1000");
-        stmt.bind([formattedDistrict]);
+    if (window.mainMap) {
+        const center = window.mainMap.getCenter();
+        params.set('view', `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${window.mainMap.getZoom()}`);
+    }
 
-        const rows = [];
-        while (stmt.step()) {
-            rows.push(stmt.getAsObject());
-        }
-        stmt.free();
+    if (symbologyState.colorBy !== 'status') {
+        params.set('style', symbologyState.colorBy);
+    }
+    if (symbologyState.weightBy !== 'none') {
+        params.set('width', symbologyState.weightBy);
+    }
 
-        console.log(`Found ${rows.length} records for ${formattedDistrict}`);
+    if (highwayProjectsTable) {
+        try {
+            highwayProjectsTable.getSorters().forEach(sorter => {
+                params.append('sort', `${sorter.field}:${sorter.dir}`);
+            });
 
-        // Update Tabulator table with filtered data
-        if (highwayProjectsTable) {
-            if (rows.length === 0) {
-                console.log('No data found for district:', formattedDistrict);
-                // Clear table data
-                highwayProjectsTable.setData([]);
-                updateTableRecordCount(0);
-            } else {
-                console.log('Updating Tabulator table with filtered district data...');
+            const pageSize = highwayProjectsTable.getPageSize();
+            if (pageSize) {
+                params.set('size', pageSize === true ? 'all' : pageSize);
+            }
 
-                // Create column definitions if needed (first time loading)
-                if (!highwayProjectsTable.getColumns().length ||
-                    highwayProjectsTable.getColumns()[0].getField() === 'loading') {
-                    const columns = createTableColumns(rows[0]);
-                    highwayProjectsTable.setColumns(columns);
+            highwayProjectsTable.getHeaderFilters().forEach(headerFilter => {
+                if (headerFilter.value !== '' && headerFilter.value !== null && headerFilter.value !== undefined) {
+                    params.append('hf', `${headerFilter.field}:${headerFilter.value}`);
                 }
+            });
+        } catch (error) {
+            // Table isn't built yet - skip its settings for now
+            console.log('Table state not available for URL yet:', error.message);
+        }
+    }
 
-                // Load filtered data into the table
-                highwayProjectsTable.setData(rows);
+    if (projectDetailSypNo || projectDetailPending) {
+        params.set('project', projectDetailSypNo || projectDetailPending);
+    }
 
-                console.log('Tabulator table updated with filtered district data');
-            }
-        } else {
-            console.error('Tabulator table not initialized');
-            // Initialize table and try again
-            initializeProjectsTable();
-            setTimeout(() => loadFilteredBasicProjectInfo(districtNumber), 100);
-        }
+    return params.toString();
+}
 
-    } catch (error) {
-        console.error('Error loading filtered Basic_Project_Info:', error);
-        const recordCount = document.getElementById('recordCount');
-        if (recordCount) {
-            recordCount.textContent = 'Error loading filtered data: ' + error.message;
+/**
+ * Writes the current dashboard state to the URL hash (debounced)
+ * Uses replaceState so clicking around doesn't flood the browser history
+ */
+function updateUrlState() {
+    if (urlStateRestoring || !initialUrlStateRestored) return;
+
+    clearTimeout(urlStateTimer);
+    urlStateTimer = setTimeout(() => {
+        const hash = serializeDashboardState();
+        if (window.location.hash.replace(/^#/, '') !== hash) {
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
         }
-    }
+    }, 250);
 }
 
 /**
- * Loads filtered ProjectsAwarded data by county
- * @param {string} countyName - The county name to filter by
+ * Applies the state stored in the URL hash to the dashboard
+ * Called once the database has loaded (filters need it) and on hashchange
+ * @param {L.Map} map - The Leaflet map instance
  */
-function loadFilteredProjectsAwardedDataByCounty(countyName) {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
-    }
+function restoreUrlState(map) {
+    // Ignore hash changes we made ourselves
+    if (initialUrlStateRestored && window.location.hash.replace(/^#/, '') === serializeDashboardState()) return;
 
-    try {
-        console.log('Loading filtered ProjectsAwarded data for county:', countyName);
+    const state = readUrlState();
+    console.log('Restoring dashboard state from URL:', state);
 
-        // Query the ProjectsAwarded_ByCounty view
-        const stmt = database.prepare("SELECT * FROM ProjectsAwarded_ByCounty WHERE COUNTY = ?");
-        stmt.bind([countyName]);
+    urlStateRestoring = true;
 
-        if (stmt.step()) {
-            const row = stmt.getAsObject();
-            console.log('Filtered ProjectsAwarded row data for county:', row);
+    try {
+        // Basemap
+        if (state.basemap && state.basemap !== currentBasemap) {
+            switchBasemap(map, state.basemap);
+            document.querySelectorAll('.basemap-option').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.basemap === state.basemap);
+            });
+        }
 
-            // The view contains aggregate counts in columns named "Awarded" and "Current"
-            const awardedCount = row.Awarded || row.awarded || 0;
-            const currentCount = row.Current || row.current || 0;
+        // Filters - only touch dimensions that differ from the current state
+        if ((state.filters.district || null) !== (filterState.district ? String(filterState.district) : null)) {
+            if (state.filters.district) {
+                applyDistrictFilter(state.filters.district);
+            } else {
+                clearDistrictFilter(map);
+            }
+        }
 
-            console.log('Filtered counts - Awarded:', awardedCount, 'Current:', currentCount);
+        if ((state.filters.county || null) !== filterState.county) {
+            if (state.filters.county) {
+                applyCountyFilter(state.filters.county);
+            } else {
+                clearCountyFilter(map);
+            }
+        }
 
-            // Update project counts and refresh pie chart
-            projectCounts.awarded = awardedCount;
-            projectCounts.current = currentCount;
-            createProjectsPieChart();
-        } else {
-            console.log('No data found for county:', countyName);
-            // Set counts to zero if no data found
-            projectCounts.awarded = 0;
-            projectCounts.current = 0;
-            createProjectsPieChart();
+        if ((state.filters.projectType || null) !== filterState.projectType) {
+            if (state.filters.projectType) {
+                setProjectTypeButtonActive(getProjectTypeDisplayName(state.filters.projectType));
+                applyProjectTypeFilter(map, state.filters.projectType);
+            } else {
+                clearProjectTypeFilter(map);
+            }
         }
 
-        stmt.free();
-
-    } catch (error) {
-        console.error('Error querying filtered ProjectsAwarded by county:', error);
-
-        // Fallback: Query Basic_Project_Info and count awarded vs current by county
-        try {
-            console.log('Falling back to Basic_Project_Info for county pie chart...');
-            const stmt = database.prepare(`
-                SELECT
-                    COUNT(CASE WHEN AWARDED IS NOT NULL AND AWARDED != '' THEN 1 END) as Awarded,
-                    COUNT(CASE WHEN AWARDED IS NULL OR AWARDED = '' THEN 1 END) as Current
-                FROM Basic_Project_Info
-                WHERE COUNTY = ?
-            `);
-            stmt.bind([countyName]);
-
-            if (stmt.step()) {
-                const row = stmt.getAsObject();
-                console.log('Fallback ProjectsAwarded row data for county:', row);
-
-                const awardedCount = row.Awarded || 0;
-                const currentCount = row.Current || 0;
-
-                console.log('Fallback counts - Awarded:', awardedCount, 'Current:', currentCount);
+        if ((state.filters.text || null) !== filterState.text) {
+            applyTextSearch(state.filters.text || null);
+        }
 
-                projectCounts.awarded = awardedCount;
-                projectCounts.current = currentCount;
-                createProjectsPieChart();
-            }
-            stmt.free();
-        } catch (fallbackError) {
-            console.error('Fallback also failed:', fallbackError);
+        // Map view wins over the zoom applied by the filters
+        if (state.view) {
+            map.setView([state.view.lat, state.view.lng], state.view.zoom);
         }
-    }
-}
 
-// Load filtered ProjectCount_Year data by county
-function loadFilteredProjectCountByYearByCounty(countyName) {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
-    }
+        if (state.extentFilter !== extentFilterEnabled) {
+            setExtentFilterEnabled(map, state.extentFilter);
+        }
 
-    try {
-        console.log('Loading filtered ProjectCount_Year data for county:', countyName);
+        if (state.hideFiltered !== hideFilteredFeatures) {
+            setHideFilteredFeatures(state.hideFiltered);
+        }
 
-        // First try to use the ProjectYears_ByCounty view if it exists
-        let stmt;
-        let rows = [];
+        if (state.renderMode !== projectRenderMode) {
+            setProjectRenderMode(state.renderMode);
+        }
 
-        try {
-            console.log('Attempting to use ProjectYears_ByCounty view...');
-            stmt = database.prepare("SELECT * FROM ProjectYears_ByCounty WHERE COUNTY = ? ORDER BY RSY_YEAR");
-            stmt.bind([countyName]);
+        if (state.colorBy !== symbologyState.colorBy || state.weightBy !== symbologyState.weightBy) {
+            setSymbology(state.colorBy, state.weightBy);
+        }
 
-            while (stmt.step()) {
-                rows.push(stmt.getAsObject());
+        // Table settings
+        if (highwayProjectsTable) {
+            if (state.pageSize) {
+                highwayProjectsTable.setPageSize(state.pageSize);
             }
-            stmt.free();
 
-            console.log('Successfully loaded from ProjectYears_ByCounty:', rows);
-        } catch (viewError) {
-            console.log('ProjectYears_ByCounty view not available, falling back to Basic_Project_Info');
-
-            // Fallback: Query Basic_Project_Info with county filter and aggregate by year
-            stmt = database.prepare(`
-                SELECT RSY_YEAR as YEAR, COUNT(*) as record_count
-                FROM Basic_Project_Info
-                WHERE COUNTY = ? AND RSY_YEAR >= 2024
-                GROUP BY RSY_YEAR
-                ORDER BY RSY_YEAR
-            `);
-            stmt.bind([countyName]);
+            highwayProjectsTable.clearHeaderFilter();
+            state.headerFilters.forEach(headerFilter => {
+                highwayProjectsTable.setHeaderFilterValue(headerFilter.field, headerFilter.value);
+            });
 
-            while (stmt.step()) {
-                rows.push(stmt.getAsObject());
+            if (state.sorters.length > 0) {
+                highwayProjectsTable.setSort(state.sorters);
+            } else {
+                highwayProjectsTable.clearSort();
             }
-            stmt.free();
         }
 
-        console.log('Filtered ProjectCount_Year data for county:', rows);
-
-        // Convert to the format expected by the chart
-        const yearData = {};
-        rows.forEach(row => {
-            const year = row.RSY_YEAR || row.YEAR || row.year;
-            const count = row.total_projects || row.record_count || row.RECORD_COUNT || row.count;
-
-            if (year && count !== undefined) {
-                yearData[year] = count;
+        // Project detail drawer - a project on a map layer that is still loading opens once it loads
+        if (state.project !== (projectDetailSypNo || projectDetailPending)) {
+            if (state.project) {
+                if (!openProjectDetail(state.project)) {
+                    projectDetailPending = state.project;
+                }
+            } else {
+                closeProjectDetail();
             }
-        });
-
-        console.log('Processed filtered year data for county chart:', yearData);
-
-        // Create the years chart
-        if (Object.keys(yearData).length > 0) {
-            createProjectYearsChart(yearData);
-        } else {
-            console.log('No valid year data found for county:', countyName);
-            createProjectYearsChart({});
         }
-
     } catch (error) {
-        console.error('Error querying filtered ProjectCount_Year by county:', error);
+        console.error('Error restoring dashboard state from URL:', error);
+    } finally {
+        urlStateRestoring = false;
+        initialUrlStateRestored = true;
     }
+
+    // Write back the normalized state
+    updateUrlState();
 }
 
-// Load filtered Basic_Project_Info data by county
+/* =====================================================
+   8. MAP EXTENT FILTERING
+   ===================================================== */
+
+// When enabled, the charts and table show only the projects visible in the map
+let extentFilterEnabled = false;
+
+// Timer used to debounce extent updates so panning stays smooth
+let extentFilterTimer = null;
+
 /**
- * Loads filtered Basic_Project_Info data by county using Tabulator.js
- * @param {string} countyName - The county name to filter by
+ * Turns map-extent filtering on or off
+ * @param {L.Map} map - The Leaflet map instance
+ * @param {boolean} enabled - Whether the charts and table should follow the map extent
  */
-function loadFilteredBasicProjectInfoByCounty(countyName) {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
+function setExtentFilterEnabled(map, enabled) {
+    console.log('Map extent filtering:', enabled ? 'on' : 'off');
+
+    extentFilterEnabled = enabled;
+
+    // Update the button active state
+    const btn = document.querySelector('.extent-filter-btn');
+    if (btn) {
+        btn.classList.toggle('active', enabled);
+        btn.title = enabled ? 'Filtering by Map Extent (click to turn off)' : 'Filter by Map Extent';
     }
 
-    try {
-        console.log('Loading filtered Basic_Project_Info for county:', countyName);
+    if (enabled) {
+        map.on('moveend', scheduleExtentUpdate);
+    } else {
+        clearTimeout(extentFilterTimer);
+        map.off('moveend', scheduleExtentUpdate);
+    }
 
-        // Query the Basic_Project_Info view with county filter - get more records for better filtering
-        const stmt = database.prepare("SELECT * FROM Basic_Project_Info WHERE COUNTY = ? LIMIT 1000");
-        stmt.bind([countyName]);
+    updatePanelTitles();
 
-        const rows = [];
-        while (stmt.step()) {
-            rows.push(stmt.getAsObject());
-        }
-        stmt.free();
+    // Reload everything from the extent (on) or from the database (off)
+    updateChartsAndTable();
+}
 
-        console.log(`Found ${rows.length} records for ${countyName} County`);
+// Debounced moveend handler
+function scheduleExtentUpdate() {
+    clearTimeout(extentFilterTimer);
+    extentFilterTimer = setTimeout(() => loadExtentProjectData(window.mainMap), 300);
+}
 
-        // Update Tabulator table with filtered data
-        if (highwayProjectsTable) {
-            if (rows.length === 0) {
-                console.log('No data found for county:', countyName);
-                // Clear table data
-                highwayProjectsTable.setData([]);
-                updateTableRecordCount(0);
-            } else {
-                console.log('Updating Tabulator table with filtered county data...');
+/**
+ * Collects the project features that intersect the current map bounds (when extent filtering is on)
+ * and the drawn selection area (section 17, when there is one) and match every active filter
+ * @param {L.Map} map - The Leaflet map instance
+ * @returns {Object} { awarded: [features], current: [features] }
+ */
+function getFeaturesInExtent(map) {
+    const bounds = map.getBounds();
+    const result = { awarded: [], current: [] };
+
+    const collect = (projectLayer, list) => {
+        if (!projectLayer) return;
+        eachProjectFeatureLayer(projectLayer, function(layer) {
+            if (!layer.feature || !layer.getBounds) return;
+            // Bounding-box test is enough at dashboard zoom levels
+            if (extentFilterEnabled && !bounds.intersects(layer.getBounds())) return;
+            // Drawn areas are tested against the line geometry
+            if (spatialSelection && !layerIntersectsSelection(layer, spatialSelection)) return;
+            if (featureMatchesFilters(layer.feature)) {
+                list.push(layer.feature);
+            }
+        });
+    };
 
-                // Create column definitions if needed (first time loading)
-                if (!highwayProjectsTable.getColumns().length ||
-                    highwayProjectsTable.getColumns()[0].getField() === 'loading') {
-                    const columns = createTableColumns(rows[0]);
-                    highwayProjectsTable.setColumns(columns);
-                }
+    collect(awardedProjectsLayer, result.awarded);
+    collect(currentProjectsLayer, result.current);
 
-                // Load filtered data into the table
-                highwayProjectsTable.setData(rows);
+    return result;
+}
 
-                console.log('Tabulator table updated with filtered county data');
-            }
-        } else {
-            console.error('Tabulator table not initialized');
-            // Initialize table and try again
-            initializeProjectsTable();
-            setTimeout(() => loadFilteredBasicProjectInfoByCounty(countyName), 100);
-        }
+/**
+ * Converts a DIST_ITEM id to the SYP number format used by the projects table
+ * @param {string} distItem - GeoJSON DIST_ITEM, e.g. "5-136.00"
+ * @returns {string} SYP number, e.g. "05-00136.00" (input returned unchanged if it doesn't parse)
+ */
+function distItemToSypNo(distItem) {
+    const match = String(distItem || '').trim().match(/^(\d+)-(\d+)\.(\d+)$/);
+    if (!match) return distItem || '';
+    return `${match[1].padStart(2, '0')}-${match[2].padStart(5, '0')}.${match[3]}`;
+}
 
-    } catch (error) {
-        console.error('Error loading filtered Basic_Project_Info by county:', error);
-        const recordCount = document.getElementById('recordCount');
-        if (recordCount) {
-            recordCount.textContent = 'Error loading filtered county data: ' + error.message;
-        }
-    }
+/**
+ * Gets the scheduled year of a project feature (construction fiscal year, else plan year)
+ * @param {Object} props - Feature properties
+ * @returns {number|null} Scheduled year
+ */
+function getFeatureScheduleYear(props) {
+    return getPlanProperty(props, 'SYP_RPT_CSYFISYEARC') || getPlanProperty(props, 'PLANYEAR') || null;
 }
 
 /**
- * Loads and displays ProjectsAwarded data for the pie chart
- * This function queries the database for awarded vs current project statistics
+ * Converts a date to its Kentucky fiscal year (July 1 - June 30, named for the year it ends)
+ * @param {number|Date} date - Date or epoch milliseconds (GeoJSON AUTHDATE values)
+ * @returns {number} Fiscal year
  */
-function loadProjectsAwardedData() {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
-    }
+function dateToFiscalYear(date) {
+    const value = new Date(date);
+    return value.getUTCMonth() >= 6 ? value.getUTCFullYear() + 1 : value.getUTCFullYear();
+}
 
-    try {
-        console.log('Loading ProjectsAwarded data...');
+/**
+ * Gets the phases of a project feature from its SYP_RPT_*{P,D,R,U,C} fields
+ * A phase without a scheduled fiscal year takes the fiscal year of its authorization date
+ * @param {Object} props - Feature properties
+ * @returns {Array<Object>} Phases as { phase, label, stage, fundCode, fiscalYear, amount, authDate }
+ */
+function getFeaturePhases(props) {
+    const phases = [];
+
+    Object.keys(PHASE_LABELS).forEach(phase => {
+        const phaseCode = getPlanProperty(props, `SYP_RPT_PHASECODE${phase}`);
+        const stage = getPlanProperty(props, `SYP_RPT_STAGE${phase}`) || '';
+        const cost = Number(getPlanProperty(props, `SYP_RPT_CSYFUNDCOST${phase}`)) || 0;
+        const authorized = Number(getPlanProperty(props, `SYP_RPT_AUTHAMOUNT${phase}`)) || 0;
+        const authDate = getPlanProperty(props, `SYP_RPT_AUTHDATE${phase}`);
+
+        // Phases the project does not have are left empty in the GeoJSON
+        if (!phaseCode && !stage && !cost && !authorized) return;
+
+        phases.push({
+            phase: phase,
+            label: PHASE_LABELS[phase],
+            stage: stage,
+            fundCode: getPlanProperty(props, `SYP_RPT_CSYFUNDCODE${phase}`) || '',
+            fiscalYear: Number(getPlanProperty(props, `SYP_RPT_CSYFISYEAR${phase}`)) ||
+                (authDate ? dateToFiscalYear(authDate) : null),
+            // The scheduled cost is used, falling back to the authorized amount once a phase is awarded
+            amount: cost || authorized,
+            authDate: authDate ? new Date(authDate) : null
+        });
+    });
 
-        // Query the ProjectsAwarded view
-        const stmt = database.prepare("SELECT * FROM ProjectsAwarded");
+    return phases;
+}
 
-        if (stmt.step()) {
-            const row = stmt.getAsObject();
-            console.log('ProjectsAwarded row data:', row);
+/**
+ * Gets the programmed phases of a project feature for the funding panel
+ * @param {Object} props - Feature properties
+ * @returns {Array<Object>} Phases with dollars as { phase, fundCode, year, amount }
+ */
+function getFeaturePhaseFunding(props) {
+    return getFeaturePhases(props)
+        .filter(item => item.amount)
+        .map(item => ({
+            phase: item.phase,
+            fundCode: item.fundCode,
+            year: item.fiscalYear || getPlanProperty(props, 'PLANYEAR') || '',
+            amount: item.amount
+        }));
+}
 
-            // The view contains aggregate counts in columns named "Awarded" and "Current"
-            const awardedCount = row.Awarded || row.awarded || 0;
-            const currentCount = row.Current || row.current || 0;
+/**
+ * Builds a table row shaped like Basic_Project_Info from a project feature
+ * @param {Object} feature - GeoJSON feature
+ * @param {boolean} awarded - Whether the feature comes from the awarded layer
+ * @returns {Object} Table row
+ */
+function featureToTableRow(feature, awarded) {
+    const props = feature.properties || {};
+    const countyName = String(getPlanProperty(props, 'COUNTYNAME') || '');
+    const bridgeNo = String(getPlanProperty(props, 'SYP_PRO_BRNO') || '').trim();
+    const prefix = String(getPlanProperty(props, 'PREFIX') || '').trim();
+    const routeNo = getPlanProperty(props, 'ROUTENO');
+    const phases = getFeaturePhaseFunding(props);
+
+    return {
+        DISTRICT: formatDistrictName(getPlanProperty(props, 'SYP_PRO_DISTNO') || ''),
+        COUNTY: countyName.charAt(0) + countyName.slice(1).toLowerCase(),
+        SYP_NO: distItemToSypNo(getPlanProperty(props, 'DIST_ITEM')),
+        ROUTE: prefix && routeNo ? `${prefix}-${routeNo}` : '',
+        TYPE_WORK: getPlanProperty(props, 'SYP_RPT_TYPEWORK') || '',
+        BMP: getPlanProperty(props, 'BMP') != null ? String(getPlanProperty(props, 'BMP')) : '',
+        EMP: getPlanProperty(props, 'EMP') != null ? String(getPlanProperty(props, 'EMP')) : '',
+        DESCRIPTION: getPlanProperty(props, 'SYP_RPT_DESC') || '',
+        BRIDGE_ID: bridgeNo ? `${getPlanProperty(props, 'CO_TEXT') || ''}${bridgeNo}` : '',
+        RSY_YEAR: String(getFeatureScheduleYear(props) || ''),
+        AWARDED: awarded ? 'Awarded' : '',
+        // A feature carries every phase, so the row lists them and totals their dollars
+        ENACT_PHASE: phases.map(item => item.phase).join(', '),
+        FUND_CODE: [...new Set(phases.map(item => item.fundCode).filter(Boolean))].join(', '),
+        RSY_FUND: phases.reduce((sum, item) => sum + item.amount, 0)
+    };
+}
 
-            console.log('Extracted counts - Awarded:', awardedCount, 'Current:', currentCount);
+/**
+ * Drives the pie chart, years charts, funding panel and table from the project lines in view
+ * and/or in the drawn selection area
+ * @param {L.Map} map - The Leaflet map instance
+ */
+function loadExtentProjectData(map) {
+    if (!map || (!extentFilterEnabled && !spatialSelection)) return;
 
-            // Update project counts and refresh pie chart
-            projectCounts.awarded = awardedCount;
-            projectCounts.current = currentCount;
-            createProjectsPieChart();
-        } else {
-            console.log('No data found in ProjectsAwarded view');
-        }
+    const features = getFeaturesInExtent(map);
+    console.log(`${spatialSelection ? 'Selected area' : 'Map extent'} contains ${features.awarded.length} awarded and ${features.current.length} current projects`);
 
-        stmt.free();
+    if (spatialSelection) {
+        updateSpatialSelectionStatus(features);
+    }
 
-    } catch (error) {
-        console.error('Error querying ProjectsAwarded:', error);
+    // Pie chart
+    projectCounts.awarded = features.awarded.length;
+    projectCounts.current = features.current.length;
+    createProjectsPieChart();
 
-        // Fallback to counting all records as current projects if view doesn't exist
-        try {
-            console.log('Trying Basic_Project_Info as fallback for pie chart...');
-            const fallbackStmt = database.prepare("SELECT COUNT(*) as count FROM Basic_Project_Info");
-            fallbackStmt.step();
-            const result = fallbackStmt.getAsObject();
-            fallbackStmt.free();
+    // Table rows and year counts come from the same features
+    const rows = [
+        ...features.awarded.map(feature => featureToTableRow(feature, true)),
+        ...features.current.map(feature => featureToTableRow(feature, false))
+    ];
 
-            // For fallback, assume all are current projects
-            projectCounts.awarded = 0;
-            projectCounts.current = result.count;
-            createProjectsPieChart();
+    const yearData = {};
+    rows.forEach(row => {
+        if (row.RSY_YEAR) {
+            yearData[row.RSY_YEAR] = (yearData[row.RSY_YEAR] || 0) + 1;
+        }
+    });
+    createProjectYearsChart(yearData);
+
+    // Phase years chart counts each feature once per scheduled phase
+    const phaseYearData = {};
+    [...features.awarded, ...features.current].forEach(feature => {
+        getFeaturePhases(feature.properties || {}).forEach(item => {
+            if (!item.fiscalYear) return;
+            phaseYearData[item.fiscalYear] = phaseYearData[item.fiscalYear] || {};
+            phaseYearData[item.fiscalYear][item.phase] = (phaseYearData[item.fiscalYear][item.phase] || 0) + 1;
+        });
+    });
+    createPhaseYearsChart(phaseYearData);
 
-            console.log('Used fallback data for pie chart:', result.count, 'total projects');
-        } catch (fallbackError) {
-            console.error('Fallback also failed:', fallbackError);
+    // Funding panel totals the enact plan rows of the projects in view, the same source as
+    // the filter view (the layers' per-phase costs differ from RSY_FUND)
+    if (database) {
+        const sypNumbers = [...new Set(rows.map(row => row.SYP_NO).filter(Boolean))];
+        try {
+            renderFundingPanel(queryProjectFunding(
+                `WHERE SYP_NO IN (${sypNumbers.map(() => '?').join(', ')})`, sypNumbers));
+        } catch (error) {
+            console.error('Error querying funding totals for the map extent:', error);
         }
     }
-}
 
-// Load and display ProjectCount_Year data for the bar chart
-function loadProjectsByYear() {
-    if (!database) {
-        console.error('Database not loaded');
-        return;
+    if (highwayProjectsTable) {
+        setTableRows(rows);
     }
+}
 
-    try {
-        console.log('Loading ProjectCount_Year data...');
+/* =====================================================
+   9. PROJECT KEY INDEX AND MAP/TABLE SELECTION
+   ===================================================== */
 
-        // First, let's check if the table exists
-        const checkStmt = database.prepare("SELECT name FROM sqlite_master WHERE type='table' OR type='view'");
-        const tables = [];
-        while (checkStmt.step()) {
-            tables.push(checkStmt.getAsObject().name);
-        }
-        checkStmt.free();
-        console.log('Available tables/views:', tables);
+// Normalized project key -> { sypNo, rowCount, layers } linking projects table rows to map features
+let projectKeyIndex = {};
 
-        // Query the ProjectCount_Year view
-        const stmt = database.prepare("SELECT * FROM ProjectCount_Year");
-        const rows = [];
+// Feature layers currently highlighted for the selected project
+let highlightedProjectLayers = [];
 
-        // Get all rows
-        while (stmt.step()) {
-            rows.push(stmt.getAsObject());
-        }
-        stmt.free();
+// Style used to highlight the selected project's lines
+const PROJECT_HIGHLIGHT_STYLE = {
+    color: '#ff7800',
+    weight: 6,
+    opacity: 1
+};
 
-        console.log('ProjectCount_Year data:', rows);
+/**
+ * Normalizes a project identifier so SYP numbers and DIST_ITEM ids compare equal
+ * Leading zeros are dropped from the district and item numbers
+ * @param {string} value - SYP_NO ("08-04325.00") or DIST_ITEM ("8-4325.00")
+ * @returns {string|null} Normalized key, e.g. "8-4325.00", or null if it doesn't parse
+ */
+function normalizeProjectKey(value) {
+    const match = String(value || '').trim().match(/^0*(\d+)-0*(\d+)(?:\.(\d+))?$/);
+    if (!match) return null;
+    return `${match[1]}-${match[2]}.${(match[3] || '00').padEnd(2, '0')}`;
+}
 
-        if (rows.length === 0) {
-            console.log('No data found in ProjectCount_Year view');
-            return;
-        }
+/**
+ * Gets the normalized project key for a map feature
+ * @param {Object} props - Feature properties
+ * @returns {string|null} Normalized key
+ */
+function getFeatureProjectKey(props) {
+    return normalizeProjectKey(getPlanProperty(props, 'DIST_ITEM') ||
+                               props['KYTCDynamic_Highways.DBO.Project_Locations_Line.Identifier']);
+}
 
-        // Show the structure of the first row
-        console.log('First row structure:', Object.keys(rows[0]));
-        console.log('First row values:', rows[0]);
+/**
+ * Builds the index joining projects table rows (SYP_NO) to map features (DIST_ITEM)
+ * Called whenever the database or one of the project layers finishes loading
+ */
+function buildProjectKeyIndex() {
+    projectKeyIndex = {};
 
-        // Convert to the format expected by the chart
-        const yearData = {};
-        rows.forEach(row => {
-            // Check all possible column names
-            console.log('Processing row:', row);
+    // The project search (section 18) rebuilds its index from this one when next used
+    projectSearchIndex = null;
 
-            const year = row.year || row.Year || row.YEAR || row.RSY_Year || row.rsy_year;
-            const count = row.project_count || row.count || row.COUNT || row.projects || row.ProjectCount || row.projectcount;
+    const entryFor = key => {
+        if (!projectKeyIndex[key]) {
+            projectKeyIndex[key] = { sypNo: null, rowCount: 0, layers: [] };
+        }
+        return projectKeyIndex[key];
+    };
 
-            console.log('Extracted - Year:', year, 'Count:', count);
+    // Projects table rows
+    if (database) {
+        try {
+            const stmt = database.prepare("SELECT SYP_NO, COUNT(*) AS row_count FROM projects GROUP BY SYP_NO");
+            while (stmt.step()) {
+                const row = stmt.getAsObject();
+                const key = normalizeProjectKey(row.SYP_NO);
+                if (key) {
+                    const entry = entryFor(key);
+                    entry.sypNo = row.SYP_NO;
+                    entry.rowCount += row.row_count;
+                }
+            }
+            stmt.free();
+        } catch (error) {
+            console.error('Error indexing projects table:', error);
+        }
+    }
 
-            // Remove the 2024 filter temporarily to see all data
-            if (year && count) {
-                yearData[year] = count;
+    // Map features
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        eachProjectFeatureLayer(projectLayer, function(layer) {
+            if (!layer.feature || !layer.feature.properties) return;
+            const key = getFeatureProjectKey(layer.feature.properties);
+            layer.feature.projectKey = key;
+            if (key) {
+                entryFor(key).layers.push(layer);
             }
         });
+    });
 
-        console.log('All processed year data for chart:', yearData);
+    const entries = Object.values(projectKeyIndex);
+    console.log(`Project key index: ${entries.length} projects, ` +
+        `${entries.filter(entry => entry.sypNo && entry.layers.length > 0).length} matched in both sources`);
 
-        // Create the years chart
-        if (Object.keys(yearData).length > 0) {
-            createProjectYearsChart(yearData);
-        } else {
-            console.log('No valid year data found for chart');
+    // The detail drawer merges both sources, so redraw it with what just loaded
+    refreshProjectDetail();
+}
+
+/**
+ * Lists the projects that exist in only one of the two sources
+ * @returns {Object} { tableOnly: [SYP numbers], mapOnly: [DIST_ITEM ids] }
+ */
+function getUnmatchedProjects() {
+    const tableOnly = [];
+    const mapOnly = [];
+
+    Object.values(projectKeyIndex).forEach(entry => {
+        if (entry.sypNo && entry.layers.length === 0) {
+            tableOnly.push(entry.sypNo);
+        } else if (!entry.sypNo && entry.layers.length > 0) {
+            mapOnly.push(getPlanProperty(entry.layers[0].feature.properties, 'DIST_ITEM'));
         }
+    });
 
-    } catch (error) {
-        console.error('Error querying ProjectCount_Year:', error);
+    return { tableOnly: tableOnly.sort(), mapOnly: mapOnly.sort() };
+}
 
-        // Try alternative table names
-        try {
-            console.log('Trying alternative table names...');
-            const altStmt = database.prepare("SELECT * FROM Projects_by_Year LIMIT 5");
-            const altRows = [];
-            while (altStmt.step()) {
-                altRows.push(altStmt.getAsObject());
-            }
-            altStmt.free();
-            console.log('Projects_by_Year data:', altRows);
-        } catch (altError) {
-            console.log('Projects_by_Year also not found');
+// Remove the highlight from the previously selected project
+function clearProjectHighlight() {
+    highlightedProjectLayers.forEach(layer => {
+        const parentLayer = [awardedProjectsLayer, currentProjectsLayer]
+            .find(group => group && group.hasLayer(layer));
+        if (parentLayer) {
+            parentLayer.resetStyle(layer);
+            styleFeatureForFilters(layer);
         }
-    }
+    });
+    highlightedProjectLayers = [];
 }
 
-// Helper function to format column names
-function formatColumnName(colName) {
-    return colName.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+// Re-apply the highlight after the map layers were restyled
+function reapplyProjectHighlight() {
+    highlightedProjectLayers.forEach(layer => {
+        layer.setStyle(PROJECT_HIGHLIGHT_STYLE);
+        // Hidden features have no path on the map to raise
+        if (window.mainMap && window.mainMap.hasLayer(layer)) {
+            layer.bringToFront();
+        }
+    });
 }
 
-// Helper function to format cell values
-function formatCellValue(value) {
-    if (value === null || value === undefined || value === '') {
-        return '<span class="text-muted">—</span>';
+/**
+ * Highlights (and optionally zooms to) the map lines for a project
+ * @param {string} sypNo - SYP number or DIST_ITEM id of the project
+ * @param {boolean} zoom - Whether to fit the map to the project lines
+ * @returns {boolean} True when the project has lines on the map
+ */
+function highlightProjectFeatures(sypNo, zoom) {
+    const entry = projectKeyIndex[normalizeProjectKey(sypNo)];
+    if (!entry || entry.layers.length === 0) {
+        clearProjectHighlight();
+        console.log(`No map features found for project ${sypNo}`);
+        return false;
     }
-    return String(value);
+
+    highlightFeatureLayers(entry.layers, zoom);
+    return true;
 }
 
-// Helper function to get total record count
-function getTotalRecordCount() {
-    try {
-        const stmt = database.prepare("SELECT COUNT(*) as count FROM Basic_Project_Info");
-        stmt.step();
-        const result = stmt.getAsObject();
-        stmt.free();
-        return result.count;
-    } catch (error) {
-        return 'unknown';
+/**
+ * Highlights (and optionally zooms to) a set of project lines, e.g. every project on a route
+ * @param {Array<L.Path>} layers - Project feature layers
+ * @param {boolean} zoom - Whether to fit the map to the lines
+ */
+function highlightFeatureLayers(layers, zoom) {
+    clearProjectHighlight();
+
+    highlightedProjectLayers = layers.slice();
+    reapplyProjectHighlight();
+
+    if (zoom && window.mainMap && layers.length > 0) {
+        const bounds = L.featureGroup(layers).getBounds();
+        window.mainMap.fitBounds(bounds, { maxZoom: 15, padding: [20, 20] });
+    }
+}
+
+/**
+ * Selects and scrolls to the table rows for a clicked project feature
+ * @param {Object} feature - GeoJSON feature of the clicked line
+ */
+function selectTableRowsForFeature(feature) {
+    selectTableRowsForProject(feature.projectKey || getFeatureProjectKey(feature.properties || {}));
+}
+
+/**
+ * Selects and scrolls to the table rows of a project
+ * @param {string} key - Normalized project key (see normalizeProjectKey)
+ */
+function selectTableRowsForProject(key) {
+    if (!highwayProjectsTable || !key) return;
+
+    highwayProjectsTable.deselectRow();
+
+    // The table only holds the page shown, so find the project's position among all matching rows
+    const index = getAllTableRows().findIndex(row => normalizeProjectKey(row.SYP_NO) === key);
+    if (index === -1) {
+        console.log(`Project ${key} is not in the current table data`);
+        return;
+    }
+
+    const pageSize = highwayProjectsTable.getPageSize();
+    const page = pageSize && pageSize !== true ? Math.floor(index / pageSize) + 1 : 1;
+
+    // Move to the page holding the first row, then select the project's rows and scroll into view
+    Promise.resolve(page !== highwayProjectsTable.getPage() ? highwayProjectsTable.setPage(page) : null)
+        .then(() => {
+            const rows = highwayProjectsTable.getRows().filter(row =>
+                normalizeProjectKey(row.getData().SYP_NO) === key
+            );
+            rows.forEach(row => row.select());
+            return highwayProjectsTable.scrollToRow(rows[0], 'center', false);
+        })
+        .catch(error => console.log('Could not scroll to project row:', error));
+}
+
+/**
+ * Adds the click handler that links a project line to the table
+ * @param {L.Path} layer - Project feature layer
+ */
+function bindProjectSelectionClick(layer) {
+    layer.on('click', function() {
+        highlightProjectFeatures(layer.feature.projectKey || getFeatureProjectKey(layer.feature.properties), false);
+        selectTableRowsForFeature(layer.feature);
+    });
+}
+
+// Show the projects that exist in only one source (table or map)
+function showProjectMatchReport() {
+    // Remove existing popup if any
+    const existingPopup = document.querySelector('.match-report-popup');
+    if (existingPopup) {
+        existingPopup.remove();
+    }
+
+    const unmatched = getUnmatchedProjects();
+    const matchedCount = Object.values(projectKeyIndex)
+        .filter(entry => entry.sypNo && entry.layers.length > 0).length;
+
+    console.log('Projects only in the projects table:', unmatched.tableOnly);
+    console.log('Projects only on the map:', unmatched.mapOnly);
+
+    const popup = document.createElement('div');
+    popup.className = 'match-report-popup';
+    popup.innerHTML = `
+        <h6>Map / Table Match Report</h6>
+        <div class="match-report-content">
+            <div class="match-report-summary">
+                <div><strong>Matched in both:</strong> ${matchedCount.toLocaleString()}</div>
+                <div><strong>Table only:</strong> ${unmatched.tableOnly.length.toLocaleString()}</div>
+                <div><strong>Map only:</strong> ${unmatched.mapOnly.length.toLocaleString()}</div>
+            </div>
+            <details>
+                <summary>Projects table only (no map line)</summary>
+                <div class="match-report-list">${unmatched.tableOnly.join(', ') || 'None'}</div>
+            </details>
+            <details>
+                <summary>Map only (not in projects table)</summary>
+                <div class="match-report-list">${unmatched.mapOnly.join(', ') || 'None'}</div>
+            </details>
+        </div>
+        <div class="match-report-buttons">
+            <button class="match-report-close-btn">✕ Close</button>
+        </div>
+    `;
+
+    // Add to left panels (overlaying the charts, like the KYTC results)
+    document.querySelector('.left-panels').appendChild(popup);
+
+    popup.querySelector('.match-report-close-btn').addEventListener('click', () => popup.remove());
+}
+
+/* =====================================================
+   10. PROJECT PHASE TIMELINE
+   ===================================================== */
+
+/**
+ * Formats a SYP_RPT_STAGE* value for display
+ * @param {string} stage - Raw stage value (e.g. "SENTTOFHWA")
+ * @returns {string} Display label
+ */
+function formatPhaseStage(stage) {
+    if (!stage) return '—';
+    return PHASE_STAGE_LABELS[stage] || stage;
+}
+
+/**
+ * Shows a Gantt-style timeline of a project's phases over the left panels
+ * Each phase is drawn across its fiscal year (July 1 - June 30); phases with no year are listed only
+ * @param {Object} feature - GeoJSON project feature
+ */
+function showPhaseTimeline(feature) {
+    // Remove existing popup if any
+    const existingPopup = document.querySelector('.phase-timeline-popup');
+    if (existingPopup) {
+        existingPopup.remove();
+    }
+    if (phaseTimelineChart) {
+        phaseTimelineChart.destroy();
+        phaseTimelineChart = null;
+    }
+
+    const props = (feature && feature.properties) || {};
+    const phases = getFeaturePhases(props);
+    const scheduled = phases.filter(item => item.fiscalYear);
+    const sypNo = distItemToSypNo(getPlanProperty(props, 'DIST_ITEM'));
+    const description = getPlanProperty(props, 'SYP_RPT_DESC') || '';
+
+    console.log(`Showing phase timeline for ${sypNo}:`, phases);
+
+    const phaseRows = phases.map(item => `
+        <tr>
+            <td><span class="phase-swatch" style="background:${PHASE_COLORS[item.phase]}"></span>${item.label}</td>
+            <td>${item.fiscalYear ? `FY ${item.fiscalYear}` : '—'}</td>
+            <td>${formatPhaseStage(item.stage)}</td>
+            <td>${item.fundCode || '—'}</td>
+            <td class="text-end">${item.amount ? formatCurrency(item.amount) : '—'}</td>
+            <td>${item.authDate ? item.authDate.toLocaleDateString('en-US', { timeZone: 'UTC' }) : '—'}</td>
+        </tr>
+    `).join('');
+
+    const popup = document.createElement('div');
+    popup.className = 'phase-timeline-popup';
+    popup.innerHTML = `
+        <h6>Phase Timeline: ${sypNo}</h6>
+        <div class="phase-timeline-content">
+            <div class="phase-timeline-description">${description}</div>
+            ${scheduled.length ? `
+                <div class="phase-timeline-chart"><canvas id="phaseTimelineChart"></canvas></div>
+            ` : '<p class="text-muted">No phase has a scheduled fiscal year.</p>'}
+            <table class="phase-timeline-table">
+                <thead>
+                    <tr><th>Phase</th><th>Fiscal Year</th><th>Stage</th><th>Fund</th><th>Amount</th><th>Authorized</th></tr>
+                </thead>
+                <tbody>${phaseRows || '<tr><td colspan="6">No phase information</td></tr>'}</tbody>
+            </table>
+        </div>
+        <div class="phase-timeline-buttons">
+            <button class="phase-timeline-close-btn">✕ Close</button>
+        </div>
+    `;
+
+    // Add to left panels (overlaying the charts, like the KYTC results)
+    document.querySelector('.left-panels').appendChild(popup);
+
+    popup.querySelector('.phase-timeline-close-btn').addEventListener('click', () => {
+        if (phaseTimelineChart) {
+            phaseTimelineChart.destroy();
+            phaseTimelineChart = null;
+        }
+        popup.remove();
+    });
+
+    if (scheduled.length) {
+        createPhaseTimelineChart(scheduled);
+    }
+}
+
+/**
+ * Creates the floating bar (Gantt) chart for a project's scheduled phases
+ * Fiscal year N runs from mid N-1 to mid N, so on a decimal-year axis it spans N - 0.5 to N + 0.5
+ * @param {Array<Object>} phases - Phases from getFeaturePhases() that have a fiscal year
+ */
+function createPhaseTimelineChart(phases) {
+    const ctx = document.getElementById('phaseTimelineChart');
+    if (!ctx) {
+        console.error('Canvas element with id "phaseTimelineChart" not found');
+        return;
+    }
+
+    const years = phases.map(item => item.fiscalYear);
+    const firstYear = Math.min(...years);
+    const lastYear = Math.max(...years);
+
+    phaseTimelineChart = new Chart(ctx.getContext('2d'), {
+        type: 'bar',
+        data: {
+            labels: phases.map(item => item.label),
+            datasets: [{
+                data: phases.map(item => [item.fiscalYear - 0.5, item.fiscalYear + 0.5]),
+                backgroundColor: phases.map(item => PHASE_COLORS[item.phase]),
+                borderColor: '#ffffff',
+                borderWidth: 1,
+                borderSkipped: false
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: function(context) {
+                            const item = phases[context.dataIndex];
+                            const parts = [`FY ${item.fiscalYear}`, formatPhaseStage(item.stage)];
+                            if (item.amount) parts.push(formatCurrency(item.amount));
+                            return parts.join(' · ');
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: firstYear - 0.5,
+                    max: lastYear + 0.5,
+                    ticks: {
+                        stepSize: 1,
+                        font: { size: 10 },
+                        // Label the middle of each fiscal year
+                        callback: value => Number.isInteger(value) ? `FY ${value}` : ''
+                    }
+                },
+                y: {
+                    ticks: {
+                        font: { size: 10 }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/* =====================================================
+   11. PLAN SNAPSHOT HISTORY
+   ===================================================== */
+
+// Snapshots are saved by server.js as JSON files listed in this index, outside the
+// database so the dashboard only downloads them when the Changes view is opened
+const SNAPSHOT_DIR = 'data/snapshots/';
+const SNAPSHOT_INDEX_FILE = SNAPSHOT_DIR + 'index.json';
+
+// Kinds of change reported between two snapshots, in display order
+const SNAPSHOT_CHANGE_TYPES = ['Added', 'Removed', 'Rescheduled', 'Newly Awarded', 'Funding Changed'];
+
+/**
+ * Lists the saved project snapshots, oldest first
+ * @returns {Promise<Array<Object>>} Snapshots as { takenAt, file, projects } (empty before the first refresh)
+ */
+async function getProjectSnapshots() {
+    try {
+        const response = await fetch(SNAPSHOT_INDEX_FILE, { cache: 'no-cache' });
+        if (!response.ok) return [];
+        return (await response.json()).snapshots || [];
+    } catch (error) {
+        console.error('Error listing project snapshots:', error);
+        return [];
+    }
+}
+
+/**
+ * Reads one snapshot file
+ * @param {string} file - Snapshot file name from the index
+ * @returns {Promise<Object>} Projects keyed by SYP_NO (see buildProjectSnapshot in server.js)
+ */
+async function readProjectSnapshot(file) {
+    const response = await fetch(SNAPSHOT_DIR + encodeURIComponent(file));
+    if (!response.ok) throw new Error(`${SNAPSHOT_DIR}${file} not found (HTTP ${response.status})`);
+    return response.json();
+}
+
+/**
+ * Formats a snapshot date for the snapshot selectors
+ * @param {string} takenAt - ISO date from the snapshot key
+ * @returns {string} Readable date
+ */
+function formatSnapshotDate(takenAt) {
+    const date = new Date(takenAt);
+    return isNaN(date) ? takenAt : date.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Compares two snapshots and lists what changed between them
+ * A project can appear under more than one change (e.g. rescheduled and re-funded)
+ * @param {Object} before - Older snapshot
+ * @param {Object} after - Newer snapshot
+ * @returns {Array<Object>} Changes as { Change, SYP_NO, County, Description, Details }
+ */
+function diffProjectSnapshots(before, after) {
+    const changes = [];
+    const addChange = (change, sypNo, project, details) => {
+        changes.push({
+            Change: change,
+            SYP_NO: sypNo,
+            County: project.county || '',
+            Description: project.description || '',
+            Details: details
+        });
+    };
+    const totalFund = project => Object.values(project.phases || {})
+        .reduce((sum, phase) => sum + (Number(phase.fund) || 0), 0);
+
+    Object.keys(after).sort().forEach(sypNo => {
+        const newer = after[sypNo];
+        const older = before[sypNo];
+
+        if (!older) {
+            addChange('Added', sypNo, newer, `${formatCurrency(totalFund(newer))} programmed`);
+            return;
+        }
+
+        // Re-scheduled: a phase moved to another year, or a phase was added or dropped
+        const phaseCodes = [...new Set([...Object.keys(older.phases || {}), ...Object.keys(newer.phases || {})])];
+        const scheduleChanges = [];
+        phaseCodes.forEach(code => {
+            const oldPhase = (older.phases || {})[code];
+            const newPhase = (newer.phases || {})[code];
+            const label = PHASE_LABELS[code] || code;
+            if (!oldPhase) {
+                scheduleChanges.push(`${label} added (${newPhase.year})`);
+            } else if (!newPhase) {
+                scheduleChanges.push(`${label} removed (was ${oldPhase.year})`);
+            } else if (oldPhase.year !== newPhase.year) {
+                scheduleChanges.push(`${label} ${oldPhase.year} → ${newPhase.year}`);
+            }
+        });
+        if (scheduleChanges.length) {
+            addChange('Rescheduled', sypNo, newer, scheduleChanges.join('; '));
+        }
+
+        if (!older.awarded && newer.awarded) {
+            addChange('Newly Awarded', sypNo, newer, 'Awarded');
+        }
+
+        const oldFund = totalFund(older);
+        const newFund = totalFund(newer);
+        if (oldFund !== newFund) {
+            addChange('Funding Changed', sypNo, newer, `${formatCurrency(oldFund)} → ${formatCurrency(newFund)}`);
+        }
+    });
+
+    Object.keys(before).sort().forEach(sypNo => {
+        if (!after[sypNo]) {
+            addChange('Removed', sypNo, before[sypNo], `${formatCurrency(totalFund(before[sypNo]))} programmed`);
+        }
+    });
+
+    return changes.sort((a, b) =>
+        SNAPSHOT_CHANGE_TYPES.indexOf(a.Change) - SNAPSHOT_CHANGE_TYPES.indexOf(b.Change));
+}
+
+/**
+ * Converts rows of objects to CSV text
+ * @param {Array<Object>} rows - Rows with the same keys
+ * @returns {string} CSV text with a header row
+ */
+function rowsToCSV(rows) {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const escape = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n');
+}
+
+/**
+ * Shows the snapshot diff view over the charts and map
+ * The two selectors default to the two most recent snapshots
+ */
+async function showSnapshotDiff() {
+    // Remove existing popup if any
+    const existingPopup = document.querySelector('.snapshot-diff-popup');
+    if (existingPopup) {
+        existingPopup.remove();
+    }
+
+    const snapshots = await getProjectSnapshots();
+    console.log(`Found ${snapshots.length} project snapshots`);
+
+    const options = snapshots.map(snapshot =>
+        `<option value="${escapeHTML(snapshot.file)}">${escapeHTML(formatSnapshotDate(snapshot.takenAt))}</option>`).join('');
+
+    const popup = document.createElement('div');
+    popup.className = 'snapshot-diff-popup';
+    popup.innerHTML = `
+        <h6>Changes Between Plan Refreshes</h6>
+        <p class="snapshot-diff-scope">Snapshots record the projects table loaded from the enact plan CSV.
+            Changes to the map layers (plan GeoJSON) are not tracked.</p>
+        <div class="snapshot-diff-content">
+            ${snapshots.length < 2 ? `
+                <p>At least two snapshots are needed to compare. A snapshot is saved each time the projects
+                table is updated from the Download page (${snapshots.length} saved so far).</p>
+            ` : `
+                <div class="snapshot-diff-selectors">
+                    <label>From <select class="snapshot-from">${options}</select></label>
+                    <label>To <select class="snapshot-to">${options}</select></label>
+                </div>
+                <div class="snapshot-diff-results"></div>
+            `}
+        </div>
+        <div class="snapshot-diff-buttons">
+            ${snapshots.length >= 2 ? '<button class="snapshot-diff-export-btn">📋 Export CSV</button>' : ''}
+            <button class="snapshot-diff-close-btn">✕ Close</button>
+        </div>
+    `;
+
+    // Add over the charts and map, which are wide enough for the change lists
+    document.querySelector('.dashboard-container').appendChild(popup);
+    popup.querySelector('.snapshot-diff-close-btn').addEventListener('click', () => popup.remove());
+
+    if (snapshots.length < 2) return;
+
+    const fromSelect = popup.querySelector('.snapshot-from');
+    const toSelect = popup.querySelector('.snapshot-to');
+    fromSelect.value = snapshots[snapshots.length - 2].file;
+    toSelect.value = snapshots[snapshots.length - 1].file;
+
+    let changes = [];
+    let renderCount = 0;
+    const render = async () => {
+        // Only the latest selection is shown when the selectors change while files are loading
+        const renderId = ++renderCount;
+        try {
+            const [before, after] = await Promise.all([fromSelect.value, toSelect.value].map(readProjectSnapshot));
+            if (renderId !== renderCount) return;
+            changes = diffProjectSnapshots(before, after);
+        } catch (error) {
+            console.error('Error comparing project snapshots:', error);
+            popup.querySelector('.snapshot-diff-results').textContent = 'Error: ' + error.message;
+            changes = [];
+            return;
+        }
+
+        popup.querySelector('.snapshot-diff-results').innerHTML = SNAPSHOT_CHANGE_TYPES.map(type => {
+            const typeChanges = changes.filter(change => change.Change === type);
+            const items = typeChanges.map(change => `
+                <li><strong>${escapeHTML(change.SYP_NO)}</strong> ${escapeHTML(change.County)} - ${escapeHTML(change.Details)}
+                    <div class="snapshot-diff-description">${escapeHTML(change.Description)}</div></li>
+            `).join('');
+            return `
+                <details${typeChanges.length ? '' : ' class="empty"'}>
+                    <summary>${type} (${typeChanges.length.toLocaleString()})</summary>
+                    <ul class="snapshot-diff-list">${items || '<li>None</li>'}</ul>
+                </details>
+            `;
+        }).join('');
+    };
+
+    fromSelect.addEventListener('change', render);
+    toSelect.addEventListener('change', render);
+    render();
+
+    popup.querySelector('.snapshot-diff-export-btn').addEventListener('click', () => {
+        if (changes.length === 0) {
+            alert('There are no changes between these snapshots to export.');
+            return;
+        }
+
+        const fileDate = value => value.slice(0, 10);
+        downloadTextFile(rowsToCSV(changes), 'text/csv',
+            `ky-highway-plan-changes-${fileDate(fromSelect.value)}-to-${fileDate(toSelect.value)}.csv`);
+    });
+}
+
+/* =====================================================
+   12. OFFLINE MODE AND CACHE STATUS
+   ===================================================== */
+
+// Cache names and header shared with sw.js
+const OFFLINE_DATA_CACHE = 'ky-highway-data';
+const OFFLINE_TILE_CACHE = 'ky-highway-tiles';
+const OFFLINE_SHELL_CACHE_PREFIX = 'ky-highway-shell-';
+const OFFLINE_CACHED_AT_HEADER = 'X-Cached-At';
+
+// Data files the service worker keeps for offline use, with their display names
+const OFFLINE_DATA_FILES = {
+    'data/HighwayPlan_data.db': 'Projects database',
+    'data/Awarded_Highway_Plans.geojson': 'Awarded projects layer',
+    'data/Current_Highway_Plans.geojson': 'Current projects layer',
+    'data/KYTC_Districts.geojson': 'KYTC districts layer',
+    'data/KY_Counties.geojson': 'County boundaries layer'
+};
+
+// Limits for "Save map area": zoom levels below the current one and total tiles per save
+const OFFLINE_TILE_EXTRA_ZOOMS = 2;
+const MAX_OFFLINE_TILES = 2500;
+
+/**
+ * Registers the service worker that caches the app shell, data and saved tiles
+ * Service workers need http(s), so opening index.html from disk skips this
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') {
+        console.log('Service worker not available - offline mode disabled');
+        updateCacheStatus();
+        return;
+    }
+
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => {
+            console.log('Service worker registered with scope:', registration.scope);
+            return navigator.serviceWorker.ready;
+        })
+        .then(() => updateCacheStatus())
+        .catch(error => {
+            console.error('Service worker registration failed:', error);
+            updateCacheStatus();
+        });
+}
+
+/**
+ * Formats how long ago something was cached
+ * @param {Date} date - Time the item was cached
+ * @returns {string} Age such as "3 hours ago"
+ */
+function formatCacheAge(date) {
+    const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    return `${Math.round(hours / 24)} days ago`;
+}
+
+/**
+ * Reads what is currently cached for offline use
+ * @returns {Promise<Object>} { supported, shellFiles, data: [{ file, label, cachedAt }], tiles: { host: count } }
+ */
+async function getCacheStatus() {
+    const status = { supported: 'caches' in window, shellFiles: 0, data: [], tiles: {} };
+    if (!status.supported) return status;
+
+    const cacheNames = await caches.keys();
+    const shellName = cacheNames.find(name => name.startsWith(OFFLINE_SHELL_CACHE_PREFIX));
+    if (shellName) {
+        status.shellFiles = (await (await caches.open(shellName)).keys()).length;
+    }
+
+    const dataCache = await caches.open(OFFLINE_DATA_CACHE);
+    for (const [file, label] of Object.entries(OFFLINE_DATA_FILES)) {
+        const response = await dataCache.match(new URL(file, location.href).href);
+        const cachedAt = response && response.headers.get(OFFLINE_CACHED_AT_HEADER);
+        status.data.push({ file: file, label: label, cachedAt: cachedAt ? new Date(cachedAt) : null });
+    }
+
+    const tileRequests = await (await caches.open(OFFLINE_TILE_CACHE)).keys();
+    tileRequests.forEach(request => {
+        const host = new URL(request.url).hostname;
+        status.tiles[host] = (status.tiles[host] || 0) + 1;
+    });
+
+    return status;
+}
+
+/**
+ * Updates the header indicator with the connection state and the age of the cached database
+ */
+async function updateCacheStatus() {
+    const indicator = document.getElementById('cacheStatusBtn');
+    if (!indicator) return;
+
+    const online = navigator.onLine;
+    indicator.classList.toggle('offline', !online);
+
+    let label = online ? 'Online' : 'Offline';
+    try {
+        const status = await getCacheStatus();
+        const databaseEntry = status.data.find(item => item.file === 'data/HighwayPlan_data.db');
+        if (databaseEntry && databaseEntry.cachedAt) {
+            label += ` · Data cached ${formatCacheAge(databaseEntry.cachedAt)}`;
+        } else {
+            label += ' · Data not cached';
+        }
+    } catch (error) {
+        console.error('Error reading cache status:', error);
+    }
+    indicator.textContent = label;
+
+    // Keep an open details panel current
+    if (document.querySelector('.cache-status-panel')) {
+        renderCacheStatusPanel();
+    }
+}
+
+/**
+ * Opens or closes the cache details panel under the header indicator
+ */
+function toggleCacheStatusPanel() {
+    const existingPanel = document.querySelector('.cache-status-panel');
+    if (existingPanel) {
+        existingPanel.remove();
+        return;
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'cache-status-panel';
+    document.querySelector('.header-content').appendChild(panel);
+    renderCacheStatusPanel();
+}
+
+/**
+ * Fills the cache details panel: app shell, each data file with its age, and saved tiles
+ */
+async function renderCacheStatusPanel() {
+    const panel = document.querySelector('.cache-status-panel');
+    if (!panel) return;
+
+    const status = await getCacheStatus();
+    if (!status.supported) {
+        panel.innerHTML = '<p>This browser cannot store the dashboard for offline use.</p>';
+        return;
+    }
+
+    const dataRows = status.data.map(item => `
+        <li class="${item.cachedAt ? 'cached' : 'missing'}">
+            ${item.label}: ${item.cachedAt ? `cached ${formatCacheAge(item.cachedAt)}` : 'not cached'}
+        </li>
+    `).join('');
+
+    const tileRows = Object.entries(status.tiles).map(([host, count]) =>
+        `<li class="cached">${host}: ${count.toLocaleString()} tiles</li>`).join('');
+
+    const progress = panel.querySelector('.cache-tile-progress');
+
+    panel.innerHTML = `
+        <h6>Offline Data</h6>
+        <ul>
+            <li class="${status.shellFiles ? 'cached' : 'missing'}">
+                Dashboard files: ${status.shellFiles ? `${status.shellFiles} cached` : 'not cached'}
+            </li>
+            ${dataRows}
+        </ul>
+        <h6>Saved Map Tiles</h6>
+        <ul>${tileRows || '<li class="missing">None saved</li>'}</ul>
+        <button type="button" class="cache-save-area-btn">Save map area for offline</button>
+        <div class="cache-tile-progress">${progress ? progress.textContent : ''}</div>
+        <p class="cache-status-note">Data is refreshed whenever you are online. Saved tiles cover the current
+            ${currentBasemap} view and the next ${OFFLINE_TILE_EXTRA_ZOOMS} zoom levels.</p>
+    `;
+
+    panel.querySelector('.cache-save-area-btn').addEventListener('click', () => saveMapAreaForOffline(window.mainMap));
+}
+
+/**
+ * Lists the tile URLs covering the current map view for the active basemap
+ * @param {L.Map} map - The Leaflet map instance
+ * @returns {Array<string>} Tile URLs (using the "a" subdomain, matching sw.js)
+ */
+function getVisibleTileUrls(map) {
+    const tileLayer = basemaps[currentBasemap];
+    const bounds = map.getBounds();
+    const maxZoom = Math.min(map.getZoom() + OFFLINE_TILE_EXTRA_ZOOMS, tileLayer.options.maxZoom || 18);
+    const urls = [];
+
+    for (let zoom = Math.floor(map.getZoom()); zoom <= maxZoom; zoom++) {
+        const northWest = map.project(bounds.getNorthWest(), zoom).divideBy(256).floor();
+        const southEast = map.project(bounds.getSouthEast(), zoom).divideBy(256).floor();
+
+        for (let x = northWest.x; x <= southEast.x; x++) {
+            for (let y = northWest.y; y <= southEast.y; y++) {
+                urls.push(L.Util.template(tileLayer._url, L.Util.extend({}, tileLayer.options, {
+                    s: 'a', x: x, y: y, z: zoom, r: ''
+                })));
+            }
+        }
+    }
+
+    return urls;
+}
+
+/**
+ * Downloads the basemap tiles for the current view into the tile cache
+ * @param {L.Map} map - The Leaflet map instance
+ */
+async function saveMapAreaForOffline(map) {
+    if (!map || !('caches' in window)) return;
+
+    const urls = getVisibleTileUrls(map);
+    if (urls.length > MAX_OFFLINE_TILES) {
+        alert(`This view needs ${urls.length.toLocaleString()} tiles (limit ${MAX_OFFLINE_TILES.toLocaleString()}). Zoom in to a smaller area and try again.`);
+        return;
+    }
+    if (!confirm(`Save ${urls.length.toLocaleString()} ${currentBasemap} tiles for offline use?`)) {
+        return;
+    }
+
+    const cache = await caches.open(OFFLINE_TILE_CACHE);
+    const setProgress = text => {
+        const progress = document.querySelector('.cache-tile-progress');
+        if (progress) progress.textContent = text;
+    };
+
+    let saved = 0;
+    let failed = 0;
+    const queue = urls.slice();
+
+    // A few downloads at a time to stay polite to the tile servers
+    const worker = async () => {
+        while (queue.length) {
+            const url = queue.shift();
+            try {
+                if (!(await cache.match(url))) {
+                    const response = await fetch(url, { mode: 'cors' });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    await cache.put(url, response);
+                }
+                saved++;
+            } catch (error) {
+                failed++;
+            }
+            setProgress(`Saved ${saved.toLocaleString()} of ${urls.length.toLocaleString()} tiles${failed ? ` (${failed} failed)` : ''}`);
+        }
+    };
+    await Promise.all([worker(), worker(), worker(), worker()]);
+
+    console.log(`Saved ${saved} tiles for offline use, ${failed} failed`);
+    setProgress(`Saved ${saved.toLocaleString()} tiles${failed ? `, ${failed} failed` : ''}`);
+    updateCacheStatus();
+}
+
+/* =====================================================
+   13. DATA FRESHNESS BANNER
+   ===================================================== */
+
+// Extract date (or null when the layer failed to load) keyed by plan GeoJSON file
+let layerExtractDates = {};
+
+/**
+ * Updates the freshness banner under the header title from the metadata table and the GeoJSON extract dates
+ * Called as the database and each plan layer finish loading; see js/provenance.js
+ */
+function updateDataFreshnessBanner() {
+    const banner = document.getElementById('dataFreshnessBanner');
+    if (!banner) return;
+
+    const provenance = buildDataProvenance(database, layerExtractDates);
+    const warning = describeFreshnessWarning(provenance);
+    banner.classList.toggle('stale', Boolean(warning));
+    banner.innerHTML = `
+        <span class="data-freshness-summary">${warning ? '⚠ ' : ''}${describeDataFreshness(provenance) || 'Loading data…'}</span>
+        <button type="button" class="data-freshness-details-btn">Details</button>
+    `;
+    banner.title = warning;
+
+    banner.querySelector('.data-freshness-details-btn').addEventListener('click', () => {
+        const existingPanel = document.querySelector('.data-freshness-panel');
+        if (existingPanel) {
+            existingPanel.remove();
+            return;
+        }
+
+        const panel = document.createElement('div');
+        panel.className = 'data-freshness-panel';
+        panel.innerHTML = `
+            <h6>Data Provenance</h6>
+            ${renderProvenanceHTML(buildDataProvenance(database, layerExtractDates))}
+            <p><a href="about.html#provenance" target="_blank">More on the about page</a></p>
+        `;
+        banner.appendChild(panel);
+    });
+}
+
+/**
+ * Summarizes how current the data is, as shown in the banner and the printed report
+ * @param {Object} provenance - Result of buildDataProvenance()
+ * @returns {string} e.g. "Map data extracted ... · projects table refreshed ... · 3,999 rows" (empty while loading)
+ */
+function describeDataFreshness(provenance) {
+    const extractDates = Object.values(provenance.extractDates).filter(Boolean);
+    const latestExtract = extractDates.length ? new Date(Math.max(...extractDates)) : null;
+
+    const parts = [];
+    if (latestExtract) parts.push(`Map data extracted ${formatProvenanceDate(latestExtract)}`);
+    if (provenance.lastUpdate) parts.push(`projects table refreshed ${formatProvenanceDate(provenance.lastUpdate)}`);
+    if (provenance.totalProjects !== null) parts.push(`${provenance.totalProjects.toLocaleString()} rows`);
+    return parts.join(' · ');
+}
+
+/* =====================================================
+   14. PROJECT LINE SYMBOLOGY
+   ===================================================== */
+
+// Active symbology - how project lines are colored and how their width is set
+const symbologyState = {
+    colorBy: 'status',
+    weightBy: 'none'
+};
+
+// Value ranges of the loaded features, used for year colors and width scaling
+let symbologyDomain = { years: [], planYears: [], maxLength: 0, maxCost: 0 };
+
+// Colors for crosswalk categories, assigned in alphabetical order
+const CATEGORY_PALETTE = [
+    '#1b9e77', '#d95f02', '#7570b3', '#e7298a', '#66a61e', '#e6ab02',
+    '#a6761d', '#1f78b4', '#b15928', '#6a3d9a', '#fb9a99', '#17becf'
+];
+
+// Construction cost buckets (SYP_RPT_CSYFUNDCOSTC, or AUTHAMOUNTC once awarded)
+const COST_BUCKETS = [
+    { max: 1000000, label: 'Under $1M', color: '#fdd49e' },
+    { max: 5000000, label: '$1M – $5M', color: '#fc8d59' },
+    { max: 20000000, label: '$5M – $20M', color: '#d7301f' },
+    { max: Infinity, label: '$20M and over', color: '#7f0000' }
+];
+
+// Colors for the stage of a project's latest phase
+const STAGE_COLORS = {
+    ESTIMATED: '#9ecae1',
+    SENTTOFHWA: '#6baed6',
+    AUTHORIZED: '#3182bd',
+    AWARDED: '#08519c',
+    UNK: '#a0a0a0'
+};
+
+// Lines with no value for the chosen scheme
+const SYMBOLOGY_NO_DATA_COLOR = '#a0a0a0';
+
+// Line width range when width is scaled by length or cost
+const MIN_LINE_WEIGHT = 2;
+const MAX_LINE_WEIGHT = 9;
+
+/**
+ * Color schemes offered by the symbology picker
+ * Each scheme colors one feature (value) and lists its legend entries (legend)
+ */
+const symbologySchemes = {
+    status: {
+        label: 'Status',
+        value: (props, awarded) => awarded ? 'Awarded' : 'Current',
+        color: value => value === 'Awarded' ? 'blue' : 'green',
+        legend: () => [
+            { label: 'Current Projects', color: 'green' },
+            { label: 'Awarded Projects', color: 'blue' }
+        ]
+    },
+    category: {
+        label: 'Project Type',
+        value: (props, awarded, feature) => feature.projectCategory,
+        color: value => value ? getCategoryColor(value) : SYMBOLOGY_NO_DATA_COLOR,
+        legend: () => [
+            ...getCrosswalkCategories().map(category => ({ label: category, color: getCategoryColor(category) })),
+            { label: 'Not in crosswalk', color: SYMBOLOGY_NO_DATA_COLOR }
+        ]
+    },
+    scheduleYear: {
+        label: 'Scheduled Year',
+        value: props => getFeatureScheduleYear(props),
+        color: value => getYearColor(value, symbologyDomain.years),
+        legend: () => symbologyDomain.years.map(year => ({ label: `${year}`, color: getYearColor(year, symbologyDomain.years) }))
+    },
+    planYear: {
+        label: 'Plan Year',
+        value: props => getPlanProperty(props, 'PLANYEAR'),
+        color: value => getYearColor(value, symbologyDomain.planYears),
+        legend: () => symbologyDomain.planYears.map(year => ({ label: `${year}`, color: getYearColor(year, symbologyDomain.planYears) }))
+    },
+    cost: {
+        label: 'Construction Cost',
+        value: props => getFeatureConstructionCost(props),
+        color: value => {
+            if (!value) return SYMBOLOGY_NO_DATA_COLOR;
+            return COST_BUCKETS.find(bucket => value < bucket.max).color;
+        },
+        legend: () => [
+            ...COST_BUCKETS.map(bucket => ({ label: bucket.label, color: bucket.color })),
+            { label: 'No construction cost', color: SYMBOLOGY_NO_DATA_COLOR }
+        ]
+    },
+    stage: {
+        label: 'Phase Stage',
+        value: props => getFeatureLatestStage(props),
+        color: value => STAGE_COLORS[value] || SYMBOLOGY_NO_DATA_COLOR,
+        legend: () => [
+            ...Object.keys(STAGE_COLORS).map(stage => ({ label: formatPhaseStage(stage), color: STAGE_COLORS[stage] })),
+            { label: 'No stage', color: SYMBOLOGY_NO_DATA_COLOR }
+        ]
+    }
+};
+
+// Line width options offered by the symbology picker
+const LINE_WEIGHT_OPTIONS = {
+    none: 'Uniform',
+    length: 'Project Length',
+    cost: 'Programmed Cost'
+};
+
+/**
+ * Lists the crosswalk categories in alphabetical order
+ * @returns {Array<string>} Categories
+ */
+function getCrosswalkCategories() {
+    if (!crosswalkLookup) return [];
+    return [...new Set(Object.values(crosswalkLookup))].sort();
+}
+
+/**
+ * Gets the palette color of a crosswalk category
+ * @param {string} category - dropdown_category
+ * @returns {string} Color
+ */
+function getCategoryColor(category) {
+    const index = getCrosswalkCategories().indexOf(category);
+    return index === -1 ? SYMBOLOGY_NO_DATA_COLOR : CATEGORY_PALETTE[index % CATEGORY_PALETTE.length];
+}
+
+/**
+ * Gets a color for a year, from light (earliest) to dark (latest) green
+ * @param {number} year - Year to color
+ * @param {Array<number>} years - All years present, sorted
+ * @returns {string} Color
+ */
+function getYearColor(year, years) {
+    const index = years.indexOf(Number(year));
+    if (index === -1) return SYMBOLOGY_NO_DATA_COLOR;
+
+    const t = years.length > 1 ? index / (years.length - 1) : 1;
+    const from = [199, 233, 192];   // #c7e9c0
+    const to = [0, 68, 27];         // #00441b
+    const channel = i => Math.round(from[i] + (to[i] - from[i]) * t);
+    return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+}
+
+/**
+ * Gets the construction phase cost of a project feature
+ * @param {Object} props - Feature properties
+ * @returns {number} Dollars (0 when there is no construction phase cost)
+ */
+function getFeatureConstructionCost(props) {
+    const construction = getFeaturePhases(props).find(item => item.phase === 'C');
+    return construction ? construction.amount : 0;
+}
+
+/**
+ * Gets the stage of the latest phase (in P, D, R, U, C order) that has a stage
+ * @param {Object} props - Feature properties
+ * @returns {string|null} SYP_RPT_STAGE* value
+ */
+function getFeatureLatestStage(props) {
+    const staged = getFeaturePhases(props).filter(item => item.stage);
+    return staged.length ? staged[staged.length - 1].stage : null;
+}
+
+/**
+ * Gets the value used to scale line width for a feature
+ * @param {Object} props - Feature properties
+ * @returns {number} Route length in miles or total programmed dollars
+ */
+function getLineWeightValue(props) {
+    if (symbologyState.weightBy === 'length') {
+        return Number(props['KYTCDynamic_Highways.DBO.Project_Locations_Line.RouteLength']) || 0;
+    }
+    if (symbologyState.weightBy === 'cost') {
+        return getFeaturePhaseFunding(props).reduce((sum, item) => sum + item.amount, 0);
+    }
+    return 0;
+}
+
+/**
+ * Style function for the project line layers (also used by resetStyle)
+ * Opacity is left to the filter styling in styleFeatureForFilters()
+ * @param {Object} feature - GeoJSON feature
+ * @param {boolean} awarded - Whether the feature comes from the awarded layer
+ * @returns {Object} Leaflet path style
+ */
+function getProjectLineStyle(feature, awarded) {
+    const props = feature.properties || {};
+    const scheme = symbologySchemes[symbologyState.colorBy] || symbologySchemes.status;
+
+    let weight = MIN_LINE_WEIGHT;
+    const maxValue = symbologyState.weightBy === 'length' ? symbologyDomain.maxLength : symbologyDomain.maxCost;
+    if (symbologyState.weightBy !== 'none' && maxValue > 0) {
+        // Square root keeps a few very large projects from dwarfing the rest
+        const ratio = Math.sqrt(Math.min(getLineWeightValue(props) / maxValue, 1));
+        weight = MIN_LINE_WEIGHT + (MAX_LINE_WEIGHT - MIN_LINE_WEIGHT) * ratio;
+    }
+
+    return {
+        color: scheme.color(scheme.value(props, awarded, feature)),
+        weight: weight,
+        opacity: 0.8
+    };
+}
+
+/**
+ * Recomputes the year lists and maximum length/cost over both project layers
+ */
+function updateSymbologyDomain() {
+    const years = new Set();
+    const planYears = new Set();
+    let maxLength = 0;
+    let maxCost = 0;
+
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        eachProjectFeatureLayer(projectLayer, layer => {
+            const props = (layer.feature && layer.feature.properties) || {};
+            const scheduleYear = Number(getFeatureScheduleYear(props));
+            const planYear = Number(getPlanProperty(props, 'PLANYEAR'));
+            if (scheduleYear) years.add(scheduleYear);
+            if (planYear) planYears.add(planYear);
+            maxLength = Math.max(maxLength, Number(props['KYTCDynamic_Highways.DBO.Project_Locations_Line.RouteLength']) || 0);
+            maxCost = Math.max(maxCost, getFeaturePhaseFunding(props).reduce((sum, item) => sum + item.amount, 0));
+        });
+    });
+
+    symbologyDomain = {
+        years: [...years].sort((a, b) => a - b),
+        planYears: [...planYears].sort((a, b) => a - b),
+        maxLength: maxLength,
+        maxCost: maxCost
+    };
+}
+
+/**
+ * Restyles the project lines for the current symbology and rebuilds the legend
+ * Called when the picker changes, when a project layer loads and once the crosswalk is available
+ */
+function applySymbology() {
+    updateSymbologyDomain();
+
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        if (projectLayer) {
+            projectLayer.resetStyle();
+        }
+    });
+
+    // Spot project points take the same colors as the lines
+    spotProjectMarkers.forEach(marker => marker.setIcon(getSpotProjectIcon(marker.feature, marker.options.awarded)));
+
+    // Filter dimming and the selected project highlight go back on top
+    applyFiltersToMap();
+    updateLegend();
+}
+
+/**
+ * Sets the symbology from the picker or a shared link
+ * @param {string} colorBy - Key of symbologySchemes
+ * @param {string} weightBy - Key of LINE_WEIGHT_OPTIONS
+ */
+function setSymbology(colorBy, weightBy) {
+    symbologyState.colorBy = symbologySchemes[colorBy] ? colorBy : 'status';
+    symbologyState.weightBy = LINE_WEIGHT_OPTIONS[weightBy] ? weightBy : 'none';
+
+    const colorSelect = document.querySelector('.symbology-color-select');
+    const weightSelect = document.querySelector('.symbology-weight-select');
+    if (colorSelect) colorSelect.value = symbologyState.colorBy;
+    if (weightSelect) weightSelect.value = symbologyState.weightBy;
+
+    applySymbology();
+    updateUrlState();
+}
+
+/**
+ * Rebuilds the legend items for the current symbology
+ */
+function updateLegend() {
+    const itemsContainer = document.querySelector('.legend-symbology-items');
+    if (!itemsContainer) return;
+
+    const scheme = symbologySchemes[symbologyState.colorBy] || symbologySchemes.status;
+    const items = scheme.legend().map(item => `
+        <div class="legend-item">
+            <div class="legend-color line" style="background-color: ${item.color};"></div>
+            <span>${item.label}</span>
+        </div>
+    `).join('');
+
+    const weightNote = symbologyState.weightBy === 'none' ? '' : `
+        <div class="legend-weight-note">
+            <span class="legend-weight-sample thin"></span><span class="legend-weight-sample thick"></span>
+            Wider lines = greater ${LINE_WEIGHT_OPTIONS[symbologyState.weightBy].toLowerCase()}
+        </div>
+    `;
+
+    itemsContainer.innerHTML = items + weightNote;
+}
+
+/* =====================================================
+   15. BRIDGE AND SPOT PROJECT POINTS
+   ===================================================== */
+
+// Projects with a bridge ID, or shorter than this (EMP - BMP, in miles), are spot projects
+const SPOT_PROJECT_MAX_MILES = 0.1;
+
+// Zoom level at which spot projects switch from points to their line geometry
+const SPOT_PROJECT_EXPAND_ZOOM = 13;
+
+// Marker cluster group holding the spot project points (created in initializeMap)
+let spotProjectClusters = null;
+
+// Project feature layer -> the point marker shown for it at low zoom
+const spotProjectMarkers = new Map();
+
+// Whether spot projects were drawn as points at the last zoom change
+let spotProjectsCollapsed = true;
+
+/**
+ * Tells whether a project is a bridge or spot job that is too short to see as a line statewide
+ * @param {Object} props - Feature properties
+ * @returns {boolean} True for bridge projects and projects under SPOT_PROJECT_MAX_MILES
+ */
+function isSpotProject(props) {
+    const bridgeId = String(getPlanProperty(props, 'SYP_PRO_BRNO') || '').trim();
+    if (bridgeId) return true;
+
+    const bmp = Number(getPlanProperty(props, 'BMP'));
+    const emp = Number(getPlanProperty(props, 'EMP'));
+    return !isNaN(bmp) && !isNaN(emp) && Math.abs(emp - bmp) <= SPOT_PROJECT_MAX_MILES;
+}
+
+/**
+ * Tells whether a feature is currently shown as a point rather than a line
+ * @param {L.Path} layer - Project feature layer
+ * @returns {boolean} True for spot projects below SPOT_PROJECT_EXPAND_ZOOM
+ */
+function isCollapsedSpotProject(layer) {
+    return spotProjectMarkers.has(layer) && !!window.mainMap &&
+        window.mainMap.getZoom() < SPOT_PROJECT_EXPAND_ZOOM;
+}
+
+/**
+ * Finds the point halfway along a line feature
+ * @param {L.Polyline} layer - Project feature layer
+ * @returns {L.LatLng} Midpoint by distance along the line (center of the bounds as a fallback)
+ */
+function getLineMidpoint(layer) {
+    const points = L.LineUtil.isFlat(layer.getLatLngs()) ? layer.getLatLngs() : layer.getLatLngs().flat();
+    if (points.length < 2) {
+        return layer.getBounds().getCenter();
+    }
+
+    const segmentLengths = points.slice(1).map((point, i) => points[i].distanceTo(point));
+    let remaining = segmentLengths.reduce((sum, length) => sum + length, 0) / 2;
+
+    for (let i = 0; i < segmentLengths.length; i++) {
+        if (remaining <= segmentLengths[i] && segmentLengths[i] > 0) {
+            const ratio = remaining / segmentLengths[i];
+            return L.latLng(
+                points[i].lat + (points[i + 1].lat - points[i].lat) * ratio,
+                points[i].lng + (points[i + 1].lng - points[i].lng) * ratio
+            );
+        }
+        remaining -= segmentLengths[i];
+    }
+    return points[points.length - 1];
+}
+
+/**
+ * Builds the point icon for a spot project, colored like its line
+ * Bridge projects are drawn as squares, other spot projects as circles
+ * @param {Object} feature - GeoJSON feature
+ * @param {boolean} awarded - Whether the feature comes from the awarded layer
+ * @returns {L.DivIcon} Icon
+ */
+function getSpotProjectIcon(feature, awarded) {
+    const props = feature.properties || {};
+    const isBridge = !!String(getPlanProperty(props, 'SYP_PRO_BRNO') || '').trim();
+    const color = getProjectLineStyle(feature, awarded).color;
+
+    return L.divIcon({
+        className: `spot-project-marker ${isBridge ? 'bridge' : 'spot'}`,
+        html: `<span style="background-color: ${color};"></span>`,
+        iconSize: [14, 14],
+        iconAnchor: [7, 7],
+        popupAnchor: [0, -7]
+    });
+}
+
+/**
+ * Builds the cluster icon, split into awarded and current counts
+ * @param {Object} cluster - MarkerCluster
+ * @returns {L.DivIcon} Icon
+ */
+function createSpotClusterIcon(cluster) {
+    const markers = cluster.getAllChildMarkers();
+    const awarded = markers.filter(marker => marker.options.awarded).length;
+    const current = markers.length - awarded;
+    const size = markers.length < 10 ? 34 : markers.length < 100 ? 40 : 48;
+
+    return L.divIcon({
+        className: 'spot-project-cluster',
+        html: `
+            <div title="${awarded} awarded, ${current} current bridge/spot projects">
+                ${awarded ? `<span class="awarded">${awarded}</span>` : ''}
+                ${current ? `<span class="current">${current}</span>` : ''}
+            </div>
+        `,
+        iconSize: [size, size]
+    });
+}
+
+/**
+ * Creates the marker cluster group for the spot project points
+ * @returns {L.MarkerClusterGroup} Cluster group
+ */
+function createSpotProjectClusterGroup() {
+    return L.markerClusterGroup({
+        iconCreateFunction: createSpotClusterIcon,
+        maxClusterRadius: 50,
+        showCoverageOnHover: false,
+        chunkedLoading: true
+    });
+}
+
+/**
+ * Binds the project popup and table selection to a spot project point,
+ * the same as loadGeoJSONLayer does for the lines
+ * @param {L.Marker} marker - Spot project marker (marker.feature is the project feature)
+ */
+function bindSpotProjectMarkerEvents(marker) {
+    marker.bindPopup(buildProjectPopupContent(marker.feature.properties || {}, marker.options.awarded));
+    marker.on('popupopen', handleProjectPopupOpen);
+    bindProjectSelectionClick(marker);
+}
+
+/**
+ * Creates a point marker at the midpoint of every spot project in a layer
+ * @param {L.GeoJSON} projectLayer - Awarded or current projects layer
+ * @param {boolean} awarded - Whether the layer holds awarded projects
+ */
+function buildSpotProjectMarkers(projectLayer, awarded) {
+    let count = 0;
+
+    eachProjectFeatureLayer(projectLayer, layer => {
+        if (!layer.feature || !layer.getLatLngs || !isSpotProject(layer.feature.properties || {})) return;
+
+        const marker = L.marker(getLineMidpoint(layer), {
+            icon: getSpotProjectIcon(layer.feature, awarded),
+            awarded: awarded
+        });
+        marker.feature = layer.feature;
+        spotProjectMarkers.set(layer, marker);
+        bindSpotProjectMarkerEvents(marker);
+        count++;
+    });
+
+    console.log(`Created ${count} spot project points for the ${awarded ? 'awarded' : 'current'} layer`);
+}
+
+/**
+ * Adds and removes spot project points in the cluster group in one batch
+ * @param {Array<L.Marker>} markersToShow - Points that should be on the map
+ * @param {Array<L.Marker>} markersToHide - Points that should not
+ */
+function updateSpotProjectClusters(markersToShow, markersToHide) {
+    if (!spotProjectClusters) return;
+
+    const adding = markersToShow.filter(marker => !spotProjectClusters.hasLayer(marker));
+    const removing = markersToHide.filter(marker => spotProjectClusters.hasLayer(marker));
+
+    if (removing.length > 0) spotProjectClusters.removeLayers(removing);
+    if (adding.length > 0) spotProjectClusters.addLayers(adding);
+}
+
+/**
+ * Switches spot projects between points and lines when the zoom crosses SPOT_PROJECT_EXPAND_ZOOM
+ */
+function updateSpotProjectZoom() {
+    const collapsed = window.mainMap.getZoom() < SPOT_PROJECT_EXPAND_ZOOM;
+    if (collapsed === spotProjectsCollapsed) return;
+
+    spotProjectsCollapsed = collapsed;
+    console.log(`Spot projects shown as ${collapsed ? 'points' : 'lines'}`);
+    applyFiltersToMap();
+}
+
+
+/* =====================================================
+   16. PERFORMANCE MODE (CANVAS RENDERING)
+   ===================================================== */
+
+// 'svg' draws every project line as its own SVG element (Leaflet's default);
+// 'canvas' draws them all on one canvas, which stays responsive with thousands of lines
+let projectRenderMode = 'svg';
+
+// Canvas renderer shared by both project layers (created on first use)
+let projectCanvasRenderer = null;
+
+// Pixels either side of a canvas line that still count as clicking it
+const CANVAS_CLICK_TOLERANCE = 6;
+
+// How long the rendering benchmark pans the map for each renderer
+const RENDER_BENCHMARK_PAN_MS = 3000;
+
+/**
+ * Gets the renderer the project lines use in the current mode
+ * @returns {L.Canvas|undefined} Shared canvas renderer, or undefined for the map's default SVG renderer
+ */
+function getProjectLineRenderer() {
+    if (projectRenderMode !== 'canvas') return undefined;
+
+    if (!projectCanvasRenderer) {
+        // One canvas for both layers, in the top project pane: a canvas takes every click over it,
+        // so a second canvas in a lower pane would never be clicked (see orderProjectLayers())
+        projectCanvasRenderer = L.canvas({
+            padding: 0.5,
+            tolerance: CANVAS_CLICK_TOLERANCE,
+            pane: MAP_LAYER_PANES.awarded.pane
+        });
+    }
+    return projectCanvasRenderer;
+}
+
+/**
+ * Switches the project lines between SVG and canvas rendering
+ * Popups, table selection, filter styling and KYTC API mode handlers stay on the feature layers,
+ * so they work the same in both modes
+ * @param {string} mode - 'svg' or 'canvas'
+ */
+function setProjectRenderMode(mode) {
+    projectRenderMode = mode === 'canvas' ? 'canvas' : 'svg';
+    const renderer = getProjectLineRenderer();
+    const map = window.mainMap;
+
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        if (!projectLayer) return;
+
+        // A line picks its renderer when it is added to the map, so take the layer off and put it back
+        const onMap = map.hasLayer(projectLayer);
+        if (onMap) map.removeLayer(projectLayer);
+
+        eachProjectFeatureLayer(projectLayer, layer => {
+            layer.options.renderer = renderer;
+        });
+
+        if (onMap) map.addLayer(projectLayer);
+    });
+
+    orderProjectLayers();
+    reapplyProjectHighlight();
+
+    const toggleBtn = document.querySelector('.render-mode-btn');
+    if (toggleBtn) {
+        toggleBtn.classList.toggle('active', projectRenderMode === 'canvas');
+    }
+
+    console.log(`Project lines rendered with ${projectRenderMode === 'canvas' ? 'canvas' : 'SVG'}`);
+    updateUrlState();
+}
+
+/**
+ * Waits for the browser to draw the next frame
+ * @returns {Promise<number>} Frame timestamp
+ */
+function nextAnimationFrame() {
+    return new Promise(resolve => requestAnimationFrame(resolve));
+}
+
+/**
+ * Shifts GeoJSON coordinates by the same amount in longitude and latitude
+ * @param {Array} coordinates - Position or nested array of positions
+ * @param {number} offset - Degrees to add
+ * @returns {Array} Shifted copy
+ */
+function shiftCoordinates(coordinates, offset) {
+    if (typeof coordinates[0] === 'number') {
+        return [coordinates[0] + offset, coordinates[1] + offset];
+    }
+    return coordinates.map(position => shiftCoordinates(position, offset));
+}
+
+/**
+ * Builds a stand-in for a larger line set from the loaded project features,
+ * each copy shifted a little so the lines don't sit exactly on top of each other
+ * @param {number} copies - Copies of the loaded features
+ * @returns {Object} FeatureCollection
+ */
+function buildBenchmarkFeatures(copies) {
+    const loaded = [];
+    [awardedProjectsLayer, currentProjectsLayer].forEach(projectLayer => {
+        if (!projectLayer) return;
+        eachProjectFeatureLayer(projectLayer, layer => {
+            if (layer.feature && layer.feature.geometry) loaded.push(layer.feature);
+        });
+    });
+
+    const features = [];
+    for (let copy = 0; copy < copies; copy++) {
+        loaded.forEach(feature => {
+            features.push({
+                type: 'Feature',
+                properties: feature.properties,
+                geometry: {
+                    type: feature.geometry.type,
+                    coordinates: shiftCoordinates(feature.geometry.coordinates, copy * 0.01)
+                }
+            });
+        });
+    }
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Measures one renderer: time to build and draw the lines, then the frame rate while panning
+ * @param {L.Map} map - The Leaflet map instance
+ * @param {Object} data - FeatureCollection to draw
+ * @param {L.Renderer} renderer - SVG or canvas renderer
+ * @returns {Promise<Object>} { features, loadMs, fps }
+ */
+async function measureRenderer(map, data, renderer) {
+    const start = performance.now();
+
+    // Built the same way as the project layers in loadGeoJSONLayer
+    const layer = L.geoJSON(data, {
+        renderer: renderer,
+        style: feature => getProjectLineStyle(feature, true),
+        onEachFeature: (feature, featureLayer) => {
+            featureLayer.bindPopup(() => buildProjectPopupContent(feature.properties || {}, true));
+            bindProjectSelectionClick(featureLayer);
+        }
+    }).addTo(map);
+
+    await nextAnimationFrame();
+    const loadMs = performance.now() - start;
+
+    // Pan back and forth one step per frame and count the frames drawn
+    let frames = 0;
+    let direction = 1;
+    const panStart = performance.now();
+    while (performance.now() - panStart < RENDER_BENCHMARK_PAN_MS) {
+        map.panBy([40 * direction, 0], { animate: false });
+        frames++;
+        if (frames % 20 === 0) direction = -direction;
+        await nextAnimationFrame();
+    }
+    const fps = frames / ((performance.now() - panStart) / 1000);
+
+    map.removeLayer(layer);
+    map.removeLayer(renderer);
+
+    return { features: data.features.length, loadMs: loadMs, fps: fps };
+}
+
+/**
+ * Compares SVG and canvas rendering of the project lines on this machine.
+ * Run from the browser console once the map has loaded, e.g. `await runRenderBenchmark(20)`
+ * @param {number} copies - Copies of the loaded project features to draw (default 10)
+ * @returns {Promise<Object|null>} Results keyed by renderer, or null when no project layer is loaded
+ */
+async function runRenderBenchmark(copies = 10) {
+    const map = window.mainMap;
+    const data = buildBenchmarkFeatures(copies);
+    if (data.features.length === 0) {
+        console.error('Rendering benchmark needs the project layers to be loaded');
+        return null;
+    }
+
+    console.log(`Rendering benchmark: ${data.features.length} lines (${copies} copies of the loaded projects)`);
+
+    // Take the real project layers off so only the benchmark lines are drawn
+    const center = map.getCenter();
+    const zoom = map.getZoom();
+    const projectLayers = [awardedProjectsLayer, currentProjectsLayer].filter(layer => layer && map.hasLayer(layer));
+    projectLayers.forEach(layer => map.removeLayer(layer));
+
+    const results = {};
+    try {
+        results.SVG = await measureRenderer(map, data, L.svg());
+        map.setView(center, zoom, { animate: false });
+        results.Canvas = await measureRenderer(map, data, L.canvas({ padding: 0.5, tolerance: CANVAS_CLICK_TOLERANCE }));
+    } catch (error) {
+        console.error('Rendering benchmark failed:', error);
+    } finally {
+        map.setView(center, zoom, { animate: false });
+        projectLayers.forEach(layer => map.addLayer(layer));
+    }
+
+    const table = {};
+    Object.keys(results).forEach(name => {
+        table[name] = {
+            'lines': results[name].features,
+            'load + first draw (ms)': Math.round(results[name].loadMs),
+            'panning (fps)': Number(results[name].fps.toFixed(1))
+        };
+    });
+    console.table(table);
+
+    return results;
+}
+
+/* =====================================================
+   17. SPATIAL SELECTION (DRAWN AREAS AND POINT BUFFERS)
+   ===================================================== */
+
+// Drawn selection area - { tool, latlngs } for rectangles and polygons, { tool, center, radius } for circles and buffers
+let spatialSelection = null;
+
+// Layer group showing the selection area on the map (created in initializeMap)
+let spatialSelectionLayer = null;
+
+// Ends the drawing in progress (set while a drawing tool is active)
+let cancelSpatialDrawing = null;
+
+// Radius of the point buffer tool
+let spatialBufferMiles = 1;
+
+const METERS_PER_MILE = 1609.344;
+const METERS_PER_DEGREE = 111320;
+
+// Pixels within which a polygon click closes the shape on its first vertex
+const POLYGON_CLOSE_PIXELS = 10;
+
+const SPATIAL_SELECTION_STYLE = {
+    color: '#244332',
+    weight: 2,
+    dashArray: '6 4',
+    fillColor: '#244332',
+    fillOpacity: 0.08,
+    interactive: false
+};
+
+// Drawing tools, in menu order
+const SPATIAL_SELECTION_TOOLS = {
+    rectangle: { label: 'Rectangle', hint: 'Drag on the map to draw a rectangle.' },
+    polygon: { label: 'Polygon', hint: 'Click to add corners. Click the first corner, double-click or press Enter to finish.' },
+    circle: { label: 'Radius Circle', hint: 'Drag from the center outwards to draw a circle.' },
+    buffer: { label: 'Point Buffer', hint: 'Click a point to select projects within the buffer distance.' }
+};
+
+/**
+ * Projects a point to meters on a flat plane around an origin
+ * Accurate enough for selections the size of a district
+ * @param {L.LatLng} latlng - Point to project
+ * @param {L.LatLng} origin - Center of the plane
+ * @returns {Object} { x, y } in meters
+ */
+function projectToLocalMeters(latlng, origin) {
+    return {
+        x: (latlng.lng - origin.lng) * METERS_PER_DEGREE * Math.cos(origin.lat * Math.PI / 180),
+        y: (latlng.lat - origin.lat) * METERS_PER_DEGREE
+    };
+}
+
+/**
+ * Gets the parts of a project line (one for a LineString, several for a MultiLineString)
+ * @param {L.Polyline} layer - Project feature layer
+ * @returns {Array<Array<L.LatLng>>} Line parts
+ */
+function getLineParts(layer) {
+    const latlngs = layer.getLatLngs();
+    return L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs;
+}
+
+// Orientation of the turn a -> b -> c (positive counter-clockwise)
+function crossProduct(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+/**
+ * Tells whether two segments cross or touch
+ * @returns {boolean} True if segment p1-p2 intersects segment p3-p4
+ */
+function segmentsIntersect(p1, p2, p3, p4) {
+    const d1 = crossProduct(p3, p4, p1);
+    const d2 = crossProduct(p3, p4, p2);
+    const d3 = crossProduct(p1, p2, p3);
+    const d4 = crossProduct(p1, p2, p4);
+
+    if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+        return true;
+    }
+
+    // Collinear points lying on the other segment
+    const onSegment = (a, b, c) => Math.min(a.x, b.x) <= c.x && c.x <= Math.max(a.x, b.x) &&
+        Math.min(a.y, b.y) <= c.y && c.y <= Math.max(a.y, b.y);
+    return (d1 === 0 && onSegment(p3, p4, p1)) || (d2 === 0 && onSegment(p3, p4, p2)) ||
+        (d3 === 0 && onSegment(p1, p2, p3)) || (d4 === 0 && onSegment(p1, p2, p4));
+}
+
+/**
+ * Ray-casting point in polygon test
+ * @param {Object} point - { x, y }
+ * @param {Array<Object>} ring - Polygon corners as { x, y }
+ * @returns {boolean} True if the point is inside the ring
+ */
+function pointInRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        if ((ring[i].y > point.y) !== (ring[j].y > point.y) &&
+            point.x < (ring[j].x - ring[i].x) * (point.y - ring[i].y) / (ring[j].y - ring[i].y) + ring[i].x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Distance from a point to a segment
+ * @returns {number} Distance in the units of the points
+ */
+function distanceToSegment(point, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 :
+        Math.max(0, Math.min(1, ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared));
+    return Math.hypot(point.x - (a.x + t * dx), point.y - (a.y + t * dy));
+}
+
+/**
+ * Tells whether a project line crosses or lies inside the selection area
+ * @param {L.Polyline} layer - Project feature layer
+ * @param {Object} selection - Selection area (see spatialSelection)
+ * @returns {boolean} True if any part of the line is in the area
+ */
+function layerIntersectsSelection(layer, selection) {
+    if (!selection.bounds.intersects(layer.getBounds())) return false;
+
+    if (selection.center) {
+        const center = projectToLocalMeters(selection.center, selection.center);
+        return getLineParts(layer).some(part => {
+            const points = part.map(latlng => projectToLocalMeters(latlng, selection.center));
+            if (points.length === 1) return Math.hypot(points[0].x, points[0].y) <= selection.radius;
+            return points.slice(1).some((point, i) => distanceToSegment(center, points[i], point) <= selection.radius);
+        });
+    }
+
+    const origin = selection.latlngs[0];
+    const ring = selection.latlngs.map(latlng => projectToLocalMeters(latlng, origin));
+    return getLineParts(layer).some(part => {
+        const points = part.map(latlng => projectToLocalMeters(latlng, origin));
+
+        // A vertex inside the area, or a segment crossing one of its edges
+        if (points.some(point => pointInRing(point, ring))) return true;
+        return points.slice(1).some((point, i) => ring.some((corner, j) =>
+            segmentsIntersect(points[i], point, corner, ring[(j + 1) % ring.length])));
+    });
+}
+
+/**
+ * Builds the selection area from a drawn shape
+ * @param {string} tool - Key of SPATIAL_SELECTION_TOOLS
+ * @param {Object} shape - { latlngs } or { center, radius } (radius in meters)
+ * @returns {Object} Selection area with its bounds
+ */
+function createSpatialSelection(tool, shape) {
+    if (shape.center) {
+        return {
+            tool: tool,
+            center: shape.center,
+            radius: shape.radius,
+            bounds: shape.center.toBounds(shape.radius * 2)
+        };
+    }
+    return {
+        tool: tool,
+        latlngs: shape.latlngs,
+        bounds: L.latLngBounds(shape.latlngs)
+    };
+}
+
+/**
+ * Draws the selection area on the map
+ * @param {Object|null} selection - Selection area, or null to remove it
+ */
+function drawSpatialSelection(selection) {
+    if (!spatialSelectionLayer) return;
+    spatialSelectionLayer.clearLayers();
+    if (!selection) return;
+
+    if (selection.center) {
+        spatialSelectionLayer.addLayer(L.circle(selection.center, { ...SPATIAL_SELECTION_STYLE, radius: selection.radius }));
+        if (selection.tool === 'buffer') {
+            spatialSelectionLayer.addLayer(L.circleMarker(selection.center, { ...SPATIAL_SELECTION_STYLE, radius: 4, dashArray: null, fillOpacity: 1 }));
+        }
+    } else {
+        spatialSelectionLayer.addLayer(L.polygon(selection.latlngs, SPATIAL_SELECTION_STYLE));
+    }
+}
+
+/**
+ * Sets or clears the selection area; the charts and table then show only the projects in it
+ * @param {Object|null} selection - Selection area from createSpatialSelection, or null
+ * @param {boolean} [refresh=true] - Whether to reload the charts and table
+ */
+function setSpatialSelection(selection, refresh = true) {
+    spatialSelection = selection;
+    drawSpatialSelection(selection);
+    console.log('Spatial selection:', selection ? selection.tool : 'cleared');
+
+    const btn = document.querySelector('.spatial-select-btn');
+    if (btn) {
+        btn.classList.toggle('active', Boolean(selection));
+    }
+
+    const menu = document.querySelector('.spatial-select-menu');
+    if (menu) {
+        menu.querySelectorAll('.spatial-select-clear, .spatial-select-export').forEach(button => {
+            button.disabled = !selection;
+        });
+    }
+
+    updatePanelTitles();
+    if (refresh) {
+        updateChartsAndTable();
+    }
+    if (!selection) {
+        updateSpatialSelectionStatus(null);
+    }
+}
+
+/**
+ * Shows how many projects the selection area holds in the selection menu
+ * @param {Object|null} features - { awarded, current } from getFeaturesInExtent, or null when nothing is selected
+ */
+function updateSpatialSelectionStatus(features) {
+    const status = document.querySelector('.spatial-select-status');
+    if (!status) return;
+
+    if (cancelSpatialDrawing) return;
+    status.textContent = features
+        ? `${features.awarded.length} awarded and ${features.current.length} current projects selected`
+        : 'Draw an area to select the projects in it.';
+}
+
+/**
+ * Lets the user draw a selection area with one of the SPATIAL_SELECTION_TOOLS
+ * A transparent surface over the map takes the pointer while drawing, so project lines
+ * don't open popups; the mouse wheel still zooms. Escape cancels.
+ * @param {L.Map} map - The Leaflet map instance
+ * @param {string} tool - Key of SPATIAL_SELECTION_TOOLS
+ */
+function startSpatialDrawing(map, tool) {
+    if (cancelSpatialDrawing) cancelSpatialDrawing();
+
+    const container = map.getContainer();
+    const surface = L.DomUtil.create('div', 'spatial-draw-surface', container);
+    const preview = L.layerGroup().addTo(map);
+    const points = [];
+    let start = null;
+
+    const status = document.querySelector('.spatial-select-status');
+    if (status) status.textContent = SPATIAL_SELECTION_TOOLS[tool].hint;
+
+    const toLatLng = e => map.mouseEventToLatLng(e);
+    const showPreview = shape => {
+        preview.clearLayers();
+        if (shape) preview.addLayer(shape);
+    };
+
+    const stop = () => {
+        surface.remove();
+        map.removeLayer(preview);
+        document.removeEventListener('keydown', onKeyDown);
+        cancelSpatialDrawing = null;
+        document.querySelectorAll('.spatial-select-tool').forEach(btn => btn.classList.remove('active'));
+    };
+
+    const finish = shape => {
+        stop();
+        setSpatialSelection(createSpatialSelection(tool, shape));
+    };
+
+    const finishPolygon = () => {
+        if (points.length >= 3) {
+            finish({ latlngs: points.slice() });
+        }
+    };
+
+    const onKeyDown = e => {
+        if (e.key === 'Escape') {
+            stop();
+            updateSpatialSelectionStatus(spatialSelection ? getFeaturesInExtent(map) : null);
+        } else if (e.key === 'Enter' && tool === 'polygon') {
+            finishPolygon();
+        }
+    };
+
+    surface.addEventListener('pointerdown', e => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const latlng = toLatLng(e);
+
+        if (tool === 'buffer') {
+            finish({ center: latlng, radius: spatialBufferMiles * METERS_PER_MILE });
+        } else if (tool === 'polygon') {
+            const point = map.latLngToContainerPoint(latlng);
+            if (points.length >= 3 && point.distanceTo(map.latLngToContainerPoint(points[0])) <= POLYGON_CLOSE_PIXELS) {
+                finishPolygon();
+                return;
+            }
+            // The second click of a double-click lands on the corner just added
+            if (points.length > 0 && point.distanceTo(map.latLngToContainerPoint(points[points.length - 1])) < 4) return;
+            points.push(latlng);
+            showPreview(L.polyline(points, SPATIAL_SELECTION_STYLE));
+        } else {
+            start = latlng;
+            surface.setPointerCapture(e.pointerId);
+        }
+    });
+
+    surface.addEventListener('pointermove', e => {
+        const latlng = toLatLng(e);
+        if (tool === 'rectangle' && start) {
+            showPreview(L.rectangle([start, latlng], SPATIAL_SELECTION_STYLE));
+        } else if (tool === 'circle' && start) {
+            showPreview(L.circle(start, { ...SPATIAL_SELECTION_STYLE, radius: map.distance(start, latlng) }));
+        } else if (tool === 'polygon' && points.length > 0) {
+            showPreview(L.polygon([...points, latlng], SPATIAL_SELECTION_STYLE));
+        }
+    });
+
+    surface.addEventListener('pointerup', e => {
+        if (!start) return;
+        const latlng = toLatLng(e);
+        const dragged = map.latLngToContainerPoint(start).distanceTo(map.latLngToContainerPoint(latlng)) > 3;
+        const origin = start;
+        start = null;
+
+        // A click without a drag draws nothing - keep waiting for a drag
+        if (!dragged) {
+            showPreview(null);
+            return;
+        }
+
+        if (tool === 'rectangle') {
+            const bounds = L.latLngBounds(origin, latlng);
+            finish({ latlngs: [bounds.getSouthWest(), bounds.getNorthWest(), bounds.getNorthEast(), bounds.getSouthEast()] });
+        } else {
+            finish({ center: origin, radius: map.distance(origin, latlng) });
+        }
+    });
+
+    surface.addEventListener('dblclick', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (tool === 'polygon') finishPolygon();
+    });
+
+    // Clicks on the surface are not map clicks
+    L.DomEvent.disableClickPropagation(surface);
+    document.addEventListener('keydown', onKeyDown);
+    cancelSpatialDrawing = stop;
+}
+
+/**
+ * Gets the project features in the selection area that match the active filters
+ * @returns {Array<Object>} { feature, awarded } pairs
+ */
+function getSelectedProjectFeatures() {
+    const features = getFeaturesInExtent(window.mainMap);
+    return [
+        ...features.awarded.map(feature => ({ feature, awarded: true })),
+        ...features.current.map(feature => ({ feature, awarded: false }))
+    ];
+}
+
+/**
+ * Downloads text (or bytes) as a file
+ * @param {string|Uint8Array} text - File contents
+ * @param {string} type - MIME type
+ * @param {string} filename - Download file name
+ */
+function downloadTextFile(text, type, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: type }));
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+}
+
+/**
+ * Exports the selected projects as GeoJSON (original geometry and attributes) or CSV (table columns)
+ * @param {string} format - 'geojson' or 'csv'
+ */
+function exportSpatialSelection(format) {
+    if (!spatialSelection) return;
+
+    const selected = getSelectedProjectFeatures();
+    if (selected.length === 0) {
+        alert('There are no projects in the selected area to export.');
+        return;
+    }
+
+    console.log(`Exporting ${selected.length} selected projects as ${format}`);
+
+    if (format === 'geojson') {
+        const collection = {
+            type: 'FeatureCollection',
+            features: selected.map(({ feature, awarded }) => ({
+                type: 'Feature',
+                properties: { ...feature.properties, PROJECT_STATUS: awarded ? 'Awarded' : 'Current' },
+                geometry: feature.geometry
+            }))
+        };
+        downloadTextFile(JSON.stringify(collection), 'application/geo+json', 'ky-highway-projects-selection.geojson');
+    } else {
+        const rows = selected.map(({ feature, awarded }) => featureToTableRow(feature, awarded));
+        downloadTextFile(rowsToCSV(rows), 'text/csv', 'ky-highway-projects-selection.csv');
+    }
+}
+
+// Spatial selection control function
+function createSpatialSelectionControl(map) {
+    const control = L.control({ position: 'topright' });
+
+    control.onAdd = function() {
+        const div = L.DomUtil.create('div', 'spatial-select-control');
+
+        div.innerHTML = `
+            <button class="spatial-select-btn" title="Select Projects by Area">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polygon points="3 7 12 3 21 8 18 20 6 18" stroke-dasharray="4 3"/>
+                    <circle cx="12" cy="11" r="2"/>
+                </svg>
+            </button>
+            <div class="spatial-select-menu">
+                ${Object.keys(SPATIAL_SELECTION_TOOLS).map(tool =>
+                    `<button class="spatial-select-tool" data-tool="${tool}">${SPATIAL_SELECTION_TOOLS[tool].label}</button>`
+                ).join('')}
+                <label class="spatial-buffer-label">
+                    Buffer distance
+                    <input type="number" class="spatial-buffer-input" min="0.1" max="50" step="0.1" value="${spatialBufferMiles}"> mi
+                </label>
+                <div class="spatial-select-status">Draw an area to select the projects in it.</div>
+                <div class="spatial-select-actions">
+                    <button class="spatial-select-export" data-format="geojson" disabled>GeoJSON</button>
+                    <button class="spatial-select-export" data-format="csv" disabled>CSV</button>
+                    <button class="spatial-select-clear" disabled>Clear</button>
+                </div>
+            </div>
+        `;
+
+        // Prevent map events when clicking on control
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+
+        const toggleBtn = div.querySelector('.spatial-select-btn');
+        const menu = div.querySelector('.spatial-select-menu');
+
+        toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('show');
+        });
+
+        // The menu stays open while drawing so the hint and result count stay visible
+        menu.querySelectorAll('.spatial-select-tool').forEach(btn => {
+            btn.addEventListener('click', () => {
+                startSpatialDrawing(map, btn.dataset.tool);
+                btn.classList.add('active');
+            });
+        });
+
+        menu.querySelector('.spatial-buffer-input').addEventListener('change', (e) => {
+            const miles = parseFloat(e.target.value);
+            if (miles > 0) {
+                spatialBufferMiles = miles;
+            } else {
+                e.target.value = spatialBufferMiles;
+            }
+        });
+
+        menu.querySelectorAll('.spatial-select-export').forEach(btn => {
+            btn.addEventListener('click', () => exportSpatialSelection(btn.dataset.format));
+        });
+
+        menu.querySelector('.spatial-select-clear').addEventListener('click', () => {
+            if (cancelSpatialDrawing) cancelSpatialDrawing();
+            setSpatialSelection(null);
+        });
+
+        return div;
+    };
+
+    return control;
+}
+
+/* =====================================================
+   18. PROJECT SEARCH
+   ===================================================== */
+
+// Projects to search, built from the project key index (section 9) on first use
+let projectSearchIndex = null;
+
+// Suggestions shown at most
+const SEARCH_MAX_SUGGESTIONS = 8;
+
+// Debounce for suggestions while typing (ms)
+const SEARCH_DEBOUNCE_MS = 150;
+
+// Route prefixes used in the projects table and the GeoJSON PREFIX field, then the route number.
+// A route suffix ("US-31W") is accepted but not matched on - the projects table doesn't carry one
+const ROUTE_PREFIX_PATTERN = /^(KY|US|I|CR|CS|LN|PF|BG|CO|EB|HR|AU|PS|JC|WK)\s*-?\s*(\d+)\s*[A-Z]?(?:\s+(?:MP|MILE\s*POINTS?|MILEPOINTS?)\s*(\d+(?:\.\d+)?)(?:\s*(?:-|–|TO)\s*(\d+(?:\.\d+)?))?)?$/i;
+
+/**
+ * Formats a county name for display ("JEFFERSON" -> "Jefferson")
+ * @param {string} name - County name in any case
+ * @returns {string} Title-cased name
+ */
+function formatCountyName(name) {
+    return String(name || '').toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Builds the search index: one record per project with what both sources know about it
+ * (route, county, milepoints, bridge IDs, description) and its map lines
+ * @returns {Array<Object>} Search records
+ */
+function buildProjectSearchIndex() {
+    const records = {};
+
+    const recordFor = key => {
+        if (!records[key]) {
+            const entry = projectKeyIndex[key] || { sypNo: null, layers: [] };
+            records[key] = {
+                key: key,
+                sypNo: entry.sypNo || distItemToSypNo(key),
+                layers: entry.layers,
+                prefix: '',
+                routeNo: null,
+                county: '',
+                description: '',
+                bridgeIds: new Set(),
+                segments: []
+            };
+        }
+        return records[key];
+    };
+
+    const addDetails = (record, details) => {
+        record.prefix = record.prefix || String(details.prefix || '').trim().toUpperCase();
+        record.routeNo = record.routeNo || parseInt(details.routeNo, 10) || null;
+        record.county = record.county || formatCountyName(details.county);
+        record.description = record.description || String(details.description || '').trim();
+
+        // Bridge IDs are searchable with or without the three-digit county code
+        const bridgeId = String(details.bridgeId || '').trim().toUpperCase();
+        if (bridgeId) {
+            record.bridgeIds.add(bridgeId);
+            record.bridgeIds.add(bridgeId.replace(/^\d{3}/, ''));
+        }
+
+        const bmp = parseFloat(details.bmp);
+        const emp = parseFloat(details.emp);
+        if (!isNaN(bmp) && !record.segments.some(segment => segment.bmp === bmp && segment.emp === emp)) {
+            record.segments.push({ bmp: bmp, emp: isNaN(emp) ? bmp : emp });
+        }
+    };
+
+    // Projects table rows
+    if (database) {
+        try {
+            const stmt = database.prepare(`
+                SELECT SYP_NO, ROUTE_PREFIX, ROUTE_NO, COUNTY, BMP, EMP, BRIDGE_ID, DESCRIPTION
+                FROM projects
+            `);
+            while (stmt.step()) {
+                const row = stmt.getAsObject();
+                const key = normalizeProjectKey(row.SYP_NO);
+                if (!key) continue;
+                addDetails(recordFor(key), {
+                    prefix: row.ROUTE_PREFIX,
+                    routeNo: row.ROUTE_NO,
+                    county: row.COUNTY,
+                    bmp: row.BMP,
+                    emp: row.EMP,
+                    bridgeId: row.BRIDGE_ID,
+                    description: row.DESCRIPTION
+                });
+            }
+            stmt.free();
+        } catch (error) {
+            console.error('Error indexing projects table for search:', error);
+        }
+    }
+
+    // Map features (the only source for projects missing from the table)
+    Object.keys(projectKeyIndex).forEach(key => {
+        projectKeyIndex[key].layers.forEach(layer => {
+            const props = layer.feature.properties || {};
+            const bridgeNo = String(getPlanProperty(props, 'SYP_PRO_BRNO') || '').trim();
+            addDetails(recordFor(key), {
+                prefix: getPlanProperty(props, 'PREFIX'),
+                routeNo: getPlanProperty(props, 'ROUTENO'),
+                county: getPlanProperty(props, 'COUNTYNAME'),
+                bmp: getPlanProperty(props, 'BMP'),
+                emp: getPlanProperty(props, 'EMP'),
+                bridgeId: bridgeNo ? `${getPlanProperty(props, 'CO_TEXT') || ''}${bridgeNo}` : '',
+                description: getPlanProperty(props, 'SYP_RPT_DESC')
+            });
+        });
+    });
+
+    const index = Object.values(records);
+    console.log(`Project search index: ${index.length} projects`);
+    return index;
+}
+
+/**
+ * Works out what a search query refers to
+ * @param {string} query - Text typed in the search box
+ * @returns {Object} { text, projectKey, bridgeId, route: { prefix, routeNo, fromMp, toMp } }
+ * @example parseSearchQuery('US 60 MP 10-15').route // { prefix: 'US', routeNo: 60, fromMp: 10, toMp: 15 }
+ */
+function parseSearchQuery(query) {
+    const text = String(query || '').trim().replace(/\s+/g, ' ');
+    const parsed = { text: text, projectKey: null, bridgeId: null, route: null };
+
+    // SYP numbers ("08-10047.00") and DIST_ITEM ids ("8-10047.00")
+    parsed.projectKey = normalizeProjectKey(text);
+
+    // Bridge IDs, with or without the county code ("056B00086N", "B00086N")
+    if (/^(\d{3})?[A-Z]\d{5}[A-Z]$/i.test(text)) {
+        parsed.bridgeId = text.toUpperCase();
+    }
+
+    const routeMatch = text.match(ROUTE_PREFIX_PATTERN);
+    if (routeMatch) {
+        const fromMp = routeMatch[3] !== undefined ? parseFloat(routeMatch[3]) : null;
+        const toMp = routeMatch[4] !== undefined ? parseFloat(routeMatch[4]) : fromMp;
+        parsed.route = {
+            prefix: routeMatch[1].toUpperCase(),
+            routeNo: parseInt(routeMatch[2], 10),
+            fromMp: fromMp === null ? null : Math.min(fromMp, toMp),
+            toMp: toMp === null ? null : Math.max(fromMp, toMp)
+        };
+    }
+
+    return parsed;
+}
+
+/**
+ * Describes a search record for the suggestion list
+ * @param {Object} record - Search record
+ * @returns {string} e.g. "KY-80 · Pulaski County · MP 10.2-12.9"
+ */
+function describeSearchRecord(record) {
+    const parts = [];
+    if (record.prefix && record.routeNo) parts.push(`${record.prefix}-${record.routeNo}`);
+    if (record.county) parts.push(`${record.county} County`);
+    if (record.segments.length > 0) {
+        const bmp = Math.min(...record.segments.map(segment => segment.bmp));
+        const emp = Math.max(...record.segments.map(segment => segment.emp));
+        parts.push(bmp === emp ? `MP ${bmp}` : `MP ${bmp}-${emp}`);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Builds a suggestion for one project
+ * @param {Object} record - Search record
+ * @param {number} score - Rank (higher first)
+ * @returns {Object} Suggestion
+ */
+function projectSuggestion(record, score) {
+    return {
+        type: 'project',
+        label: `${record.sypNo}${record.description ? ' - ' + record.description : ''}`,
+        detail: describeSearchRecord(record) + (record.layers.length === 0 ? ' · table only' : ''),
+        score: score,
+        records: [record]
+    };
+}
+
+/**
+ * Finds ranked suggestions for a search query in the map features and the projects table
+ * @param {string} query - Text typed in the search box
+ * @returns {Array<Object>} Suggestions as { type, label, detail, score, records, county? }, best first
+ */
+function searchProjects(query) {
+    const parsed = parseSearchQuery(query);
+    if (parsed.text.length < 2) return [];
+
+    if (!projectSearchIndex) {
+        projectSearchIndex = buildProjectSearchIndex();
+    }
+
+    const suggestions = [];
+    const upperText = parsed.text.toUpperCase();
+
+    // Exact project
+    if (parsed.projectKey) {
+        projectSearchIndex.filter(record => record.key === parsed.projectKey)
+            .forEach(record => suggestions.push(projectSuggestion(record, 100)));
+    }
+
+    // Partly typed SYP numbers or DIST_ITEM ids ("08-100")
+    if (/^\d{1,2}-\d*\.?\d*$/.test(parsed.text)) {
+        const [district, item] = parsed.text.split('-');
+        const prefix = `${parseInt(district, 10)}-${item.replace(/^0+(?=\d)/, '')}`;
+        projectSearchIndex
+            .filter(record => record.key !== parsed.projectKey && record.key.startsWith(prefix))
+            .forEach(record => suggestions.push(projectSuggestion(record, 50)));
+    }
+
+    // Bridges
+    if (parsed.bridgeId) {
+        projectSearchIndex.filter(record => record.bridgeIds.has(parsed.bridgeId))
+            .forEach(record => suggestions.push({ ...projectSuggestion(record, 95), type: 'bridge' }));
+    }
+
+    // Routes, optionally limited to a milepoint range; milepoints restart in each county, so matches are grouped by county
+    if (parsed.route) {
+        const { prefix, routeNo, fromMp, toMp } = parsed.route;
+        const routeName = `${prefix}-${routeNo}`;
+        const mpLabel = fromMp === null ? '' : (fromMp === toMp ? ` MP ${fromMp}` : ` MP ${fromMp}-${toMp}`);
+
+        const onRoute = projectSearchIndex.filter(record =>
+            record.prefix === prefix && record.routeNo === routeNo &&
+            (fromMp === null || record.segments.some(segment => segment.bmp <= toMp && segment.emp >= fromMp)));
+
+        const byCounty = {};
+        onRoute.forEach(record => {
+            byCounty[record.county] = byCounty[record.county] || [];
+            byCounty[record.county].push(record);
+        });
+        const counties = Object.keys(byCounty).sort((a, b) => byCounty[b].length - byCounty[a].length);
+
+        if (counties.length > 1) {
+            suggestions.push({
+                type: 'route',
+                label: `${routeName}${mpLabel}`,
+                detail: `${onRoute.length} projects in ${counties.length} counties`,
+                score: 90,
+                records: onRoute
+            });
+        }
+        counties.forEach((county, i) => {
+            suggestions.push({
+                type: 'route',
+                label: `${routeName}${mpLabel} in ${county || 'Unknown'} County`,
+                detail: `${byCounty[county].length} project${byCounty[county].length === 1 ? '' : 's'}`,
+                score: 85 - i * 0.01,
+                records: byCounty[county]
+            });
+        });
+        if (onRoute.length === 0) {
+            suggestions.push({ type: 'route', label: `${routeName}${mpLabel}`, detail: 'No projects on this route', score: 1, records: [] });
+        }
+    }
+
+    // Counties
+    const countyName = upperText.replace(/\s+COUNTY$/, '');
+    const countyRecords = {};
+    projectSearchIndex.forEach(record => {
+        const county = record.county.toUpperCase();
+        if (county && county.startsWith(countyName)) {
+            countyRecords[record.county] = countyRecords[record.county] || [];
+            countyRecords[record.county].push(record);
+        }
+    });
+    Object.keys(countyRecords).forEach(county => {
+        suggestions.push({
+            type: 'county',
+            label: `${county} County`,
+            detail: `${countyRecords[county].length} projects`,
+            score: county.toUpperCase() === countyName ? 80 : 60,
+            county: county,
+            records: countyRecords[county]
+        });
+    });
+
+    // Descriptions, when nothing more specific matched
+    if (suggestions.length === 0 && parsed.text.length >= 3) {
+        projectSearchIndex.filter(record => record.description.toUpperCase().includes(upperText))
+            .forEach(record => suggestions.push(projectSuggestion(record, 30)));
+    }
+
+    return suggestions
+        .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+        .slice(0, SEARCH_MAX_SUGGESTIONS);
+}
+
+/**
+ * Zooms to and highlights the projects of a chosen suggestion
+ * A single project is also selected in the table
+ * @param {Object} suggestion - From searchProjects()
+ * @returns {string} Status message for the search box
+ */
+function selectSearchSuggestion(suggestion) {
+    const layers = suggestion.records.flatMap(record => record.layers);
+    console.log(`Search: ${suggestion.label} (${suggestion.records.length} projects, ${layers.length} map lines)`);
+
+    if (suggestion.type === 'county' && Object.keys(countyLayers).length > 0) {
+        highlightFeatureLayers(layers, false);
+        zoomToCounty(suggestion.county);
+    } else {
+        highlightFeatureLayers(layers, true);
+    }
+
+    if (suggestion.records.length === 1) {
+        selectTableRowsForProject(suggestion.records[0].key);
+    }
+
+    if (suggestion.records.length === 0) return 'No projects found';
+    if (layers.length === 0) return 'Not on the map - selected in the table';
+    return '';
+}
+
+/**
+ * Escapes text for use inside HTML
+ * @param {*} value - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Project search control function
+function createProjectSearchControl(map) {
+    const control = L.control({ position: 'topleft' });
+
+    control.onAdd = function() {
+        const div = L.DomUtil.create('div', 'project-search-control');
+
+        div.innerHTML = `
+            <input type="search" class="project-search-input" placeholder="Search route, SYP, bridge or county"
+                   title='e.g. "KY-80", "US 60 MP 10-15", "08-10047.00", "B00086N" or "Franklin"' autocomplete="off">
+            <ul class="project-search-suggestions"></ul>
+            <div class="project-search-status"></div>
+        `;
+
+        // Prevent map events when clicking on control
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+
+        const input = div.querySelector('.project-search-input');
+        const list = div.querySelector('.project-search-suggestions');
+        const status = div.querySelector('.project-search-status');
+        let suggestions = [];
+        let activeIndex = -1;
+        let timer = null;
+
+        const render = () => {
+            list.innerHTML = suggestions.map((suggestion, i) => `
+                <li class="project-search-suggestion${i === activeIndex ? ' active' : ''}" data-index="${i}">
+                    <span class="project-search-type">${escapeHTML(suggestion.type)}</span>
+                    <span class="project-search-label">${escapeHTML(suggestion.label)}</span>
+                    <span class="project-search-detail">${escapeHTML(suggestion.detail)}</span>
+                </li>
+            `).join('');
+            list.classList.toggle('show', suggestions.length > 0);
+        };
+
+        const choose = suggestion => {
+            input.value = suggestion.label;
+            suggestions = [];
+            render();
+            status.textContent = selectSearchSuggestion(suggestion);
+        };
+
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            status.textContent = '';
+            timer = setTimeout(() => {
+                suggestions = searchProjects(input.value);
+                activeIndex = -1;
+                render();
+            }, SEARCH_DEBOUNCE_MS);
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (suggestions.length === 0) return;
+                activeIndex = (activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + suggestions.length) % suggestions.length;
+                render();
+            } else if (e.key === 'Enter') {
+                clearTimeout(timer);
+                // Enter picks the highlighted suggestion, or the best match
+                const current = suggestions.length > 0 ? suggestions : searchProjects(input.value);
+                if (current.length > 0) {
+                    choose(current[Math.max(activeIndex, 0)]);
+                } else {
+                    status.textContent = input.value.trim() ? 'No matches' : '';
+                }
+            } else if (e.key === 'Escape') {
+                suggestions = [];
+                render();
+            }
+        });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.project-search-suggestion');
+            if (item) {
+                choose(suggestions[Number(item.dataset.index)]);
+            }
+        });
+
+        // Close the suggestions when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (!div.contains(e.target)) {
+                suggestions = [];
+                render();
+            }
+        });
+
+        return div;
+    };
+
+    return control;
+}
+
+/* =====================================================
+   19. LAYER MANAGER (VISIBILITY, OPACITY AND DRAW ORDER)
+   ===================================================== */
+
+// Overlay layers, top of the drawing order first. Each one gets its own map pane, so the order
+// no longer depends on which GeoJSON file finishes loading first (overlayPane is 400, markers 600)
+const MAP_LAYER_PANES = {
+    awarded: { label: 'Awarded projects', layerName: 'Awarded Project', pane: 'awardedProjectsPane', zIndex: 440 },
+    current: { label: 'Current projects', layerName: 'Current Project', pane: 'currentProjectsPane', zIndex: 430 },
+    districts: { label: 'District boundaries', layerName: 'District Boundary', pane: 'districtsPane', zIndex: 420, baseOpacity: 0.8 },
+    counties: { label: 'County boundaries', layerName: 'County Boundary', pane: 'countiesPane', zIndex: 410, baseOpacity: 0.5 }
+};
+
+// localStorage key holding { <layer key>: { visible, opacity } } between sessions
+const LAYER_SETTINGS_STORAGE_KEY = 'kyHighwayDashboard.layerSettings';
+
+// Loaded overlay layers, keyed like MAP_LAYER_PANES
+const managedLayers = {};
+
+// The user's saved choices (missing keys fall back to visible at full opacity)
+let layerSettings = loadLayerSettings();
+
+/**
+ * Creates the overlay panes in MAP_LAYER_PANES
+ * @param {L.Map} map - The Leaflet map instance
+ */
+function createMapLayerPanes(map) {
+    Object.keys(MAP_LAYER_PANES).forEach(key => {
+        const config = MAP_LAYER_PANES[key];
+        const pane = map.createPane(config.pane);
+        pane.style.zIndex = config.zIndex;
+    });
+}
+
+/**
+ * Reads the saved layer settings
+ * @returns {Object} Settings keyed like MAP_LAYER_PANES
+ */
+function loadLayerSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(LAYER_SETTINGS_STORAGE_KEY));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        // Storage can be blocked (private browsing, file:// pages)
+        console.warn('Could not read saved layer settings:', error);
+        return {};
+    }
+}
+
+/**
+ * Saves the layer settings for the next session
+ */
+function saveLayerSettings() {
+    try {
+        localStorage.setItem(LAYER_SETTINGS_STORAGE_KEY, JSON.stringify(layerSettings));
+    } catch (error) {
+        console.warn('Could not save layer settings:', error);
+    }
+}
+
+/**
+ * Gets one layer's settings with the defaults filled in
+ * @param {string} key - Key of MAP_LAYER_PANES
+ * @returns {{visible: boolean, opacity: number}} Settings (opacity 0-1)
+ */
+function getLayerSettings(key) {
+    const saved = layerSettings[key] || {};
+    const opacity = Number(saved.opacity);
+    return {
+        visible: saved.visible !== false,
+        opacity: Number.isFinite(opacity) ? Math.min(Math.max(opacity, 0), 1) : 1
+    };
+}
+
+/**
+ * Gets the opacity slider value of a layer
+ * @param {string} key - Key of MAP_LAYER_PANES
+ * @returns {number} Opacity factor from 0 to 1
+ */
+function getLayerOpacity(key) {
+    return getLayerSettings(key).opacity;
+}
+
+/**
+ * Takes over a layer once it has loaded and applies the saved settings to it
+ * @param {string} key - Key of MAP_LAYER_PANES
+ * @param {L.GeoJSON} layer - The loaded layer
+ */
+function registerManagedLayer(key, layer) {
+    managedLayers[key] = layer;
+
+    const settings = getLayerSettings(key);
+    if (!settings.visible) {
+        window.mainMap.removeLayer(layer);
+    }
+
+    // Project layers are restyled (and their points shown or hidden) by applyFiltersToMap()
+    if (key === 'districts' || key === 'counties') {
+        applyLayerOpacity(key);
+    }
+
+    console.log(`Layer manager: ${key} ${settings.visible ? 'shown' : 'hidden'} at ${Math.round(settings.opacity * 100)}% opacity`);
+    updateLayerManagerControl();
+}
+
+/**
+ * Applies the opacity slider to a loaded layer
+ * Project lines take it through the filter styling so dimmed features stay dimmer than matches;
+ * styles are used rather than pane opacity because both project layers can share one canvas
+ * @param {string} key - Key of MAP_LAYER_PANES
+ */
+function applyLayerOpacity(key) {
+    const layer = managedLayers[key];
+    if (!layer) return;
+
+    if (key === 'awarded' || key === 'current') {
+        applyFiltersToMap();
+    } else {
+        layer.setStyle({ opacity: MAP_LAYER_PANES[key].baseOpacity * getLayerOpacity(key) });
+    }
+}
+
+/**
+ * Keeps awarded lines above current lines on the shared performance mode canvas,
+ * which draws lines in the order they were added (SVG lines are ordered by their panes)
+ */
+function orderProjectLayers() {
+    if (projectRenderMode !== 'canvas' || !awardedProjectsLayer) return;
+
+    if (window.mainMap.hasLayer(awardedProjectsLayer)) {
+        awardedProjectsLayer.bringToFront();
+    }
+}
+
+/**
+ * Shows or hides an overlay layer and remembers the choice
+ * @param {string} key - Key of MAP_LAYER_PANES
+ * @param {boolean} visible - True to show the layer
+ */
+function setLayerVisible(key, visible) {
+    layerSettings[key] = Object.assign(getLayerSettings(key), { visible: visible });
+    saveLayerSettings();
+
+    const layer = managedLayers[key];
+    if (layer) {
+        if (visible) {
+            window.mainMap.addLayer(layer);
+        } else {
+            window.mainMap.removeLayer(layer);
+        }
+
+        // Spot project points follow their layer, and the highlight goes back on top
+        if (key === 'awarded' || key === 'current') {
+            applyFiltersToMap();
+        }
+    }
+
+    console.log(`Layer manager: ${key} ${visible ? 'shown' : 'hidden'}`);
+    updateLayerManagerControl();
+}
+
+/**
+ * Changes the opacity of an overlay layer and remembers it
+ * @param {string} key - Key of MAP_LAYER_PANES
+ * @param {number} opacity - Opacity factor from 0 to 1
+ */
+function setLayerOpacity(key, opacity) {
+    layerSettings[key] = Object.assign(getLayerSettings(key), { opacity: opacity });
+    saveLayerSettings();
+    applyLayerOpacity(key);
+    updateLayerManagerControl();
+}
+
+/**
+ * Puts every overlay back to visible at full opacity
+ */
+function resetLayerSettings() {
+    Object.keys(MAP_LAYER_PANES).forEach(key => {
+        layerSettings[key] = { visible: true, opacity: 1 };
+        const layer = managedLayers[key];
+        if (layer && !window.mainMap.hasLayer(layer)) {
+            window.mainMap.addLayer(layer);
+        }
+        if (key === 'districts' || key === 'counties') {
+            applyLayerOpacity(key);
+        }
+    });
+    saveLayerSettings();
+
+    if (awardedProjectsLayer || currentProjectsLayer) {
+        applyFiltersToMap();
+    }
+    updateLayerManagerControl();
+}
+
+/**
+ * Syncs the layer manager checkboxes and sliders with the settings
+ */
+function updateLayerManagerControl() {
+    document.querySelectorAll('.layer-manager-row').forEach(row => {
+        const key = row.dataset.layer;
+        const settings = getLayerSettings(key);
+        const failed = Object.keys(failedMapLayers).some(file => failedMapLayers[file].layerName === MAP_LAYER_PANES[key].layerName);
+
+        row.querySelector('.layer-manager-toggle').checked = settings.visible;
+        row.querySelector('.layer-manager-opacity').value = Math.round(settings.opacity * 100);
+        row.querySelector('.layer-manager-value').textContent = `${Math.round(settings.opacity * 100)}%`;
+        row.classList.toggle('unavailable', failed);
+        row.title = failed ? 'This layer could not be loaded' : '';
+    });
+
+    // The button is highlighted while any layer differs from the defaults
+    const btn = document.querySelector('.layer-manager-btn');
+    if (btn) {
+        btn.classList.toggle('active', Object.keys(MAP_LAYER_PANES).some(key => {
+            const settings = getLayerSettings(key);
+            return !settings.visible || settings.opacity < 1;
+        }));
+    }
+}
+
+// Layer manager control function
+function createLayerManagerControl(map) {
+    const control = L.control({ position: 'topright' });
+
+    control.onAdd = function() {
+        const div = L.DomUtil.create('div', 'layer-manager-control');
+
+        div.innerHTML = `
+            <button class="layer-manager-btn" title="Map Layers">
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                    <polygon points="12 2 2 7 12 12 22 7 12 2"/>
+                    <polyline points="2 17 12 22 22 17"/>
+                    <polyline points="2 12 12 17 22 12"/>
+                </svg>
+            </button>
+            <div class="layer-manager-menu">
+                <div class="layer-manager-title">Map Layers <span>(top to bottom)</span></div>
+                ${Object.keys(MAP_LAYER_PANES).map(key => `
+                    <div class="layer-manager-row" data-layer="${key}">
+                        <label>
+                            <input type="checkbox" class="layer-manager-toggle">
+                            ${MAP_LAYER_PANES[key].label}
+                        </label>
+                        <div class="layer-manager-slider">
+                            <input type="range" class="layer-manager-opacity" min="0" max="100" step="5" aria-label="${MAP_LAYER_PANES[key].label} opacity">
+                            <span class="layer-manager-value"></span>
+                        </div>
+                    </div>
+                `).join('')}
+                <div class="layer-manager-actions">
+                    <button class="layer-manager-reset">Reset</button>
+                </div>
+            </div>
+        `;
+
+        // Prevent map events when clicking on control
+        L.DomEvent.disableClickPropagation(div);
+        L.DomEvent.disableScrollPropagation(div);
+
+        const toggleBtn = div.querySelector('.layer-manager-btn');
+        const menu = div.querySelector('.layer-manager-menu');
+
+        toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            menu.classList.toggle('show');
+        });
+
+        div.querySelectorAll('.layer-manager-row').forEach(row => {
+            const key = row.dataset.layer;
+
+            row.querySelector('.layer-manager-toggle').addEventListener('change', (e) => {
+                setLayerVisible(key, e.target.checked);
+            });
+
+            // Show the value while dragging, restyle and save once the slider is let go
+            const slider = row.querySelector('.layer-manager-opacity');
+            slider.addEventListener('input', () => {
+                row.querySelector('.layer-manager-value').textContent = `${slider.value}%`;
+            });
+            slider.addEventListener('change', () => {
+                setLayerOpacity(key, Number(slider.value) / 100);
+            });
+        });
+
+        div.querySelector('.layer-manager-reset').addEventListener('click', resetLayerSettings);
+
+        // Close the menu when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (!div.contains(e.target)) {
+                menu.classList.remove('show');
+            }
+        });
+
+        return div;
+    };
+
+    return control;
+}
+
+/* =====================================================
+   20. KEYWORD SEARCH (FULL-TEXT INDEX)
+   ===================================================== */
+
+// How keyword search runs on this SQL.js build: 'fts4' when SQLite was compiled with the
+// full-text module (the vendored build is), otherwise 'like'
+let textSearchMode = 'like';
+
+// Searched columns of the projects table and their weight in the ranking
+const TEXT_SEARCH_WEIGHTS = {
+    DESCRIPTION: 1.0,
+    ROUTE: 2.0,
+    COUNTY: 2.0
+};
+
+// Wait this long after the last keystroke before searching
+const TEXT_SEARCH_DEBOUNCE_MS = 300;
+
+// Scores of the last search: { query, database, scores: Map(normalized project key -> score) }
+let textSearchRanks = null;
+
+/**
+ * Checks whether the SQLite build has the FTS3/FTS4 full-text module
+ * @returns {boolean} True when PRAGMA compile_options lists ENABLE_FTS3 or ENABLE_FTS4
+ */
+function hasFullTextModule() {
+    const result = database.exec('PRAGMA compile_options');
+    return result.length > 0 &&
+        result[0].values.some(([option]) => option === 'ENABLE_FTS3' || option === 'ENABLE_FTS4');
+}
+
+/**
+ * Builds the in-memory full-text index over the projects table
+ * The index lives in the temp schema, so the database file itself is never changed
+ */
+function buildTextSearchIndex() {
+    const columns = Object.keys(TEXT_SEARCH_WEIGHTS).join(', ');
+    const start = performance.now();
+
+    textSearchMode = 'like';
+    textSearchRanks = null;
+
+    if (hasFullTextModule()) {
+        try {
+            database.run('DROP TABLE IF EXISTS temp.projects_fts');
+            database.run(`CREATE VIRTUAL TABLE temp.projects_fts USING fts4(${columns})`);
+            database.run(`INSERT INTO projects_fts (rowid, ${columns}) SELECT rowid, ${columns} FROM projects`);
+            textSearchMode = 'fts4';
+        } catch (error) {
+            console.error('Error building the keyword search index:', error);
+        }
+    }
+
+    // Scores of the active search, read by the table's ORDER BY
+    database.run('CREATE TEMP TABLE IF NOT EXISTS project_text_ranks (SYP_NO TEXT PRIMARY KEY, score REAL)');
+
+    console.log(`Keyword search uses ${textSearchMode === 'like' ? 'LIKE (no full-text module)' : textSearchMode.toUpperCase()}, ` +
+        `index built in ${(performance.now() - start).toFixed(1)} ms`);
+    updateTextSearchInput();
+}
+
+/**
+ * Scores an FTS4 row from matchinfo(projects_fts, 'pcx'): for each phrase and column, the row's
+ * hits over the hits in all rows, times the column weight (the rank function from the SQLite FTS docs)
+ * @param {Uint8Array} matchinfo - matchinfo() blob of 32-bit unsigned integers
+ * @returns {number} Score (higher is better)
+ */
+function rankTextSearchMatchinfo(matchinfo) {
+    const values = new Uint32Array(matchinfo.buffer, matchinfo.byteOffset, matchinfo.byteLength / 4);
+    const [phraseCount, columnCount] = values;
+    const weights = Object.values(TEXT_SEARCH_WEIGHTS);
+
+    let score = 0;
+    for (let phrase = 0; phrase < phraseCount; phrase++) {
+        for (let column = 0; column < columnCount; column++) {
+            const index = 2 + (phrase * columnCount + column) * 3;
+            if (values[index + 1] > 0) {
+                score += weights[column] * values[index] / values[index + 1];
+            }
+        }
+    }
+    return score;
+}
+
+/**
+ * Splits a search into lower-case words
+ * @param {string} value - Search text
+ * @returns {Array<string>} Words, e.g. ["guardrail", "ky-1702"]
+ */
+function getTextSearchWords(value) {
+    return String(value || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Splits a word into the tokens the full-text index holds
+ * @param {string} word - Lower-case search word
+ * @returns {Array<string>} Letters-and-digits tokens, e.g. "ky-1702" -> ["ky", "1702"]
+ */
+function getTextSearchTokens(word) {
+    return word.match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Builds the full-text MATCH expression for a search
+ * Each word is a phrase (so "KY-1702" finds "ky" followed by "1702") whose last token
+ * may be a prefix, and every word has to match
+ * @param {string} value - Search text
+ * @returns {string} MATCH expression, e.g. '"guardrail*" "ky 1702*"'
+ */
+function buildTextSearchMatch(value) {
+    return getTextSearchWords(value)
+        .map(word => getTextSearchTokens(word).join(' '))
+        .filter(Boolean)
+        .map(phrase => `"${phrase}*"`)
+        .join(' ');
+}
+
+/**
+ * Builds the LIKE fallback: every word has to appear in one of the searched columns
+ * @param {string} value - Search text
+ * @returns {{sql: string, params: Array}} Condition on the projects table
+ */
+function buildTextSearchLike(value) {
+    const like = TABLE_FILTER_TYPES.like;
+    const columns = Object.keys(TEXT_SEARCH_WEIGHTS);
+    const words = getTextSearchWords(value);
+
+    return {
+        sql: words.map(() => `(${columns.map(like.sql).join(' OR ')})`).join(' AND ') || '1 = 0',
+        params: words.flatMap(word => columns.map(() => like.param(word)))
+    };
+}
+
+/**
+ * Builds the filter condition for the text dimension
+ * A project matches when any of its rows matches, so every phase of it stays in the table
+ * @param {string} value - Search text
+ * @returns {{sql: string, params: Array}} Condition on Basic_Project_Info
+ */
+function buildTextSearchCondition(value) {
+    if (textSearchMode === 'like') {
+        const like = buildTextSearchLike(value);
+        return { sql: `SYP_NO IN (SELECT SYP_NO FROM projects WHERE ${like.sql})`, params: like.params };
+    }
+
+    const match = buildTextSearchMatch(value);
+    if (!match) {
+        return { sql: '1 = 0', params: [] };
+    }
+    return {
+        sql: 'SYP_NO IN (SELECT SYP_NO FROM projects WHERE rowid IN (SELECT rowid FROM projects_fts WHERE projects_fts MATCH ?))',
+        params: [match]
+    };
+}
+
+/**
+ * Scores the projects matching the active search, best first
+ * Scores are kept in the project_text_ranks temp table (used by the table's ORDER BY)
+ * and recalculated only when the search or the database changes
+ * @returns {Map<string, number>|null} Normalized project key -> score, or null without a search
+ */
+function getTextSearchScores() {
+    const query = filterState.text;
+    if (!query || !database) return null;
+
+    if (textSearchRanks && textSearchRanks.query === query && textSearchRanks.database === database) {
+        return textSearchRanks.scores;
+    }
+
+    // Score of each matching row: FTS4 returns matchinfo() for rankTextSearchMatchinfo(),
+    // and LIKE can only count which columns hold each word. MATERIALIZED keeps SQLite from
+    // merging the full-text query into the join, where matchinfo() can't be used
+    let rowScores;
+    let params;
+    if (textSearchMode === 'fts4') {
+        rowScores = "SELECT rowid, matchinfo(projects_fts, 'pcx') AS score FROM projects_fts WHERE projects_fts MATCH ?";
+        params = [buildTextSearchMatch(query)];
+    } else {
+        const like = TABLE_FILTER_TYPES.like;
+        const words = getTextSearchWords(query);
+        const terms = words.flatMap(() => Object.keys(TEXT_SEARCH_WEIGHTS).map(column =>
+            `${TEXT_SEARCH_WEIGHTS[column]} * (${like.sql(column)})`));
+        const condition = buildTextSearchLike(query);
+        rowScores = `SELECT rowid, ${terms.join(' + ')} AS score FROM projects WHERE ${condition.sql}`;
+        params = [...words.flatMap(word => Object.keys(TEXT_SEARCH_WEIGHTS).map(() => like.param(word))), ...condition.params];
+    }
+
+    // Best row score per SYP_NO (the table's ORDER BY) and per normalized key (map matching)
+    const projectScores = new Map();
+    const scores = new Map();
+    try {
+        if (params.every(param => param !== '')) {
+            const stmt = database.prepare(`
+                WITH m AS MATERIALIZED (${rowScores})
+                SELECT p.SYP_NO, m.score FROM m JOIN projects p ON p.rowid = m.rowid
+            `);
+            stmt.bind(params);
+            while (stmt.step()) {
+                const [sypNo, value] = stmt.get();
+                const score = typeof value === 'number' ? value : rankTextSearchMatchinfo(value);
+                projectScores.set(sypNo, Math.max(score, projectScores.get(sypNo) || 0));
+            }
+            stmt.free();
+        }
+
+        database.run('DELETE FROM project_text_ranks');
+        const insert = database.prepare('INSERT INTO project_text_ranks (SYP_NO, score) VALUES (?, ?)');
+        projectScores.forEach((score, sypNo) => {
+            insert.run([sypNo, score]);
+            const key = normalizeProjectKey(sypNo);
+            if (key) {
+                scores.set(key, Math.max(score, scores.get(key) || 0));
+            }
+        });
+        insert.free();
+    } catch (error) {
+        console.error('Error ranking keyword search results:', error);
+    }
+
+    console.log(`Keyword search "${query}": ${scores.size} matching projects`);
+    textSearchRanks = { query: query, database: database, scores: scores };
+    return scores;
+}
+
+/**
+ * Tests a project line against a keyword search
+ * Lines of matching table projects match; lines whose project isn't in the table
+ * (or before the database loads) are matched on their own description, route and county
+ * @param {Object} feature - GeoJSON feature
+ * @param {string} value - Search text
+ * @returns {boolean} True when the line matches
+ */
+function featureMatchesTextSearch(feature, value) {
+    const props = feature.properties || {};
+    const scores = value === filterState.text ? getTextSearchScores() : null;
+    if (scores && scores.has(feature.projectKey || getFeatureProjectKey(props))) {
+        return true;
+    }
+
+    const text = [
+        getPlanProperty(props, 'SYP_RPT_DESC'),
+        `${getPlanProperty(props, 'PREFIX') || ''}-${getPlanProperty(props, 'ROUTENO') || ''}`,
+        getPlanProperty(props, 'COUNTYNAME')
+    ].join(' ').toLowerCase();
+    return getTextSearchWords(value).every(word => text.includes(word));
+}
+
+/**
+ * Builds the pattern that marks the active search in table cells
+ * @returns {RegExp|null} Pattern, or null without a search
+ */
+function getTextSearchHighlightPattern() {
+    const words = getTextSearchWords(filterState.text);
+
+    // The full-text index matches tokens from their start; LIKE matches anywhere
+    const parts = textSearchMode === 'like'
+        ? words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        : words.flatMap(getTextSearchTokens).map(token => `\\b${token}`);
+    if (parts.length === 0) return null;
+
+    // Longest first, so "guardrail" is marked whole rather than as "guard"
+    return new RegExp(parts.sort((a, b) => b.length - a.length).join('|'), 'gi');
+}
+
+/**
+ * Tabulator formatter that marks the active search in a cell
+ * @param {Object} cell - Tabulator cell component
+ * @returns {string} Cell HTML
+ */
+function formatTextSearchCell(cell) {
+    const value = cell.getValue() === null || cell.getValue() === undefined ? '' : String(cell.getValue());
+    const pattern = getTextSearchHighlightPattern();
+    if (!pattern) return escapeHTML(value);
+
+    let html = '';
+    let last = 0;
+    value.replace(pattern, (match, offset) => {
+        html += `${escapeHTML(value.slice(last, offset))}<mark>${escapeHTML(match)}</mark>`;
+        last = offset + match.length;
+        return match;
+    });
+    return html + escapeHTML(value.slice(last));
+}
+
+/**
+ * Applies a keyword search (combined with the other filters)
+ * @param {string|null} value - Search text, or null/empty to clear the search
+ */
+function applyTextSearch(value) {
+    const text = String(value || '').trim();
+    // Searches without letters or digits would match nothing in the index
+    filterState.text = getTextSearchWords(text).some(word => getTextSearchTokens(word).length > 0) ? text : null;
+    console.log('Applying keyword search:', filterState.text);
+
+    updateTextSearchInput();
+    updatePanelTitles();
+    updateChartsAndTable();
+    updateTextSearchStatus();
+}
+
+/**
+ * Syncs the search box and its tooltip with filterState.text and the search mode
+ */
+function updateTextSearchInput() {
+    const input = document.getElementById('textSearchInput');
+    if (!input) return;
+
+    if (input.value.trim() !== (filterState.text || '') && document.activeElement !== input) {
+        input.value = filterState.text || '';
+    }
+    input.title = textSearchMode === 'like'
+        ? 'Search descriptions, routes and counties (every word must appear)'
+        : `Full-text search of descriptions, routes and counties (${textSearchMode.toUpperCase()} index, best matches first)`;
+
+    if (!filterState.text) {
+        updateTextSearchStatus();
+    }
+}
+
+/**
+ * Shows how many projects match the search next to the search box
+ */
+function updateTextSearchStatus() {
+    const status = document.getElementById('textSearchStatus');
+    if (!status) return;
+
+    const scores = getTextSearchScores();
+    status.textContent = scores
+        ? `${scores.size.toLocaleString()} matching project${scores.size === 1 ? '' : 's'} statewide, best matches first`
+        : '';
+}
+
+/**
+ * Wires up the keyword search box above the table
+ */
+function setupTextSearch() {
+    const input = document.getElementById('textSearchInput');
+    if (!input) return;
+
+    let timer = null;
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            if ((input.value.trim() || null) !== filterState.text) {
+                applyTextSearch(input.value);
+            }
+        }, TEXT_SEARCH_DEBOUNCE_MS);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            clearTimeout(timer);
+            applyTextSearch(input.value);
+        } else if (e.key === 'Escape') {
+            clearTimeout(timer);
+            input.value = '';
+            if (filterState.text) applyTextSearch(null);
+        }
+    });
+
+    updateTextSearchInput();
+}
+
+/* =====================================================
+   21. PROJECT DETAIL DRAWER
+   ===================================================== */
+
+// SYP number of the project open in the detail drawer (kept in the URL as "project")
+let projectDetailSypNo = null;
+
+// Project from a shared link that wasn't found yet (its map layer may still be loading)
+let projectDetailPending = null;
+
+// Map in the drawer showing the project's segments
+let projectDetailMap = null;
+
+// Prefix of the GeoJSON property names (table name) dropped in the drawer's map attributes
+const PROPERTY_NAME_PREFIX = 'KYTCDynamic_Highways.DBO.';
+
+// Summary fields shown at the top of the drawer, in order
+const PROJECT_DETAIL_FIELDS = [
+    { field: 'DISTRICT', label: 'District' },
+    { field: 'COUNTY', label: 'County' },
+    { field: 'ROUTE', label: 'Route' },
+    { field: 'MILEPOINTS', label: 'Milepoints' },
+    { field: 'TYPE_WORK', label: 'Type of Work' },
+    { field: 'BRIDGE_ID', label: 'Bridge ID' },
+    { field: 'PLAN_YEAR', label: 'Plan Year' },
+    { field: 'ENACT_INITIAL_YEAR', label: 'First Enacted' },
+    { field: 'ENACT_YEAR', label: 'Enact Year' },
+    { field: 'ENACT_PHASE', label: 'Enact Phase' },
+    { field: 'FUND_CODE', label: 'Fund Codes' },
+    { field: 'LATEST_LETTING_DATE', label: 'Latest Letting' },
+    { field: 'NUMBER_OF_LETTINGS', label: 'Number of Lettings' },
+    { field: 'PRECON_INFO_LINK', label: 'Preconstruction Report' }
+];
+
+/**
+ * Collects the distinct non-empty values of each field across several records
+ * @param {Array<Object>} records - Table rows or flattened feature properties
+ * @returns {Object} Field name -> array of distinct values (as strings)
+ */
+function mergeRecordValues(records) {
+    const merged = {};
+    records.forEach(record => {
+        Object.keys(record).forEach(name => {
+            const value = record[name] === null || record[name] === undefined ? '' : String(record[name]).trim();
+            if (!merged[name]) merged[name] = [];
+            if (value !== '' && !merged[name].includes(value)) {
+                merged[name].push(value);
+            }
+        });
+    });
+    return merged;
+}
+
+/**
+ * Shortens GeoJSON property names to "TABLE.FIELD" (e.g. "TED_CHIPS_ACTIVEPLAN.DIST_ITEM")
+ * @param {Object} props - Feature properties
+ * @returns {Object} Properties under their short names
+ */
+function flattenFeatureProperties(props) {
+    const flattened = {};
+    Object.keys(props).forEach(name => {
+        flattened[name.startsWith(PROPERTY_NAME_PREFIX) ? name.slice(PROPERTY_NAME_PREFIX.length) : name] = props[name];
+    });
+    return flattened;
+}
+
+/**
+ * Formats a date value from either source for display
+ * @param {string|number} value - "YYYY-MM-DD" (projects table) or epoch milliseconds (GeoJSON)
+ * @returns {string} Date as shown in the drawer, or the value unchanged when it isn't a date
+ */
+function formatProjectDate(value) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) :
+        /^\d{11,13}$/.test(value) ? new Date(Number(value)) : null;
+    return date && !isNaN(date) ? date.toLocaleDateString('en-US', { timeZone: 'UTC' }) : String(value);
+}
+
+/**
+ * Gathers everything known about a project: its projects table rows and its map features
+ * @param {string} id - SYP number or DIST_ITEM id
+ * @returns {Object|null} { key, sypNo, rows, features, awarded, summary, properties }, or null if
+ * the project is in neither source
+ */
+function getProjectDetail(id) {
+    const key = normalizeProjectKey(id);
+    if (!key) return null;
+
+    const entry = projectKeyIndex[key] || { sypNo: null, layers: [] };
+    const sypNo = entry.sypNo || distItemToSypNo(key);
+
+    let rows = [];
+    if (database) {
+        try {
+            const stmt = database.prepare('SELECT * FROM projects WHERE SYP_NO = ? ORDER BY RSY_YEAR, ENACT_PHASE');
+            stmt.bind([sypNo]);
+            while (stmt.step()) {
+                rows.push(stmt.getAsObject());
+            }
+            stmt.free();
+        } catch (error) {
+            console.error(`Error loading projects table rows for ${sypNo}:`, error);
+        }
+    }
+
+    const features = [...new Set(entry.layers.map(layer => layer.feature))];
+    if (rows.length === 0 && features.length === 0) return null;
+
+    // Projects table values win; the map supplies what the table doesn't have
+    const fromRows = mergeRecordValues(rows);
+    const fromMap = mergeRecordValues(features.map(feature => featureToTableRow(feature, feature.projectAwarded)));
+    const properties = mergeRecordValues(features.map(feature => flattenFeatureProperties(feature.properties || {})));
+    const valuesOf = field => (fromRows[field] && fromRows[field].length > 0 ? fromRows[field] : fromMap[field] || []);
+
+    const phaseOrder = Object.keys(PHASE_LABELS);
+    const summary = {};
+    PROJECT_DETAIL_FIELDS.forEach(({ field }) => {
+        summary[field] = valuesOf(field);
+    });
+    summary.MILEPOINTS = [...new Set((rows.length > 0 ? rows : features.map(feature =>
+        featureToTableRow(feature, feature.projectAwarded))).map(row => `${row.BMP} - ${row.EMP}`))];
+    summary.PLAN_YEAR = properties['TED_CHIPS_ACTIVEPLAN.PLANYEAR'] || [];
+    summary.ENACT_PHASE = summary.ENACT_PHASE
+        .flatMap(value => value.split(',').map(phase => phase.trim()))
+        .sort((a, b) => phaseOrder.indexOf(a) - phaseOrder.indexOf(b))
+        .map(phase => PHASE_LABELS[phase] || phase);
+    summary.FUND_CODE = [...new Set(summary.FUND_CODE.flatMap(value => value.split(',').map(code => code.trim())))];
+    summary.LATEST_LETTING_DATE = summary.LATEST_LETTING_DATE.map(formatProjectDate);
+    summary.PRECON_INFO_LINK = properties['TED_CHIPS_ACTIVEPLAN.PRECON_INFO_LINK'] || [];
+
+    return {
+        key: key,
+        sypNo: sypNo,
+        rows: rows,
+        features: features,
+        awarded: rows.some(row => row.AWARDED === 'Awarded') || features.some(feature => feature.projectAwarded),
+        description: valuesOf('DESCRIPTION').join(' / '),
+        summary: summary,
+        properties: properties
+    };
+}
+
+/**
+ * Formats a summary value of the drawer as HTML
+ * @param {string} field - Entry of PROJECT_DETAIL_FIELDS
+ * @param {Array<string>} values - Distinct values of the field
+ * @returns {string} HTML
+ */
+function formatProjectDetailValue(field, values) {
+    if (values.length === 0) return '—';
+
+    // Only web links are turned into anchors
+    if (field === 'PRECON_INFO_LINK') {
+        return values.map(value => /^https?:\/\//i.test(value)
+            ? `<a href="${escapeHTML(value)}" target="_blank" rel="noopener">Open report</a>`
+            : escapeHTML(value)).join('<br>');
+    }
+
+    return values.map(escapeHTML).join(', ');
+}
+
+/**
+ * Builds the drawer contents for a project
+ * @param {Object} detail - Result of getProjectDetail()
+ * @returns {string} HTML
+ */
+function buildProjectDetailContent(detail) {
+    const source = detail.rows.length > 0 && detail.features.length > 0 ? 'Projects table and map'
+        : detail.rows.length > 0 ? 'Projects table only (no map line)' : 'Map only (not in the projects table)';
+
+    const summaryRows = PROJECT_DETAIL_FIELDS.map(({ field, label }) => `
+        <tr><th>${label}</th><td>${formatProjectDetailValue(field, detail.summary[field])}</td></tr>
+    `).join('');
+
+    // Programmed dollars come from the projects table, one row per phase and fund
+    const fundTotal = detail.rows.reduce((sum, row) => sum + (Number(row.RSY_FUND) || 0), 0);
+    const fundingRows = detail.rows.map(row => `
+        <tr>
+            <td>${escapeHTML(PHASE_LABELS[row.ENACT_PHASE] || row.ENACT_PHASE || '—')}</td>
+            <td>${escapeHTML(row.FUND_CODE || '—')}</td>
+            <td>${row.RSY_YEAR ? `FY ${escapeHTML(row.RSY_YEAR)}` : '—'}</td>
+            <td class="text-end">${formatCurrency(Number(row.RSY_FUND) || 0)}</td>
+        </tr>
+    `).join('');
+
+    // Phase stages and authorizations come from the map layer
+    const phases = detail.features.length > 0 ? getFeaturePhases(detail.features[0].properties || {}) : [];
+    const phaseRows = phases.map(item => `
+        <tr>
+            <td><span class="phase-swatch" style="background:${PHASE_COLORS[item.phase]}"></span>${item.label}</td>
+            <td>${item.fiscalYear ? `FY ${item.fiscalYear}` : '—'}</td>
+            <td>${escapeHTML(formatPhaseStage(item.stage))}</td>
+            <td>${escapeHTML(item.fundCode || '—')}</td>
+            <td class="text-end">${item.amount ? formatCurrency(item.amount) : '—'}</td>
+            <td>${item.authDate ? item.authDate.toLocaleDateString('en-US', { timeZone: 'UTC' }) : '—'}</td>
+        </tr>
+    `).join('');
+
+    const columns = detail.rows.length > 0 ? Object.keys(detail.rows[0]) : [];
+    const attributeRows = Object.keys(detail.properties)
+        .filter(name => detail.properties[name].length > 0)
+        .map(name => `
+            <tr><th>${escapeHTML(name)}</th><td>${detail.properties[name].map(value =>
+                escapeHTML(/DATE/.test(name) ? formatProjectDate(value) : value)).join(', ')}</td></tr>
+        `).join('');
+
+    return `
+        <div class="project-detail-header">
+            <h6>${escapeHTML(detail.sypNo)} <span class="project-detail-status">${detail.awarded ? 'Awarded' : 'Current'}</span></h6>
+            <button type="button" class="project-detail-close-btn" title="Close (Esc)" aria-label="Close">✕</button>
+        </div>
+        <div class="project-detail-content">
+            <p class="project-detail-description">${escapeHTML(detail.description || 'No description available')}</p>
+            <p class="project-detail-source text-muted">${source}</p>
+            <div class="project-detail-actions">
+                <button type="button" class="project-detail-btn" data-action="map">Show on Map</button>
+                <button type="button" class="project-detail-btn" data-action="table">Show in Table</button>
+                ${phases.length > 0 ? '<button type="button" class="project-detail-btn" data-action="timeline">Phase Timeline</button>' : ''}
+                <button type="button" class="project-detail-btn" data-action="link">Copy Link</button>
+                <button type="button" class="project-detail-btn" data-action="print">Print</button>
+            </div>
+            <div class="project-detail-map"></div>
+            <table class="project-detail-table project-detail-summary"><tbody>${summaryRows}</tbody></table>
+
+            <h6>Programmed Funding</h6>
+            ${detail.rows.length > 0 ? `
+                <table class="project-detail-table">
+                    <thead><tr><th>Phase</th><th>Fund</th><th>Year</th><th class="text-end">Amount</th></tr></thead>
+                    <tbody>${fundingRows}</tbody>
+                    <tfoot><tr><th colspan="3">Total</th><th class="text-end">${formatCurrency(fundTotal)}</th></tr></tfoot>
+                </table>
+            ` : '<p class="text-muted">Not in the projects table.</p>'}
+
+            <h6>Phases</h6>
+            ${phases.length > 0 ? `
+                <table class="project-detail-table">
+                    <thead><tr><th>Phase</th><th>Fiscal Year</th><th>Stage</th><th>Fund</th><th class="text-end">Amount</th><th>Authorized</th></tr></thead>
+                    <tbody>${phaseRows}</tbody>
+                </table>
+            ` : '<p class="text-muted">No phase information on the map.</p>'}
+
+            <details class="project-detail-all"${detail.rows.length > 0 ? '' : ' hidden'}>
+                <summary>Projects table rows (${detail.rows.length})</summary>
+                <div class="project-detail-scroll">
+                    <table class="project-detail-table">
+                        <thead><tr>${columns.map(column => `<th>${escapeHTML(column)}</th>`).join('')}</tr></thead>
+                        <tbody>${detail.rows.map(row => `<tr>${columns.map(column =>
+                            `<td>${escapeHTML(row[column])}</td>`).join('')}</tr>`).join('')}</tbody>
+                    </table>
+                </div>
+            </details>
+            <details class="project-detail-all"${attributeRows ? '' : ' hidden'}>
+                <summary>Map attributes (${detail.features.length} segment${detail.features.length === 1 ? '' : 's'})</summary>
+                <table class="project-detail-table project-detail-attributes"><tbody>${attributeRows}</tbody></table>
+            </details>
+        </div>
+    `;
+}
+
+/**
+ * Draws the project's segments on the small map in the drawer
+ * @param {HTMLElement} container - Map container
+ * @param {Array<Object>} features - GeoJSON features of the project
+ */
+function createProjectDetailMap(container, features) {
+    if (projectDetailMap) {
+        projectDetailMap.remove();
+        projectDetailMap = null;
+    }
+
+    if (features.length === 0) {
+        container.classList.add('empty');
+        container.textContent = 'This project has no line on the map.';
+        return;
+    }
+
+    projectDetailMap = L.map(container, { scrollWheelZoom: false });
+
+    // A tile layer can only be on one map, so copy the current basemap
+    const basemap = basemaps[currentBasemap];
+    L.tileLayer(basemap._url, basemap.options).addTo(projectDetailMap);
+
+    const segments = L.geoJSON({ type: 'FeatureCollection', features: features }, {
+        style: PROJECT_HIGHLIGHT_STYLE
+    }).addTo(projectDetailMap);
+    projectDetailMap.fitBounds(segments.getBounds(), { maxZoom: 15, padding: [15, 15] });
+}
+
+/**
+ * Opens the detail drawer for a project
+ * @param {string} id - SYP number or DIST_ITEM id
+ * @returns {boolean} True when the project was found
+ */
+function openProjectDetail(id) {
+    const detail = getProjectDetail(id);
+    if (!detail) {
+        console.log(`Project ${id} is not in the projects table or on the map`);
+        return false;
+    }
+
+    console.log(`Showing details for ${detail.sypNo}:`, detail);
+
+    let drawer = document.querySelector('.project-detail-drawer');
+    if (!drawer) {
+        drawer = document.createElement('aside');
+        drawer.className = 'project-detail-drawer';
+        drawer.setAttribute('aria-label', 'Project details');
+        document.body.appendChild(drawer);
+    }
+
+    drawer.innerHTML = buildProjectDetailContent(detail);
+    drawer.scrollTop = 0;
+    projectDetailSypNo = detail.sypNo;
+    projectDetailPending = null;
+
+    drawer.querySelector('.project-detail-close-btn').addEventListener('click', closeProjectDetail);
+    const actions = {
+        map: () => highlightProjectFeatures(detail.sypNo, true),
+        table: () => {
+            selectTableRowsForProject(detail.key);
+            document.getElementById('highway-projects-table').scrollIntoView({ behavior: 'smooth' });
+        },
+        timeline: () => showPhaseTimeline(detail.features[0]),
+        link: btn => copyProjectDetailLink(btn),
+        print: () => printProjectDetail()
+    };
+    drawer.querySelectorAll('.project-detail-btn').forEach(btn => {
+        btn.addEventListener('click', () => actions[btn.dataset.action](btn));
+    });
+
+    createProjectDetailMap(drawer.querySelector('.project-detail-map'), detail.features);
+    updateUrlState();
+    return true;
+}
+
+// Close the detail drawer
+function closeProjectDetail() {
+    if (projectDetailMap) {
+        projectDetailMap.remove();
+        projectDetailMap = null;
+    }
+
+    const drawer = document.querySelector('.project-detail-drawer');
+    if (drawer) {
+        drawer.remove();
+    }
+
+    projectDetailSypNo = null;
+    projectDetailPending = null;
+    updateUrlState();
+}
+
+/**
+ * Redraws the open drawer (or opens the one a shared link asked for) once the project index changes,
+ * e.g. when a map layer finishes loading after the database
+ */
+function refreshProjectDetail() {
+    const id = projectDetailSypNo || projectDetailPending;
+    if (id) {
+        openProjectDetail(id);
+    }
+}
+
+/**
+ * Copies a link that opens the dashboard with the drawer showing this project
+ * @param {HTMLElement} button - Copy Link button, briefly relabeled with the result
+ */
+function copyProjectDetailLink(button) {
+    const link = `${window.location.origin}${window.location.pathname}${window.location.search}#${serializeDashboardState()}`;
+    const done = label => {
+        button.textContent = label;
+        setTimeout(() => { button.textContent = 'Copy Link'; }, 1500);
+    };
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(link)
+            .then(() => done('Copied!'))
+            .catch(() => window.prompt('Copy this link:', link));
+    } else {
+        window.prompt('Copy this link:', link);
+    }
+}
+
+// Print only the drawer (see the print styles in css/style.css)
+function printProjectDetail() {
+    const mapElement = document.querySelector('.project-detail-map');
+
+    // Keep the map at its on-screen width so the tiles already drawn still line up on paper
+    if (mapElement) {
+        mapElement.style.width = `${mapElement.offsetWidth}px`;
+    }
+
+    // Print the collapsed sections too
+    const collapsed = [...document.querySelectorAll('.project-detail-all:not([open])')];
+    collapsed.forEach(section => { section.open = true; });
+    document.body.classList.add('printing-project-detail');
+
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-project-detail');
+        collapsed.forEach(section => { section.open = false; });
+        if (mapElement) {
+            mapElement.style.width = '';
+        }
+    }, { once: true });
+
+    window.print();
+}
+
+/* =====================================================
+   22. PRINTABLE REPORT
+   ===================================================== */
+
+// Longest wait for the basemap tiles of the map snapshot before it is drawn without them
+const REPORT_TILE_TIMEOUT_MS = 5000;
+
+// Map snapshot resolution relative to the screen, so lines stay sharp on paper
+const REPORT_MAP_SCALE = 2;
+
+/**
+ * Turns nested Leaflet latlngs into a list of rings / line parts
+ * @param {Array} latlngs - Result of getLatLngs()
+ * @returns {Array<Array<L.LatLng>>} Flat rings
+ */
+function getLatLngRings(latlngs) {
+    return L.LineUtil.isFlat(latlngs) ? [latlngs] : latlngs.flatMap(getLatLngRings);
+}
+
+/**
+ * Draws a vector layer onto the snapshot canvas with its current style
+ * @param {CanvasRenderingContext2D} ctx - Snapshot canvas context (in map container pixels)
+ * @param {L.Map} map - The Leaflet map instance
+ * @param {L.Path} layer - Line, polygon or circle
+ */
+function drawSnapshotPath(ctx, map, layer) {
+    const options = layer.options;
+    ctx.save();
+    ctx.beginPath();
+
+    if (layer instanceof L.CircleMarker) {
+        const center = map.latLngToContainerPoint(layer.getLatLng());
+        // L.Circle radii are in meters, L.CircleMarker radii in pixels
+        const radius = layer instanceof L.Circle
+            ? center.distanceTo(map.latLngToContainerPoint(
+                [layer.getLatLng().lat + layer.getRadius() / METERS_PER_DEGREE, layer.getLatLng().lng]))
+            : layer.getRadius();
+        ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+    } else {
+        getLatLngRings(layer.getLatLngs()).forEach(ring => {
+            ring.forEach((latlng, i) => {
+                const point = map.latLngToContainerPoint(latlng);
+                if (i === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            if (layer instanceof L.Polygon) ctx.closePath();
+        });
+    }
+
+    if (options.fill) {
+        ctx.globalAlpha = options.fillOpacity;
+        ctx.fillStyle = options.fillColor || options.color;
+        ctx.fill('evenodd');
+    }
+    if (options.stroke !== false) {
+        ctx.globalAlpha = options.opacity;
+        ctx.strokeStyle = options.color;
+        ctx.lineWidth = options.weight;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        if (options.dashArray) {
+            ctx.setLineDash(String(options.dashArray).split(/[\s,]+/).map(Number));
+        }
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Draws the basemap tiles shown in the map onto the snapshot canvas
+ * Tiles are reloaded with CORS so the canvas can still be exported; tiles the server
+ * won't share (or that don't arrive in time) are left out
+ * @param {CanvasRenderingContext2D} ctx - Snapshot canvas context
+ * @param {L.Map} map - The Leaflet map instance
+ * @returns {Promise<number>} Number of tiles drawn
+ */
+async function drawSnapshotTiles(ctx, map) {
+    const mapRect = map.getContainer().getBoundingClientRect();
+    const tiles = [...map.getPane('tilePane').querySelectorAll('img.leaflet-tile-loaded')];
+
+    const loaded = await Promise.all(tiles.map(tile => new Promise(resolve => {
+        const rect = tile.getBoundingClientRect();
+        const image = new Image();
+        const timer = setTimeout(() => resolve(null), REPORT_TILE_TIMEOUT_MS);
+        image.crossOrigin = 'anonymous';
+        image.onload = () => { clearTimeout(timer); resolve({ image, rect }); };
+        image.onerror = () => { clearTimeout(timer); resolve(null); };
+        image.src = tile.src;
+    })));
+
+    const drawn = loaded.filter(Boolean);
+    drawn.forEach(({ image, rect }) => {
+        ctx.drawImage(image, rect.left - mapRect.left, rect.top - mapRect.top, rect.width, rect.height);
+    });
+    return drawn.length;
+}
+
+/**
+ * Draws the current map view - basemap, boundaries, project lines and spot points, and the
+ * selected area - as a static image. Layers follow the layer manager's visibility, opacity and order
+ * @param {L.Map} map - The Leaflet map instance
+ * @returns {Promise<string|null>} PNG data URL, or null when the snapshot failed
+ */
+async function createMapSnapshot(map) {
+    const size = map.getSize();
+    const canvas = document.createElement('canvas');
+    canvas.width = size.x * REPORT_MAP_SCALE;
+    canvas.height = size.y * REPORT_MAP_SCALE;
+
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return null;
+    ctx.scale(REPORT_MAP_SCALE, REPORT_MAP_SCALE);
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, size.x, size.y);
+
+    const drawVectors = () => {
+        // Bottom to top, the order of the layer manager panes
+        Object.keys(MAP_LAYER_PANES)
+            .sort((a, b) => MAP_LAYER_PANES[a].zIndex - MAP_LAYER_PANES[b].zIndex)
+            .forEach(key => {
+                const group = managedLayers[key];
+                if (!group || !map.hasLayer(group)) return;
+
+                if (key === 'awarded' || key === 'current') {
+                    eachProjectFeatureLayer(group, layer => {
+                        const marker = spotProjectMarkers.get(layer);
+                        if (isCollapsedSpotProject(layer)) {
+                            // Spot projects are drawn unclustered, as a dot in their line's color
+                            if (marker && spotProjectClusters && spotProjectClusters.hasLayer(marker)) {
+                                drawSnapshotPath(ctx, map, L.circleMarker(getLineMidpoint(layer), {
+                                    radius: 4,
+                                    color: 'white',
+                                    weight: 1,
+                                    fillColor: layer.options.color,
+                                    fillOpacity: marker.options.opacity === undefined ? 1 : marker.options.opacity
+                                }));
+                            }
+                        } else if (map.hasLayer(layer)) {
+                            drawSnapshotPath(ctx, map, layer);
+                        }
+                    });
+                } else {
+                    group.eachLayer(layer => drawSnapshotPath(ctx, map, layer));
+                }
+            });
+
+        if (spatialSelectionLayer && map.hasLayer(spatialSelectionLayer)) {
+            const layers = spatialSelectionLayer.eachLayer ? spatialSelectionLayer.getLayers() : [spatialSelectionLayer];
+            layers.filter(layer => layer instanceof L.Path).forEach(layer => drawSnapshotPath(ctx, map, layer));
+        }
+    };
+
+    try {
+        const tileCount = await drawSnapshotTiles(ctx, map);
+        drawVectors();
+        try {
+            return canvas.toDataURL('image/png');
+        } catch (error) {
+            // A tile the browser considers cross-origin slipped through - draw the map without the basemap
+            console.log(`Map snapshot can't include the basemap (${tileCount} tiles):`, error.message);
+            ctx.fillStyle = 'white';
+            ctx.fillRect(0, 0, size.x, size.y);
+            drawVectors();
+            return canvas.toDataURL('image/png');
+        }
+    } catch (error) {
+        console.error('Error creating map snapshot:', error);
+        return null;
+    }
+}
+
+/**
+ * Gets a chart as an image for the report
+ * @param {Chart|null} chart - Chart.js instance
+ * @returns {string|null} PNG data URL
+ */
+function getChartImage(chart) {
+    if (!chart) return null;
+    try {
+        return chart.toBase64Image();
+    } catch (error) {
+        console.error('Error exporting chart image:', error);
+        return null;
+    }
+}
+
+/**
+ * Builds the summary rows of one funding breakdown
+ * @param {Object} amounts - Label -> dollars
+ * @param {Function} [label] - Formats a label
+ * @returns {string} HTML table rows
+ */
+function buildReportFundingRows(amounts, label = value => value) {
+    return Object.keys(amounts)
+        .map(key => `<tr><td>${escapeHTML(label(key))}</td><td class="amount">${formatCurrency(amounts[key])}</td></tr>`)
+        .join('') || '<tr><td colspan="2">No programmed funding</td></tr>';
+}
+
+/**
+ * Assembles the report document: title from the active filters, map snapshot, charts,
+ * project and funding summary, then the filtered project table on the following pages
+ * @param {Object} report - { title, generated, freshness, mapImage, pieImage, yearsImage, yearsTitle, rows, columns, funding }
+ * @returns {string} Complete HTML document
+ */
+function buildReportHTML(report) {
+    const funding = report.funding || { total: 0, byYear: {}, byFundCode: {}, byPhase: {} };
+    const byYear = {};
+    Object.keys(funding.byYear).sort().forEach(year => { byYear[year] = funding.byYear[year]; });
+    const byFundCode = {};
+    Object.keys(funding.byFundCode)
+        .sort((a, b) => funding.byFundCode[b] - funding.byFundCode[a])
+        .forEach(code => { byFundCode[code] = funding.byFundCode[code]; });
+    const byPhase = {};
+    Object.keys(PHASE_LABELS).forEach(code => {
+        if (funding.byPhase[code]) byPhase[code] = funding.byPhase[code];
+    });
+
+    const projectTotal = projectCounts.awarded + projectCounts.current;
+    const tableRows = report.rows.map(row => `<tr>${report.columns.map(column => `
+        <td${column.field === 'RSY_FUND' ? ' class="amount"' : ''}>${column.field === 'RSY_FUND'
+            ? formatCurrency(Number(row.RSY_FUND) || 0) : escapeHTML(row[column.field])}</td>`).join('')}</tr>`).join('');
+
+    return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>${escapeHTML(report.title)}</title>
+            <style>
+                @page {
+                    size: letter landscape;
+                    margin: 0.5in;
+                }
+                body {
+                    font-family: Arial, sans-serif;
+                    color: #333;
+                    margin: 0;
+                }
+                h1 {
+                    color: #3c5e49;
+                    font-size: 22px;
+                    margin: 0 0 4px 0;
+                }
+                h2 {
+                    color: #3c5e49;
+                    font-size: 15px;
+                    margin: 12px 0 6px 0;
+                }
+                .subtitle {
+                    color: #666;
+                    font-size: 11px;
+                    border-bottom: 2px solid #3c5e49;
+                    padding-bottom: 6px;
+                    margin-bottom: 10px;
+                }
+                .map-snapshot {
+                    width: 100%;
+                    max-height: 6.2in;
+                    object-fit: contain;
+                    border: 1px solid #ccc;
+                }
+                .no-map {
+                    padding: 40px;
+                    border: 1px solid #ccc;
+                    text-align: center;
+                    color: #666;
+                }
+                .overview {
+                    display: flex;
+                    gap: 16px;
+                    break-inside: avoid;
+                }
+                .overview > div {
+                    flex: 1;
+                }
+                .overview img {
+                    max-width: 100%;
+                    max-height: 2.6in;
+                }
+                .summary-page {
+                    break-before: page;
+                }
+                .funding {
+                    display: flex;
+                    gap: 16px;
+                    align-items: flex-start;
+                }
+                .funding table {
+                    flex: 1;
+                }
+                table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 11px;
+                }
+                th, td {
+                    border-bottom: 1px solid #ddd;
+                    padding: 3px 5px;
+                    text-align: left;
+                    vertical-align: top;
+                }
+                th {
+                    background: #e6ebe6;
+                }
+                .amount {
+                    text-align: right;
+                    white-space: nowrap;
+                }
+                .counts td:last-child {
+                    font-weight: bold;
+                    text-align: right;
+                }
+                .projects {
+                    break-before: page;
+                }
+                .projects table {
+                    font-size: 9px;
+                }
+                .projects thead {
+                    display: table-header-group;
+                }
+                .projects tr {
+                    break-inside: avoid;
+                }
+            </style>
+        </head>
+        <body>
+            <h1>${escapeHTML(report.title)}</h1>
+            <div class="subtitle">
+                Kentucky Transportation Cabinet Highway Plan · Generated ${escapeHTML(report.generated)}
+                ${report.freshness ? ` · ${escapeHTML(report.freshness)}` : ''}
+            </div>
+
+            ${report.mapImage
+                ? `<img class="map-snapshot" src="${report.mapImage}" alt="Map of the projects">`
+                : '<div class="no-map">Map snapshot not available</div>'}
+
+            <div class="summary-page">
+                <div class="overview">
+                    <div>
+                        <h2>Projects</h2>
+                        <table class="counts">
+                            <tr><td>Awarded projects</td><td>${projectCounts.awarded.toLocaleString()}</td></tr>
+                            <tr><td>Current projects</td><td>${projectCounts.current.toLocaleString()}</td></tr>
+                            <tr><td>Total projects</td><td>${projectTotal.toLocaleString()}</td></tr>
+                            <tr><td>Project table rows</td><td>${report.rows.length.toLocaleString()}</td></tr>
+                            <tr><td>Programmed funding</td><td>${formatCurrency(funding.total)}</td></tr>
+                        </table>
+                        ${report.pieImage ? `<img src="${report.pieImage}" alt="Awarded and current projects">` : ''}
+                    </div>
+                    <div>
+                        <h2>${escapeHTML(report.yearsTitle)}</h2>
+                        ${report.yearsImage ? `<img src="${report.yearsImage}" alt="${escapeHTML(report.yearsTitle)}">` : '<p>No chart data</p>'}
+                    </div>
+                </div>
+
+                <h2>Programmed Funding</h2>
+                <div class="funding">
+                    <table>
+                        <thead><tr><th>Year</th><th class="amount">Amount</th></tr></thead>
+                        <tbody>${buildReportFundingRows(byYear)}</tbody>
+                    </table>
+                    <table>
+                        <thead><tr><th>Fund Code</th><th class="amount">Amount</th></tr></thead>
+                        <tbody>${buildReportFundingRows(byFundCode)}</tbody>
+                    </table>
+                    <table>
+                        <thead><tr><th>Phase</th><th class="amount">Amount</th></tr></thead>
+                        <tbody>${buildReportFundingRows(byPhase, code => PHASE_LABELS[code] || code)}</tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div class="projects">
+                <h2>Projects (${report.rows.length.toLocaleString()} rows)</h2>
+                <table>
+                    <thead><tr>${report.columns.map(column =>
+                        `<th${column.field === 'RSY_FUND' ? ' class="amount"' : ''}>${escapeHTML(column.title)}</th>`).join('')}</tr></thead>
+                    <tbody>${tableRows || `<tr><td colspan="${report.columns.length}">No projects match the filters</td></tr>`}</tbody>
+                </table>
+            </div>
+
+            <script>
+                window.onload = function() {
+                    window.print();
+                };
+            </script>
+        </body>
+        </html>
+    `;
+}
+
+/**
+ * Opens a print-ready report of the current dashboard view in a new window
+ * (print it, or save it as a PDF from the print dialog)
+ */
+async function printDashboardReport() {
+    if (!database || !highwayProjectsTable) {
+        alert('Load the database before printing a report.');
+        return;
+    }
+
+    // Open the window while the click still counts as a user action, so it isn't blocked
+    const reportWindow = window.open('', '_blank');
+    if (!reportWindow) {
+        alert('Allow pop-ups for this page to print the report.');
+        return;
+    }
+    reportWindow.document.write('<p style="font-family: Arial, sans-serif">Building report…</p>');
+
+    const map = window.mainMap;
+    const rows = getAllTableRows();
+    // Same columns as the exports (narrow screens collapse some of them in the table)
+    const columns = highwayProjectsTable.getColumns()
+        .filter(column => column.getField() && (rows.length === 0 || column.getField() in rows[0]))
+        .map(column => ({ field: column.getField(), title: column.getDefinition().title }));
+    const phasesView = projectYearsView === 'phases';
+
+    const report = {
+        title: `Highway Projects${getPanelTitleSuffix()}`,
+        generated: new Date().toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short' }),
+        freshness: describeDataFreshness(buildDataProvenance(database, layerExtractDates)),
+        mapImage: map ? await createMapSnapshot(map) : null,
+        pieImage: getChartImage(projectsPieChart),
+        yearsImage: getChartImage(phasesView ? phaseYearsChart : projectYearsChart),
+        yearsTitle: phasesView ? 'Projects per Phase by Fiscal Year' : 'Projects by Year',
+        rows: rows,
+        columns: columns,
+        funding: fundingSummary
+    };
+
+    console.log(`Printing report "${report.title}" with ${report.rows.length} rows`);
+
+    reportWindow.document.open();
+    reportWindow.document.write(buildReportHTML(report));
+    reportWindow.document.close();
+}
+
+/* =====================================================
+   23. GIS EXPORT (GEOJSON, KML AND SHAPEFILE)
+   ===================================================== */
+
+// Readable export names for the plan layer attributes, keyed by flattenFeatureProperties() name.
+// All are 10 characters or less, the longest field name a Shapefile (dBase) allows
+const EXPORT_FIELD_NAMES = {
+    'Project_Locations_Line.OBJECTID': 'LINE_OID',
+    'Project_Locations_Line.IsValid': 'IS_VALID',
+    'Project_Locations_Line.CreatedDate': 'CREATED',
+    'Project_Locations_Line.CreatedBy': 'CREATED_BY',
+    'Project_Locations_Line.LastUpdatedDate': 'UPDATED',
+    'Project_Locations_Line.LastUpdatedBy': 'UPDATED_BY',
+    'Project_Locations_Line.Identifier': 'IDENTIFIER',
+    'Project_Locations_Line.TypeRoute': 'ROUTE_TYPE',
+    'Project_Locations_Line.TypeProject': 'PROJ_TYPE',
+    'Project_Locations_Line.LocationGUID': 'LOC_GUID',
+    'Project_Locations_Line.RouteLength': 'LENGTH_MI',
+    'Project_Locations_Line.IsPublicViewable': 'PUBLIC',
+    'Project_Locations_Line.PlanYear': 'LINE_YEAR',
+    'Project_Locations_Line.NHS': 'NHS',
+    'TED_CHIPS_ACTIVEPLAN.OBJECTID': 'PLAN_OID',
+    'TED_CHIPS_ACTIVEPLAN.SYP_PRO_DISTNO': 'DISTRICT',
+    'TED_CHIPS_ACTIVEPLAN.SYP_PRO_ITEMNO': 'ITEM_NO',
+    'TED_CHIPS_ACTIVEPLAN.LOCUNIQUE': 'LOCATION',
+    'TED_CHIPS_ACTIVEPLAN.BMP': 'BMP',
+    'TED_CHIPS_ACTIVEPLAN.EMP': 'EMP',
+    'TED_CHIPS_ACTIVEPLAN.COUNTY': 'COUNTY_NO',
+    'TED_CHIPS_ACTIVEPLAN.COUNTYNAME': 'COUNTY',
+    'TED_CHIPS_ACTIVEPLAN.PREFIX': 'RT_PREFIX',
+    'TED_CHIPS_ACTIVEPLAN.ROUTENO': 'ROUTE_NO',
+    'TED_CHIPS_ACTIVEPLAN.SUFFIX': 'RT_SUFFIX',
+    'TED_CHIPS_ACTIVEPLAN.COUPLETID': 'COUPLET_ID',
+    'TED_CHIPS_ACTIVEPLAN.CO_TEXT': 'COUNTY_CD',
+    'TED_CHIPS_ACTIVEPLAN.DIST_ITEM': 'DIST_ITEM',
+    'TED_CHIPS_ACTIVEPLAN.RT_NE_UNIQUE': 'RT_UNIQUE',
+    'TED_CHIPS_ACTIVEPLAN.DIST_ITEM_MOD': 'ITEM_MOD',
+    'TED_CHIPS_ACTIVEPLAN.JOIN_ID': 'JOIN_ID',
+    'TED_CHIPS_ACTIVEPLAN.SYP_RPT_DESC': 'DESCRIPT',
+    'TED_CHIPS_ACTIVEPLAN.SYP_RPT_TYPEWORK': 'TYPE_WORK',
+    'TED_CHIPS_ACTIVEPLAN.SYP_RPT_PRECONFLAG': 'PRECON',
+    'TED_CHIPS_ACTIVEPLAN.SYP_PRO_BRNO': 'BRIDGE_NO',
+    'TED_CHIPS_ACTIVEPLAN.PLANYEAR': 'PLAN_YEAR',
+    'TED_CHIPS_ACTIVEPLAN.CUR_PLANYEAR_IND': 'CUR_PLAN',
+    'TED_CHIPS_ACTIVEPLAN.PRECON_INFO_LINK': 'PRECON_URL',
+    'TED_CHIPS_ACTIVEPLAN.EXTRACT_DATE': 'EXTRACTED'
+};
+
+// Per-phase attributes (SYP_RPT_<field><phase>) are exported as <name>_<phase>, e.g. FUND_C
+const EXPORT_PHASE_FIELD_NAMES = {
+    PHASECODE: 'PHASE',
+    CSYFUNDCODE: 'FUND',
+    CSYFUNDCOST: 'COST',
+    CSYFISYEAR: 'FY',
+    STAGE: 'STAGE',
+    AUTHAMOUNT: 'AUTH_AMT',
+    AUTHDATE: 'AUTHDATE'
+};
+
+// KML line colors (aabbggrr) matching the status symbology
+const KML_STATUS_COLORS = {
+    Awarded: 'ffff0000',
+    Current: 'ff008000'
+};
+
+// Coordinate system of the exported Shapefile (.prj) - the GeoJSON layers are WGS84
+const WGS84_PRJ = 'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],' +
+    'PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+/**
+ * Gets the export field name of a plan layer attribute
+ * Attributes missing from EXPORT_FIELD_NAMES keep their own name, upper-cased and cut to 10 characters
+ * @param {string} name - Attribute name as returned by flattenFeatureProperties()
+ * @returns {string} Export field name
+ */
+function getExportFieldName(name) {
+    if (EXPORT_FIELD_NAMES[name]) return EXPORT_FIELD_NAMES[name];
+
+    const field = name.slice(name.lastIndexOf('.') + 1);
+    const phaseField = field.match(/^SYP_RPT_([A-Z]+)([PDRUC])$/);
+    if (phaseField && EXPORT_PHASE_FIELD_NAMES[phaseField[1]]) {
+        return `${EXPORT_PHASE_FIELD_NAMES[phaseField[1]]}_${phaseField[2]}`;
+    }
+    return field.toUpperCase().slice(0, 10);
+}
+
+/**
+ * Builds the attribute record of an exported project line
+ * Dates (epoch milliseconds in the GeoJSON) become "YYYY-MM-DD" strings
+ * @param {Object} feature - GeoJSON project feature
+ * @param {boolean} awarded - Whether the feature comes from the awarded layer
+ * @returns {Object} Attributes under their export field names
+ */
+function buildExportAttributes(feature, awarded) {
+    const props = flattenFeatureProperties(feature.properties || {});
+    const attributes = {
+        SYP_NO: distItemToSypNo(getPlanProperty(feature.properties || {}, 'DIST_ITEM')),
+        STATUS: awarded ? 'Awarded' : 'Current',
+        CATEGORY: feature.projectCategory || null
+    };
+
+    Object.keys(props).forEach(name => {
+        let field = getExportFieldName(name);
+        // Two attributes cut to the same name get a number: NAME_2, NAME_3...
+        for (let i = 2; field in attributes; i++) {
+            field = `${getExportFieldName(name).slice(0, 10 - String(i).length - 1)}_${i}`;
+        }
+
+        let value = props[name];
+        if (value === undefined || (typeof value === 'string' && value.trim() === '')) {
+            value = null;
+        } else if (typeof value === 'string') {
+            value = value.trim();
+        } else if (/date/i.test(name) && typeof value === 'number') {
+            value = new Date(value).toISOString().slice(0, 10);
+        }
+        attributes[field] = value;
+    });
+
+    return attributes;
+}
+
+/**
+ * Gets the filtered project lines with their export attributes
+ * @returns {Array<Object>} { geometry, attributes }
+ */
+function getExportProjectFeatures() {
+    return getSelectedProjectFeatures().map(({ feature, awarded }) => ({
+        geometry: feature.geometry,
+        attributes: buildExportAttributes(feature, awarded)
+    }));
+}
+
+/**
+ * Turns a line geometry into a list of line parts
+ * @param {Object} geometry - GeoJSON LineString or MultiLineString
+ * @returns {Array<Array<Array<number>>>} Parts of [lng, lat] positions
+ */
+function getGeometryLineParts(geometry) {
+    if (!geometry) return [];
+    if (geometry.type === 'LineString') return [geometry.coordinates];
+    if (geometry.type === 'MultiLineString') return geometry.coordinates;
+    return [];
+}
+
+/**
+ * Writes the project lines as a KML document
+ * @param {Array<Object>} features - Result of getExportProjectFeatures()
+ * @returns {string} KML
+ */
+function buildProjectKML(features) {
+    const styles = Object.keys(KML_STATUS_COLORS).map(status => `
+    <Style id="${status.toLowerCase()}">
+      <LineStyle><color>${KML_STATUS_COLORS[status]}</color><width>3</width></LineStyle>
+    </Style>`).join('');
+
+    const placemarks = features.map(({ geometry, attributes }) => {
+        const lines = getGeometryLineParts(geometry).map(part =>
+            `<LineString><tessellate>1</tessellate><coordinates>${part.map(position =>
+                `${position[0]},${position[1]}`).join(' ')}</coordinates></LineString>`);
+        const data = Object.keys(attributes)
+            .filter(field => attributes[field] !== null)
+            .map(field => `<Data name="${field}"><value>${escapeHTML(attributes[field])}</value></Data>`)
+            .join('');
+
+        return `
+    <Placemark>
+      <name>${escapeHTML(attributes.SYP_NO)}</name>
+      <description>${escapeHTML(attributes.DESCRIPT || '')}</description>
+      <styleUrl>#${attributes.STATUS.toLowerCase()}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      ${lines.length === 1 ? lines[0] : `<MultiGeometry>${lines.join('')}</MultiGeometry>`}
+    </Placemark>`;
+    }).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>KY Highway Projects</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/**
+ * Chooses the dBase type and size of each attribute from the values being exported
+ * @param {Array<Object>} records - Attribute records
+ * @returns {Array<Object>} Fields as { name, type ('C', 'N' or 'D'), length, decimals }
+ */
+function getDbfFields(records) {
+    const encoder = new TextEncoder();
+    const names = [...new Set(records.flatMap(record => Object.keys(record)))];
+
+    return names.map(name => {
+        const values = records.map(record => record[name]).filter(value => value !== null && value !== undefined);
+
+        if (values.length > 0 && values.every(value => typeof value === 'number' && isFinite(value))) {
+            const decimals = Math.min(Math.max(...values.map(value =>
+                (String(value).split('.')[1] || '').length)), 8);
+            const length = Math.min(Math.max(...values.map(value => value.toFixed(decimals).length), 1), 19);
+            return { name, type: 'N', length, decimals };
+        }
+        if (values.length > 0 && values.every(value => /^\d{4}-\d{2}-\d{2}$/.test(value))) {
+            return { name, type: 'D', length: 8, decimals: 0 };
+        }
+
+        const length = Math.max(...values.map(value => encoder.encode(String(value)).length), 1);
+        return { name, type: 'C', length: Math.min(length, 254), decimals: 0 };
+    });
+}
+
+/**
+ * Writes the attribute table (.dbf) of a Shapefile
+ * Text is UTF-8 (declared in the .cpg file) and cut at 254 bytes, the dBase limit
+ * @param {Array<Object>} records - Attribute records, one per shape
+ * @returns {Uint8Array} dBase III file
+ */
+function buildDbf(records) {
+    const encoder = new TextEncoder();
+    const fields = getDbfFields(records);
+    const headerLength = 32 + fields.length * 32 + 1;
+    const recordLength = 1 + fields.reduce((sum, field) => sum + field.length, 0);
+
+    const bytes = new Uint8Array(headerLength + records.length * recordLength + 1);
+    const view = new DataView(bytes.buffer);
+    const today = new Date();
+
+    view.setUint8(0, 0x03);
+    view.setUint8(1, today.getFullYear() - 1900);
+    view.setUint8(2, today.getMonth() + 1);
+    view.setUint8(3, today.getDate());
+    view.setUint32(4, records.length, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+
+    fields.forEach((field, i) => {
+        const offset = 32 + i * 32;
+        bytes.set(encoder.encode(field.name).slice(0, 10), offset);
+        view.setUint8(offset + 11, field.type.charCodeAt(0));
+        view.setUint8(offset + 16, field.length);
+        view.setUint8(offset + 17, field.decimals);
+    });
+    view.setUint8(headerLength - 1, 0x0D);
+
+    // Records are fixed width and padded with spaces
+    bytes.fill(0x20, headerLength, headerLength + records.length * recordLength);
+    records.forEach((record, i) => {
+        let offset = headerLength + i * recordLength + 1;
+        fields.forEach(field => {
+            const value = record[field.name];
+            let text = '';
+            if (value !== null && value !== undefined) {
+                if (field.type === 'N') {
+                    text = value.toFixed(field.decimals).padStart(field.length);
+                } else if (field.type === 'D') {
+                    text = value.replace(/-/g, '');
+                } else {
+                    text = String(value);
+                }
+            }
+
+            let encoded = encoder.encode(text);
+            if (encoded.length > field.length) {
+                // Cut on a character boundary so no half UTF-8 sequence is written
+                encoded = encoder.encode(new TextDecoder().decode(encoded.slice(0, field.length)).replace(/\uFFFD+$/, ''));
+            }
+            bytes.set(encoded, offset);
+            offset += field.length;
+        });
+    });
+    bytes[bytes.length - 1] = 0x1A;
+
+    return bytes;
+}
+
+/**
+ * Writes the geometry (.shp) and index (.shx) of a PolyLine Shapefile
+ * Features without a line geometry are written as null shapes so records stay aligned with the .dbf
+ * @param {Array<Object>} geometries - GeoJSON LineString / MultiLineString geometries
+ * @returns {Object} { shp: Uint8Array, shx: Uint8Array }
+ */
+function buildShpAndShx(geometries) {
+    const shapes = geometries.map(geometry => {
+        const parts = getGeometryLineParts(geometry).filter(part => part.length > 1);
+        const points = parts.flat();
+        return {
+            parts: parts,
+            points: points,
+            bbox: points.length > 0 ? [
+                Math.min(...points.map(point => point[0])), Math.min(...points.map(point => point[1])),
+                Math.max(...points.map(point => point[0])), Math.max(...points.map(point => point[1]))
+            ] : null,
+            // Content bytes: type, box, part and point counts, part offsets, points (null shape: type only)
+            length: points.length > 0 ? 44 + parts.length * 4 + points.length * 16 : 4
+        };
+    });
+
+    const boxes = shapes.filter(shape => shape.bbox).map(shape => shape.bbox);
+    const bbox = boxes.length > 0 ? [
+        Math.min(...boxes.map(box => box[0])), Math.min(...boxes.map(box => box[1])),
+        Math.max(...boxes.map(box => box[2])), Math.max(...boxes.map(box => box[3]))
+    ] : [0, 0, 0, 0];
+
+    const shpLength = 100 + shapes.reduce((sum, shape) => sum + 8 + shape.length, 0);
+    const shxLength = 100 + shapes.length * 8;
+    const shp = new DataView(new ArrayBuffer(shpLength));
+    const shx = new DataView(new ArrayBuffer(shxLength));
+
+    // Both files share the header; lengths are counted in 16-bit words
+    [[shp, shpLength], [shx, shxLength]].forEach(([view, length]) => {
+        view.setInt32(0, 9994);
+        view.setInt32(24, length / 2);
+        view.setInt32(28, 1000, true);
+        view.setInt32(32, 3, true);
+        bbox.forEach((value, i) => view.setFloat64(36 + i * 8, value, true));
+    });
+
+    let offset = 100;
+    shapes.forEach((shape, i) => {
+        shx.setInt32(100 + i * 8, offset / 2);
+        shx.setInt32(104 + i * 8, shape.length / 2);
+
+        shp.setInt32(offset, i + 1);
+        shp.setInt32(offset + 4, shape.length / 2);
+        offset += 8;
+
+        if (!shape.bbox) {
+            shp.setInt32(offset, 0, true);
+            offset += 4;
+            return;
+        }
+
+        shp.setInt32(offset, 3, true);
+        shape.bbox.forEach((value, j) => shp.setFloat64(offset + 4 + j * 8, value, true));
+        shp.setInt32(offset + 36, shape.parts.length, true);
+        shp.setInt32(offset + 40, shape.points.length, true);
+        offset += 44;
+
+        let start = 0;
+        shape.parts.forEach(part => {
+            shp.setInt32(offset, start, true);
+            start += part.length;
+            offset += 4;
+        });
+        shape.points.forEach(point => {
+            shp.setFloat64(offset, point[0], true);
+            shp.setFloat64(offset + 8, point[1], true);
+            offset += 16;
+        });
+    });
+
+    return { shp: new Uint8Array(shp.buffer), shx: new Uint8Array(shx.buffer) };
+}
+
+/**
+ * Packs the project lines as a zipped PolyLine Shapefile (.shp, .shx, .dbf, .prj, .cpg)
+ * The zip is written with the CFB module bundled in SheetJS (vendor/xlsx)
+ * @param {Array<Object>} features - Result of getExportProjectFeatures()
+ * @param {string} baseName - File name of the Shapefile parts inside the zip
+ * @returns {Uint8Array} Zip file
+ */
+function buildProjectShapefileZip(features, baseName) {
+    const encoder = new TextEncoder();
+    const { shp, shx } = buildShpAndShx(features.map(feature => feature.geometry));
+
+    const zip = XLSX.CFB.utils.cfb_new();
+    XLSX.CFB.utils.cfb_add(zip, `${baseName}.shp`, shp);
+    XLSX.CFB.utils.cfb_add(zip, `${baseName}.shx`, shx);
+    XLSX.CFB.utils.cfb_add(zip, `${baseName}.dbf`, buildDbf(features.map(feature => feature.attributes)));
+    XLSX.CFB.utils.cfb_add(zip, `${baseName}.prj`, encoder.encode(WGS84_PRJ));
+    XLSX.CFB.utils.cfb_add(zip, `${baseName}.cpg`, encoder.encode('UTF-8'));
+
+    return new Uint8Array(XLSX.CFB.write(zip, { fileType: 'zip', type: 'array', compression: true }));
+}
+
+/**
+ * Exports the filtered awarded and current project lines with readable attribute names
+ * Follows the same filters as the charts and table, including the map extent and drawn area
+ * @param {string} format - 'geojson', 'kml' or 'shapefile'
+ */
+function exportProjectGeometries(format) {
+    const features = getExportProjectFeatures();
+    if (features.length === 0) {
+        alert('There are no project lines on the map for the current filters.');
+        return;
+    }
+
+    console.log(`Exporting ${features.length} project lines as ${format}`);
+
+    const baseName = 'ky-highway-projects';
+    if (format === 'geojson') {
+        const collection = {
+            type: 'FeatureCollection',
+            features: features.map(({ geometry, attributes }) => ({
+                type: 'Feature',
+                properties: attributes,
+                geometry: geometry
+            }))
+        };
+        downloadTextFile(JSON.stringify(collection), 'application/geo+json', `${baseName}.geojson`);
+    } else if (format === 'kml') {
+        downloadTextFile(buildProjectKML(features), 'application/vnd.google-earth.kml+xml', `${baseName}.kml`);
+    } else {
+        if (typeof XLSX === 'undefined' || !XLSX.CFB) {
+            alert('Shapefile export needs the SheetJS library, which did not load.');
+            return;
+        }
+        downloadTextFile(buildProjectShapefileZip(features, baseName), 'application/zip', `${baseName}-shapefile.zip`);
     }
-}
\ No newline at end of file
+}
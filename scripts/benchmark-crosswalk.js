@@ -0,0 +1,169 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Crosswalk Filter Benchmark
+   =====================================================
+
+   Compares the two ways the project type filter has tested map features:
+   1. Per-feature query - one prepared `SELECT dropdown_category FROM crosswalk`
+      statement per feature each time a project type is chosen (the old
+      checkProjectTypeMatch)
+   2. Precomputed lookup - the crosswalk read once into a map, every feature
+      annotated with its category, and filtering reduced to a property
+      comparison (buildCrosswalkLookup / annotateProjectCategory in js/script.js)
+
+   Every crosswalk category is selected in turn against the full awarded and
+   current plan layers, and the median of several runs is reported.
+   The old function's per-feature console.log is left out, so the per-feature
+   numbers are a lower bound for what the browser paid.
+
+   Usage:
+     npm install
+     npm run benchmark:crosswalk
+   ===================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const initSqlJs = require('sql.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DATABASE_FILE = path.join(ROOT_DIR, 'data', 'HighwayPlan_data.db');
+
+// Plan layers the dashboard filters (same files as EXTRACT_DATE_FILES in js/provenance.js)
+const LAYER_FILES = [
+    'data/Awarded_Highway_Plans.geojson',
+    'data/Current_Highway_Plans.geojson'
+];
+
+const TYPE_WORK_PROPERTY = 'KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.SYP_RPT_TYPEWORK';
+
+// Runs per measurement; the median is reported
+const RUNS = 5;
+
+/**
+ * Times a function over several runs
+ * @param {Function} fn - Work to time
+ * @returns {number} Median run time in milliseconds
+ */
+function timeMedian(fn) {
+    const times = [];
+    for (let i = 0; i < RUNS; i++) {
+        const start = performance.now();
+        fn();
+        times.push(performance.now() - start);
+    }
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Loads the plan layers that exist on disk
+ * @returns {Array<Object>} Features of every available layer
+ */
+function loadFeatures() {
+    const features = [];
+    LAYER_FILES.forEach(file => {
+        const filePath = path.join(ROOT_DIR, file);
+        if (!fs.existsSync(filePath)) {
+            console.log(`Skipping ${file} (not found)`);
+            return;
+        }
+        const geojson = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        console.log(`Loaded ${file}: ${geojson.features.length} features`);
+        features.push(...geojson.features);
+    });
+    return features;
+}
+
+// Old checkProjectTypeMatch: one crosswalk query per feature
+function checkProjectTypeMatchPerFeature(database, props, selectedType) {
+    const rawProjectType = props[TYPE_WORK_PROPERTY] || '';
+    if (!rawProjectType) return false;
+
+    const stmt = database.prepare("SELECT dropdown_category FROM crosswalk WHERE raw_project_type = ?");
+    stmt.bind([rawProjectType]);
+
+    let matches = false;
+    if (stmt.step()) {
+        matches = stmt.getAsObject().dropdown_category === selectedType;
+    }
+    stmt.free();
+    return matches;
+}
+
+// New approach: crosswalk read once, features annotated once
+function buildLookupAndAnnotate(database, features) {
+    const lookup = {};
+    const stmt = database.prepare("SELECT raw_project_type, dropdown_category FROM crosswalk");
+    while (stmt.step()) {
+        const row = stmt.getAsObject();
+        lookup[String(row.raw_project_type || '').trim().toUpperCase()] = row.dropdown_category;
+    }
+    stmt.free();
+
+    features.forEach(feature => {
+        const rawProjectType = String(feature.properties[TYPE_WORK_PROPERTY] || '').trim().toUpperCase();
+        feature.projectCategory = lookup[rawProjectType] || null;
+    });
+}
+
+async function main() {
+    const SQL = await initSqlJs();
+    const database = new SQL.Database(fs.readFileSync(DATABASE_FILE));
+
+    const features = loadFeatures();
+    if (features.length === 0) {
+        console.error('No plan layers found - nothing to benchmark');
+        process.exit(1);
+    }
+
+    const categories = database.exec("SELECT DISTINCT dropdown_category FROM crosswalk ORDER BY dropdown_category")[0]
+        .values.map(row => row[0]);
+
+    // Both approaches must select the same features
+    buildLookupAndAnnotate(database, features);
+    categories.forEach(category => {
+        const perFeature = features.filter(feature => checkProjectTypeMatchPerFeature(database, feature.properties, category)).length;
+        const lookup = features.filter(feature => feature.projectCategory === category).length;
+        if (perFeature !== lookup) {
+            throw new Error(`${category}: per-feature query matched ${perFeature} features, lookup matched ${lookup}`);
+        }
+    });
+
+    const perFeatureMs = timeMedian(() => {
+        categories.forEach(category => {
+            features.forEach(feature => checkProjectTypeMatchPerFeature(database, feature.properties, category));
+        });
+    });
+
+    const annotateMs = timeMedian(() => buildLookupAndAnnotate(database, features));
+
+    const lookupMs = timeMedian(() => {
+        categories.forEach(category => {
+            features.forEach(feature => feature.projectCategory === category);
+        });
+    });
+
+    const selections = categories.length;
+    console.log(`\n${features.length} features, ${selections} project type selections, median of ${RUNS} runs\n`);
+    console.table({
+        'Per-feature query': {
+            'one-time (ms)': 0,
+            'all selections (ms)': Number(perFeatureMs.toFixed(2)),
+            'per selection (ms)': Number((perFeatureMs / selections).toFixed(3))
+        },
+        'Precomputed lookup': {
+            'one-time (ms)': Number(annotateMs.toFixed(2)),
+            'all selections (ms)': Number(lookupMs.toFixed(2)),
+            'per selection (ms)': Number((lookupMs / selections).toFixed(3))
+        }
+    });
+    console.log(`The lookup filters ${(perFeatureMs / Math.max(lookupMs, 0.001)).toFixed(0)}x faster per selection, ` +
+        `${(perFeatureMs / Math.max(lookupMs + annotateMs, 0.001)).toFixed(0)}x faster over all selections including the one-time build`);
+
+    database.close();
+}
+
+main().catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+});
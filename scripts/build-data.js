@@ -0,0 +1,327 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Map Layer Build
+   =====================================================
+
+   Builds and validates every GeoJSON layer initializeMap (js/script.js) loads:
+   1. Awarded and current highway plan lines (KYTC ActiveHighwayPlan service)
+   2. Kentucky county boundaries (US Census cartographic boundaries from the
+      us-atlas package, no download needed), saved with a COUNTY name field
+      that matches the county filter
+   3. KYTC district boundaries (kept in the repository, validated only)
+
+   Plan layers are fetched page by page. Every layer is checked (feature
+   count, geometry types, coordinates inside Kentucky, required properties)
+   and only then written over the file in data/, so a failed download never
+   replaces good data. The projects table is refreshed separately by the
+   Update Projects Table button on download.html (see server.js).
+
+   Usage:
+     npm run build:data       (build, validate and save every layer)
+     npm run validate:data    (only validate the files already in data/)
+
+   Exits with status 1 when a layer is missing or invalid.
+   ===================================================== */
+
+const fs = require('fs');
+const path = require('path');
+const topojson = require('topojson-client');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Features requested per page (the KYTC services return at most 1000)
+const PAGE_SIZE = 1000;
+
+// Generous bounding box around Kentucky [west, south, east, north]; coordinates outside it
+// usually mean the service returned a projected coordinate system instead of WGS84
+const KENTUCKY_BOUNDS = [-90.0, 36.3, -81.8, 39.3];
+
+const KENTUCKY_FIPS = '21';
+
+const PLAN_PROPERTY_PREFIX = 'KYTCDynamic_Highways.DBO.TED_CHIPS_ACTIVEPLAN.';
+
+// Plan line properties the dashboard filters, popups and table rows read
+const PLAN_REQUIRED_PROPERTIES = ['DIST_ITEM', 'SYP_PRO_DISTNO', 'COUNTYNAME', 'SYP_RPT_TYPEWORK', 'EXTRACT_DATE']
+    .map(field => PLAN_PROPERTY_PREFIX + field);
+
+const LINE_TYPES = ['LineString', 'MultiLineString'];
+const AREA_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Layers loaded by initializeMap, in load order (keep in step with js/script.js)
+const MAP_LAYERS = [
+    {
+        name: 'KYTC district boundaries',
+        file: 'KYTC_Districts.geojson',
+        url: null,
+        geometryTypes: AREA_TYPES,
+        requiredProperties: ['DISTNBR'],
+        expectedFeatures: 12
+    },
+    {
+        name: 'Kentucky county boundaries',
+        file: 'KY_Counties.geojson',
+        url: null,
+        build: buildCountyLayer,
+        geometryTypes: AREA_TYPES,
+        requiredProperties: ['COUNTY', 'NAME', 'FIPS'],
+        expectedFeatures: 120
+    },
+    {
+        name: 'Awarded projects layer',
+        file: 'Awarded_Highway_Plans.geojson',
+        url: 'https://maps.kytc.ky.gov/arcgis/rest/services/Apps/ActiveHighwayPlan_Ext_Prd/MapServer/0',
+        where: '1=1',
+        outFields: '*',
+        geometryTypes: LINE_TYPES,
+        requiredProperties: PLAN_REQUIRED_PROPERTIES,
+        minFeatures: 1
+    },
+    {
+        name: 'Current projects layer',
+        file: 'Current_Highway_Plans.geojson',
+        url: 'https://maps.kytc.ky.gov/arcgis/rest/services/Apps/ActiveHighwayPlan_Ext_Prd/MapServer/1',
+        where: '1=1',
+        outFields: '*',
+        geometryTypes: LINE_TYPES,
+        requiredProperties: PLAN_REQUIRED_PROPERTIES,
+        minFeatures: 1
+    }
+];
+
+/**
+ * Builds the Kentucky county boundaries from the Census cartographic boundary
+ * counties in us-atlas (counties-10m.json, 2017 edition, WGS84)
+ * @returns {Object} FeatureCollection
+ */
+function buildCountyLayer() {
+    const atlas = JSON.parse(fs.readFileSync(require.resolve('us-atlas/counties-10m.json'), 'utf8'));
+    const counties = topojson.feature(atlas, atlas.objects.counties).features
+        // County FIPS codes start with the state code, 21 for Kentucky
+        .filter(feature => String(feature.id).startsWith(KENTUCKY_FIPS))
+        .sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+    return {
+        type: 'FeatureCollection',
+        features: counties.map(feature => ({
+            type: 'Feature',
+            // The county filter and zoomToCounty look features up by COUNTY (upper case, like COUNTYNAME)
+            properties: {
+                COUNTY: feature.properties.name.toUpperCase(),
+                NAME: feature.properties.name,
+                FIPS: String(feature.id)
+            },
+            geometry: feature.geometry
+        }))
+    };
+}
+
+/**
+ * Downloads every feature of an ArcGIS layer as one GeoJSON FeatureCollection
+ * @param {Object} layer - Entry of MAP_LAYERS
+ * @returns {Promise<Object>} FeatureCollection
+ */
+async function fetchLayer(layer) {
+    const features = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const params = new URLSearchParams({
+            where: layer.where,
+            outFields: layer.outFields,
+            outSR: '4326',
+            resultOffset: String(offset),
+            resultRecordCount: String(PAGE_SIZE),
+            f: 'geojson'
+        });
+        const response = await fetch(`${layer.url}/query?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} from ${layer.url}`);
+        }
+
+        const page = await response.json();
+        if (page.error) {
+            throw new Error(`${layer.url}: ${page.error.message || JSON.stringify(page.error)}`);
+        }
+
+        features.push(...(page.features || []));
+        console.log(`  ${layer.file}: ${features.length} features`);
+
+        // ArcGIS flags pages cut short by its transfer limit
+        const exceeded = page.exceededTransferLimit || (page.properties && page.properties.exceededTransferLimit);
+        if (!exceeded && (page.features || []).length < PAGE_SIZE) break;
+        if ((page.features || []).length === 0) break;
+    }
+
+    return { type: 'FeatureCollection', features: features };
+}
+
+/**
+ * Visits every position of a geometry
+ * @param {Array} coordinates - GeoJSON coordinates
+ * @param {Function} callback - Called with each [lng, lat]
+ */
+function eachPosition(coordinates, callback) {
+    if (typeof coordinates[0] === 'number') {
+        callback(coordinates);
+        return;
+    }
+    coordinates.forEach(item => eachPosition(item, callback));
+}
+
+/**
+ * Checks a layer against what the dashboard expects of it
+ * @param {Object} layer - Entry of MAP_LAYERS
+ * @param {Object} geojson - Parsed layer contents
+ * @returns {Array<string>} Problems found (empty when the layer is valid)
+ */
+function validateLayer(layer, geojson) {
+    const problems = [];
+
+    if (!geojson || geojson.type !== 'FeatureCollection' || !Array.isArray(geojson.features)) {
+        return ['not a GeoJSON FeatureCollection'];
+    }
+
+    const count = geojson.features.length;
+    if (layer.expectedFeatures && count !== layer.expectedFeatures) {
+        problems.push(`${count} features, expected ${layer.expectedFeatures}`);
+    }
+    if (layer.minFeatures && count < layer.minFeatures) {
+        problems.push(`${count} features, expected at least ${layer.minFeatures}`);
+    }
+
+    const badGeometry = [];
+    const outside = [];
+    const missing = {};
+
+    geojson.features.forEach((feature, i) => {
+        const geometry = feature.geometry;
+        if (!geometry || !layer.geometryTypes.includes(geometry.type) || !Array.isArray(geometry.coordinates) ||
+            geometry.coordinates.length === 0) {
+            badGeometry.push(i);
+        } else {
+            let inside = true;
+            eachPosition(geometry.coordinates, ([lng, lat]) => {
+                if (!(lng >= KENTUCKY_BOUNDS[0] && lng <= KENTUCKY_BOUNDS[2] &&
+                      lat >= KENTUCKY_BOUNDS[1] && lat <= KENTUCKY_BOUNDS[3])) {
+                    inside = false;
+                }
+            });
+            if (!inside) outside.push(i);
+        }
+
+        const props = feature.properties || {};
+        layer.requiredProperties.forEach(property => {
+            if (props[property] === undefined || props[property] === null || props[property] === '') {
+                missing[property] = (missing[property] || 0) + 1;
+            }
+        });
+    });
+
+    if (badGeometry.length > 0) {
+        problems.push(`${badGeometry.length} features without a ${layer.geometryTypes.join(' or ')} geometry (first: #${badGeometry[0]})`);
+    }
+    if (outside.length > 0) {
+        problems.push(`${outside.length} features with coordinates outside Kentucky - is the layer in WGS84? (first: #${outside[0]})`);
+    }
+    Object.keys(missing).forEach(property => {
+        problems.push(`${missing[property]} features missing ${property}`);
+    });
+
+    return problems;
+}
+
+/**
+ * Reads a layer file from data/
+ * @param {Object} layer - Entry of MAP_LAYERS
+ * @returns {Object|null} Parsed GeoJSON, or null when the file doesn't exist
+ */
+function readLayerFile(layer) {
+    const filePath = path.join(DATA_DIR, layer.file);
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Writes a layer through a temporary file so a half-written file never replaces the old one
+ * @param {Object} layer - Entry of MAP_LAYERS
+ * @param {Object} geojson - Validated layer contents
+ */
+function writeLayerFile(layer, geojson) {
+    const filePath = path.join(DATA_DIR, layer.file);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(geojson));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Builds or downloads (unless validating only), validates and saves one layer
+ * @param {Object} layer - Entry of MAP_LAYERS
+ * @param {boolean} validateOnly - Only check the file already in data/
+ * @returns {Promise<Object>} { layer, features, status, problems }
+ */
+async function buildLayer(layer, validateOnly) {
+    let geojson = null;
+    let downloaded = false;
+
+    try {
+        if (!validateOnly && layer.build) {
+            console.log(`Building ${layer.name}...`);
+            geojson = layer.build();
+            downloaded = true;
+        } else if (!validateOnly && layer.url) {
+            console.log(`Downloading ${layer.name}...`);
+            geojson = await fetchLayer(layer);
+            downloaded = true;
+        } else {
+            geojson = readLayerFile(layer);
+            if (!geojson) {
+                return { layer, features: 0, status: 'missing', problems: [`data/${layer.file} not found`] };
+            }
+        }
+    } catch (error) {
+        // fetch() puts the network error (DNS, refused connection...) in error.cause
+        const cause = error.cause ? ` (${error.cause.code || error.cause.message})` : '';
+        return { layer, features: 0, status: 'failed', problems: [error.message + cause] };
+    }
+
+    const problems = validateLayer(layer, geojson);
+    const features = Array.isArray(geojson.features) ? geojson.features.length : 0;
+    if (problems.length > 0) {
+        return { layer, features, status: downloaded ? `invalid ${layer.build ? 'build' : 'download'} (not saved)` : 'invalid', problems };
+    }
+
+    if (downloaded) {
+        writeLayerFile(layer, geojson);
+    }
+    return { layer, features, status: downloaded ? (layer.build ? 'built' : 'downloaded') : 'ok', problems };
+}
+
+async function main() {
+    const validateOnly = process.argv.includes('--validate');
+
+    const results = [];
+    for (const layer of MAP_LAYERS) {
+        results.push(await buildLayer(layer, validateOnly));
+    }
+
+    console.log('');
+    console.table(results.reduce((table, result) => {
+        table[`data/${result.layer.file}`] = { features: result.features, status: result.status };
+        return table;
+    }, {}));
+
+    const failed = results.filter(result => result.problems.length > 0);
+    failed.forEach(result => {
+        console.error(`\n${result.layer.name} (data/${result.layer.file}):`);
+        result.problems.forEach(problem => console.error(`  - ${problem}`));
+    });
+
+    if (failed.length > 0) {
+        console.error(`\n${failed.length} of ${results.length} map layers are missing or invalid`);
+        process.exit(1);
+    }
+    console.log(`\nAll ${results.length} map layers are valid`);
+}
+
+main().catch(error => {
+    console.error('Map layer build failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,535 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Local Server
+   =====================================================
+
+   Small Node.js server used when working on the dashboard locally.
+
+   Main components:
+   1. Static file serving for the dashboard pages, scripts, styles and data
+   2. POST /api/update-projects - rebuilds the projects table in
+      data/HighwayPlan_data.db from data/Current_Enact_Plan_Data_Set.csv
+      and stores a dated snapshot of the projects in data/snapshots/
+   3. POST /api/crosswalk - adds or updates project type crosswalk entries
+      (used by the crosswalk section of download.html)
+
+   Usage:
+     npm install
+     npm start            (then open http://localhost:3000)
+
+   Dependencies:
+   - SQL.js for SQLite database operations (same library the dashboard uses)
+   ===================================================== */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+/* =====================================================
+   1. SERVER CONFIGURATION
+   ===================================================== */
+const PORT = process.env.PORT || 3000;
+const ROOT_DIR = __dirname;
+const DATA_DIR = path.join(ROOT_DIR, 'data');
+const DATABASE_FILE = path.join(DATA_DIR, 'HighwayPlan_data.db');
+const ENACT_CSV_FILE = path.join(DATA_DIR, 'Current_Enact_Plan_Data_Set.csv');
+const SNAPSHOT_DIR = path.join(DATA_DIR, 'snapshots');
+const SNAPSHOT_INDEX_FILE = path.join(SNAPSHOT_DIR, 'index.json');
+
+// Columns of the projects table, in the same order as the enact plan CSV
+const PROJECT_COLUMNS = [
+    'DISTRICT', 'COUNTY', 'SYP_NO', 'ROUTE_PREFIX', 'ROUTE_NO', 'ROUTE', 'TYPE_WORK',
+    'BMP', 'EMP', 'DESCRIPTION', 'BRIDGE_ID', 'ENACT_INITIAL_YEAR', 'ENACT_YEAR',
+    'ENACT_PHASE', 'FUND_CODE', 'RSY_FUND', 'RSY_YEAR', 'LATEST_LETTING_DATE',
+    'AWARDED', 'NUMBER_OF_LETTINGS'
+];
+
+// Pages and directories the dashboard loads; nothing else under ROOT_DIR is served
+// (server.js, scripts/, node_modules/, package.json, References/, .git)
+const PUBLIC_FILES = ['index.html', 'help.html', 'about.html', 'disclaimer.html', 'download.html', 'sw.js'];
+const PUBLIC_DIRECTORIES = ['css', 'js', 'vendor', 'images', 'data'];
+
+// Content types for the static files served by the dashboard
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.geojson': 'application/geo+json',
+    '.csv': 'text/csv; charset=utf-8',
+    '.db': 'application/octet-stream',
+    '.wasm': 'application/wasm',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.pdf': 'application/pdf'
+};
+
+/* =====================================================
+   2. DATABASE SCHEMA (INDEXES AND VIEWS)
+   ===================================================== */
+// Defined in js/schema.js, which the dashboard also loads
+const { PROJECT_INDEXES, PROJECT_VIEWS, applyProjectViews } = require('./js/schema');
+
+/* =====================================================
+   3. CSV PARSING
+   ===================================================== */
+/**
+ * Parses CSV text into an array of rows (arrays of strings)
+ * Handles quoted fields containing commas, quotes and line breaks
+ * @param {string} text - Raw CSV file contents
+ * @returns {Array<Array<string>>} Parsed rows, including the header row
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark if the file has one
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+    }
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';  // Escaped quote inside a quoted field
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as a single line break
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without a trailing newline
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => !(r.length === 1 && r[0] === ''));
+}
+
+/* =====================================================
+   4. PROJECTS TABLE UPDATE
+   ===================================================== */
+// SQL.js is initialized once and reused for every request
+let sqlPromise = null;
+
+function getSqlJs() {
+    if (!sqlPromise) {
+        sqlPromise = initSqlJs();
+    }
+    return sqlPromise;
+}
+
+/**
+ * Builds a snapshot of the projects table keyed by SYP_NO
+ * Each project keeps its location, description, awarded flag and the
+ * year and funding of each phase, which is what the dashboard diff compares
+ * @param {Object} database - SQL.js database
+ * @returns {Object} Snapshot, e.g. { "08-04325.00": { county, ..., phases: { C: { year, fund, fundCode } } } }
+ */
+function buildProjectSnapshot(database) {
+    const snapshot = {};
+    const stmt = database.prepare(`
+        SELECT SYP_NO, DISTRICT, COUNTY, ROUTE, TYPE_WORK, DESCRIPTION, AWARDED,
+            ENACT_PHASE, RSY_YEAR, RSY_FUND, FUND_CODE
+        FROM projects
+        ORDER BY SYP_NO, ENACT_PHASE
+    `);
+
+    while (stmt.step()) {
+        const row = stmt.getAsObject();
+        if (!row.SYP_NO) continue;
+
+        const project = snapshot[row.SYP_NO] || (snapshot[row.SYP_NO] = {
+            district: row.DISTRICT,
+            county: row.COUNTY,
+            route: row.ROUTE,
+            typeWork: row.TYPE_WORK,
+            description: row.DESCRIPTION,
+            awarded: false,
+            phases: {}
+        });
+
+        project.awarded = project.awarded || row.AWARDED === 'Awarded';
+        project.phases[row.ENACT_PHASE || '?'] = {
+            year: row.RSY_YEAR,
+            fund: Number(row.RSY_FUND) || 0,
+            fundCode: row.FUND_CODE
+        };
+    }
+    stmt.free();
+
+    return snapshot;
+}
+
+/**
+ * Reads the list of saved snapshots from data/snapshots/index.json
+ * @returns {Array<Object>} Snapshots as { takenAt, file, projects }, oldest first
+ */
+function readSnapshotIndex() {
+    if (!fs.existsSync(SNAPSHOT_INDEX_FILE)) return [];
+    return JSON.parse(fs.readFileSync(SNAPSHOT_INDEX_FILE, 'utf8')).snapshots || [];
+}
+
+/**
+ * Saves project snapshots as data/snapshots/<date>.json and lists them in index.json
+ * Snapshots live outside HighwayPlan_data.db because the dashboard downloads the
+ * whole database; only the Changes view fetches snapshot files, two at a time
+ * @param {Array<Object>} snapshots - Snapshots as { takenAt, projects }
+ */
+function saveProjectSnapshots(snapshots) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+
+    const index = readSnapshotIndex();
+    snapshots.forEach(({ takenAt, projects }) => {
+        // Colons aren't allowed in Windows file names
+        const file = `${takenAt.replace(/[:.]/g, '-')}.json`;
+        fs.writeFileSync(path.join(SNAPSHOT_DIR, file), JSON.stringify(projects));
+
+        const entry = { takenAt: takenAt, file: file, projects: Object.keys(projects).length };
+        const existing = index.findIndex(item => item.takenAt === takenAt);
+        if (existing >= 0) {
+            index[existing] = entry;
+        } else {
+            index.push(entry);
+        }
+    });
+
+    // The index is written last, so it never lists a file that wasn't saved
+    index.sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    fs.writeFileSync(SNAPSHOT_INDEX_FILE, JSON.stringify({ snapshots: index }, null, 2));
+}
+
+/**
+ * Snapshots the data that is about to be replaced if nothing has been snapshotted yet,
+ * so the very first refresh can already be compared with what it replaced
+ * @param {Object} database - SQL.js database
+ * @returns {Object|null} Snapshot as { takenAt, projects }, or null when not needed
+ */
+function snapshotPreviousProjects(database) {
+    const tableResult = database.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'projects'");
+    if (tableResult.length === 0 || readSnapshotIndex().length > 0) return null;
+
+    const lastUpdateResult = database.exec("SELECT value FROM metadata WHERE key = 'last_update'");
+    const previousUpdate = lastUpdateResult.length ? lastUpdateResult[0].values[0][0] : 'previous';
+    return { takenAt: previousUpdate, projects: buildProjectSnapshot(database) };
+}
+
+/**
+ * Rebuilds the projects table from the enact plan CSV
+ * Replaces all rows, recreates the indexes and views, records the refresh in the
+ * metadata table, writes the database back to disk and saves a snapshot of the new data
+ * @returns {Promise<Object>} Summary of the update ({ rowCount, lastUpdate })
+ */
+async function updateProjectsTable() {
+    const SQL = await getSqlJs();
+
+    const rows = parseCSV(fs.readFileSync(ENACT_CSV_FILE, 'utf8'));
+    if (rows.length < 2) {
+        throw new Error('Current_Enact_Plan_Data_Set.csv has no data rows');
+    }
+
+    // Make sure every column the projects table needs is present in the CSV
+    const header = rows[0].map(name => name.trim());
+    const missingColumns = PROJECT_COLUMNS.filter(column => !header.includes(column));
+    if (missingColumns.length > 0) {
+        throw new Error(`CSV is missing columns: ${missingColumns.join(', ')}`);
+    }
+    const columnIndexes = PROJECT_COLUMNS.map(column => header.indexOf(column));
+
+    const database = new SQL.Database(fs.readFileSync(DATABASE_FILE));
+    const lastUpdate = new Date().toISOString();
+    const dataRows = rows.slice(1);
+    const snapshots = [];
+
+    try {
+        database.exec('BEGIN TRANSACTION');
+
+        const previousSnapshot = snapshotPreviousProjects(database);
+        if (previousSnapshot) snapshots.push(previousSnapshot);
+
+        // Views and indexes are dropped before the table so they can be rebuilt cleanly
+        Object.keys(PROJECT_VIEWS).forEach(view => database.exec(`DROP VIEW IF EXISTS ${view}`));
+        Object.keys(PROJECT_INDEXES).forEach(index => database.exec(`DROP INDEX IF EXISTS ${index}`));
+        database.exec('DROP TABLE IF EXISTS projects');
+        database.exec(`CREATE TABLE projects (${PROJECT_COLUMNS.join(', ')})`);
+
+        // Insert every CSV row (values are stored as text, matching the original import)
+        const placeholders = PROJECT_COLUMNS.map(() => '?').join(', ');
+        const insertStmt = database.prepare(`INSERT INTO projects (${PROJECT_COLUMNS.join(', ')}) VALUES (${placeholders})`);
+        dataRows.forEach(row => {
+            insertStmt.run(columnIndexes.map(index => (row[index] !== undefined ? row[index] : '')));
+        });
+        insertStmt.free();
+
+        Object.values(PROJECT_INDEXES).forEach(sql => database.exec(sql));
+        applyProjectViews(database);
+
+        // Record the refresh in the metadata table
+        const metadataStmt = database.prepare(`
+            INSERT INTO metadata (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `);
+        metadataStmt.run(['last_update', lastUpdate]);
+        metadataStmt.run(['total_projects', String(dataRows.length)]);
+        metadataStmt.free();
+
+        snapshots.push({ takenAt: lastUpdate, projects: buildProjectSnapshot(database) });
+
+        database.exec('COMMIT');
+    } catch (error) {
+        database.exec('ROLLBACK');
+        database.close();
+        throw error;
+    }
+
+    writeDatabase(database);
+    database.close();
+
+    saveProjectSnapshots(snapshots);
+
+    console.log(`Projects table updated with ${dataRows.length} rows`);
+    return { rowCount: dataRows.length, lastUpdate: lastUpdate };
+}
+
+/**
+ * Writes a database back to data/HighwayPlan_data.db
+ * Writes to a temporary file first so a failed write never leaves a corrupt database
+ * @param {Object} database - SQL.js database
+ */
+function writeDatabase(database) {
+    const tempFile = `${DATABASE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, Buffer.from(database.export()));
+    fs.renameSync(tempFile, DATABASE_FILE);
+}
+
+/* =====================================================
+   5. CROSSWALK UPDATE
+   ===================================================== */
+// Text fields of a crosswalk entry; raw_project_type, dropdown_category and dropdown_display_name are required
+const CROSSWALK_FIELDS = ['raw_project_type', 'dropdown_category', 'dropdown_display_name', 'description'];
+
+/**
+ * Adds or updates crosswalk entries
+ * New entries get count_current_plans from the number of projects with that raw type
+ * @param {Array<Object>} mappings - Entries with the CROSSWALK_FIELDS
+ * @returns {Promise<Object>} Summary of the update ({ saved })
+ */
+async function saveCrosswalkMappings(mappings) {
+    if (!Array.isArray(mappings) || mappings.length === 0) {
+        throw new Error('No crosswalk entries to save');
+    }
+
+    const entries = mappings.map((mapping, index) => {
+        const entry = {};
+        CROSSWALK_FIELDS.forEach(field => {
+            entry[field] = typeof mapping[field] === 'string' ? mapping[field].trim() : '';
+        });
+        const missing = CROSSWALK_FIELDS.filter(field => field !== 'description' && !entry[field]);
+        if (missing.length > 0) {
+            throw new Error(`Entry ${index + 1} is missing ${missing.join(', ')}`);
+        }
+        return entry;
+    });
+
+    const SQL = await getSqlJs();
+    const database = new SQL.Database(fs.readFileSync(DATABASE_FILE));
+
+    try {
+        database.exec('BEGIN TRANSACTION');
+
+        const upsertStmt = database.prepare(`
+            INSERT INTO crosswalk (raw_project_type, dropdown_category, dropdown_display_name, count_current_plans, description)
+            VALUES (?, ?, ?, (SELECT COUNT(DISTINCT SYP_NO) FROM projects WHERE TYPE_WORK = ?), ?)
+            ON CONFLICT(raw_project_type) DO UPDATE SET
+                dropdown_category = excluded.dropdown_category,
+                dropdown_display_name = excluded.dropdown_display_name,
+                description = COALESCE(NULLIF(excluded.description, ''), crosswalk.description)
+        `);
+        entries.forEach(entry => {
+            upsertStmt.run([entry.raw_project_type, entry.dropdown_category, entry.dropdown_display_name,
+                entry.raw_project_type, entry.description]);
+        });
+        upsertStmt.free();
+
+        database.exec('COMMIT');
+    } catch (error) {
+        database.exec('ROLLBACK');
+        database.close();
+        throw error;
+    }
+
+    writeDatabase(database);
+    database.close();
+
+    console.log(`Crosswalk updated with ${entries.length} entries`);
+    return { saved: entries.length };
+}
+
+/* =====================================================
+   6. REQUEST HANDLING
+   ===================================================== */
+// Largest request body accepted by the API (crosswalk edits are small)
+const MAX_REQUEST_BODY = 1024 * 1024;
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Promise<Object>} Parsed body
+ */
+function readJSONBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_REQUEST_BODY) {
+                reject(new Error('Request body is too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(body || '{}'));
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Object to serialize
+ */
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+// API routes, keyed by "METHOD /path"
+const apiRoutes = {
+    'POST /api/update-projects': async (req, res) => {
+        try {
+            const result = await updateProjectsTable();
+            sendJSON(res, 200, { success: true, error: null, ...result });
+        } catch (error) {
+            console.error('Error updating projects table:', error);
+            sendJSON(res, 500, { success: false, error: error.message });
+        }
+    },
+    'POST /api/crosswalk': async (req, res) => {
+        try {
+            const body = await readJSONBody(req);
+            const result = await saveCrosswalkMappings(body.mappings);
+            sendJSON(res, 200, { success: true, error: null, ...result });
+        } catch (error) {
+            console.error('Error updating crosswalk:', error);
+            sendJSON(res, 500, { success: false, error: error.message });
+        }
+    }
+};
+
+/**
+ * Checks whether a resolved path is one of the dashboard's public files
+ * @param {string} filePath - Absolute file path
+ * @returns {boolean} True for PUBLIC_FILES and files inside PUBLIC_DIRECTORIES
+ */
+function isPublicFile(filePath) {
+    // Never serve anything outside the project directory
+    const segments = path.relative(ROOT_DIR, filePath).split(path.sep);
+    if (segments[0] === '..' || path.isAbsolute(segments[0])) return false;
+
+    // Dotfiles such as .DS_Store are skipped inside public directories too
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+
+    return segments.length === 1
+        ? PUBLIC_FILES.includes(segments[0])
+        : PUBLIC_DIRECTORIES.includes(segments[0]);
+}
+
+/**
+ * Serves a static file from the project directory
+ * @param {string} urlPath - Decoded request path
+ * @param {http.ServerResponse} res - Response object
+ */
+function serveStaticFile(urlPath, res) {
+    const relativePath = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+    const filePath = path.resolve(ROOT_DIR, relativePath);
+
+    if (!isPublicFile(filePath)) {
+        res.writeHead(403, { 'Content-Type': 'text/plain' });
+        res.end('Forbidden');
+        return;
+    }
+
+    fs.readFile(filePath, (err, content) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        const contentType = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(content);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, `http://${req.headers.host || 'localhost'}`).pathname);
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+
+    const route = apiRoutes[`${req.method} ${urlPath}`];
+    if (route) {
+        route(req, res);
+    } else if (urlPath.startsWith('/api/')) {
+        sendJSON(res, 404, { success: false, error: `No route for ${req.method} ${urlPath}` });
+    } else if (req.method === 'GET' || req.method === 'HEAD') {
+        serveStaticFile(urlPath, res);
+    } else {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        res.end('Method not allowed');
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`KY Highway Projects Dashboard running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, parseCSV, updateProjectsTable, saveCrosswalkMappings };
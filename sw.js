@@ -0,0 +1,196 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Service Worker
+   =====================================================
+
+   Keeps the dashboard usable without a network connection.
+
+   Caches:
+   1. App shell (pages, styles, scripts, vendored libraries, icons) -
+      precached on install, served from cache and refreshed in the background.
+      Other same-origin requests, such as /api, are never cached
+   2. Plan data (HighwayPlan_data.db and the GeoJSON layers) - network first
+      so the newest data is used when online, cached copy when offline
+   3. Basemap tiles - saved by the "Save map area" button in the dashboard
+      and served from the cache before going to the tile server
+
+   The cache names and CACHED_AT_HEADER are also used by js/script.js
+   (section 12) to show what is cached and how old it is.
+   ===================================================== */
+
+// Bump when the app shell changes so clients drop the old copy
+const CACHE_VERSION = 'v4';
+
+const SHELL_CACHE = `ky-highway-shell-${CACHE_VERSION}`;
+const DATA_CACHE = 'ky-highway-data';
+const TILE_CACHE = 'ky-highway-tiles';
+
+// Header added to cached data responses with the time they were stored
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+// Files needed to open the dashboard offline
+const APP_SHELL_FILES = [
+    './',
+    'index.html',
+    'help.html',
+    'about.html',
+    'disclaimer.html',
+    'download.html',
+    'css/style.css',
+    'css/auxillary.css',
+    'js/script.js',
+    'js/provenance.js',
+    'js/schema.js',
+    'js/about.js',
+    'js/download.js',
+    'js/crosswalk.js',
+    'vendor/leaflet/leaflet.css',
+    'vendor/leaflet/leaflet.js',
+    'vendor/leaflet/images/layers.png',
+    'vendor/leaflet/images/layers-2x.png',
+    'vendor/leaflet/images/marker-icon.png',
+    'vendor/leaflet/images/marker-icon-2x.png',
+    'vendor/leaflet/images/marker-shadow.png',
+    'vendor/leaflet.markercluster/leaflet.markercluster.js',
+    'vendor/leaflet.markercluster/MarkerCluster.css',
+    'vendor/bootstrap/bootstrap.min.css',
+    'vendor/chart.js/chart.umd.min.js',
+    'vendor/tabulator/tabulator.min.css',
+    'vendor/tabulator/tabulator.min.js',
+    'vendor/sql.js/sql-wasm.js',
+    'vendor/sql.js/sql-wasm.wasm',
+    'vendor/xlsx/xlsx.full.min.js',
+    'images/basemap-icon.png',
+    'images/county-icon.png',
+    'images/districts-icon.png',
+    'images/kytc_logo.png',
+    'images/road-icon.png'
+];
+
+// Hosts of the basemaps defined in js/script.js
+const TILE_HOSTS = [
+    'tile.openstreetmap.org',
+    'server.arcgisonline.com',
+    'basemap.nationalmap.gov',
+    'tile.opentopomap.org'
+];
+
+/**
+ * Normalizes a tile URL so the a/b/c subdomains of a tile server share one cache entry
+ * @param {string} url - Tile URL
+ * @returns {string} URL with the subdomain replaced by "a"
+ */
+function normalizeTileUrl(url) {
+    return url.replace(/^(https?:\/\/)[abc]\.tile\./, '$1a.tile.');
+}
+
+/**
+ * Checks whether a same-origin request is for an app shell or vendored file
+ * Anything else (such as the local server's /api routes) is left to the network
+ * @param {URL} url - Request URL
+ * @returns {boolean} True when the response belongs in the shell cache
+ */
+function isAppShellRequest(url) {
+    const scopePath = new URL(self.registration.scope).pathname;
+    if (!url.pathname.startsWith(scopePath)) return false;
+
+    const relativePath = url.pathname.slice(scopePath.length) || './';
+    return APP_SHELL_FILES.includes(relativePath) || relativePath.startsWith('vendor/');
+}
+
+/**
+ * Copies a response, adding the time it was cached
+ * @param {Response} response - Network response
+ * @returns {Promise<Response>} Response with CACHED_AT_HEADER set
+ */
+async function stampResponse(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+    });
+}
+
+// Install - precache the app shell
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Activate - remove app shells from older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('ky-highway-shell-') && name !== SHELL_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Basemap tiles - cache first, network otherwise (tiles are only stored by "Save map area")
+    if (TILE_HOSTS.some(host => url.hostname.endsWith(host))) {
+        event.respondWith(
+            caches.open(TILE_CACHE)
+                .then(cache => cache.match(normalizeTileUrl(request.url)))
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Everything else cached lives on this origin (KYTC API calls go straight to the network)
+    if (url.origin !== self.location.origin) return;
+
+    // Plan data - network first, cached copy when offline
+    if (url.pathname.includes('/data/')) {
+        event.respondWith(
+            fetch(request)
+                .then(async response => {
+                    if (response.ok) {
+                        const cache = await caches.open(DATA_CACHE);
+                        await cache.put(request, await stampResponse(response.clone()));
+                    }
+                    return response;
+                })
+                .catch(() => caches.open(DATA_CACHE)
+                    .then(cache => cache.match(request))
+                    .then(cached => cached || Promise.reject(new Error(`${url.pathname} is not cached for offline use`))))
+        );
+        return;
+    }
+
+    // Only the app shell is cached; other requests go straight to the network
+    if (!isAppShellRequest(url)) return;
+
+    // App shell - cached copy right away, refreshed from the network in the background
+    event.respondWith(
+        caches.open(SHELL_CACHE).then(cache =>
+            cache.match(request, { ignoreSearch: true }).then(cached => {
+                const network = fetch(request)
+                    .then(response => {
+                        if (response.ok) {
+                            cache.put(request, response.clone());
+                        }
+                        return response;
+                    });
+
+                if (cached) {
+                    // Keep the worker alive until the background refresh finishes
+                    event.waitUntil(network.catch(() => null));
+                    return cached;
+                }
+                return network;
+            })
+        )
+    );
+});
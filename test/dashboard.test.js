@@ -0,0 +1,164 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Dashboard Tests
+   =====================================================
+
+   Loads js/schema.js and js/script.js into a Node vm context (Leaflet and
+   the DOM are stubbed; nothing is rendered) and checks:
+   1. queryProjectTable - header filters and sorters only reach the SQL
+      for Basic_Project_Info columns and known filter types
+   2. diffProjectSnapshots - added, removed and re-scheduled projects
+
+   Usage:
+     npm test
+   ===================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const initSqlJs = require('sql.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Columns of the projects table that the views read
+const PROJECT_COLUMNS = [
+    'DISTRICT', 'COUNTY', 'SYP_NO', 'ROUTE', 'TYPE_WORK', 'BMP', 'EMP', 'DESCRIPTION',
+    'BRIDGE_ID', 'ENACT_PHASE', 'FUND_CODE', 'RSY_FUND', 'RSY_YEAR', 'AWARDED'
+];
+
+const PROJECT_ROWS = [
+    { DISTRICT: '1', COUNTY: 'Fulton', SYP_NO: '01-00001.00', ROUTE: 'KY-94', DESCRIPTION: 'RESURFACE KY 94', ENACT_PHASE: 'C', RSY_FUND: '500', RSY_YEAR: '2025', AWARDED: 'Awarded' },
+    { DISTRICT: '1', COUNTY: 'Graves', SYP_NO: '01-00002.00', ROUTE: 'US-45', DESCRIPTION: 'REPLACE 50% OF GUARDRAIL', ENACT_PHASE: 'D', RSY_FUND: '200', RSY_YEAR: '2026', AWARDED: '' },
+    { DISTRICT: '7', COUNTY: 'fayette', SYP_NO: '07-00003.00', ROUTE: 'US-60', DESCRIPTION: 'WIDEN US 60', ENACT_PHASE: 'R', RSY_FUND: '300', RSY_YEAR: '2027', AWARDED: '' }
+];
+
+/**
+ * Builds a stub that accepts any property access, call or construction (stands in for Leaflet)
+ * @returns {Proxy} Stub
+ */
+function createStub() {
+    const stub = new Proxy(function () {}, {
+        get: (target, key) => (key === Symbol.toPrimitive ? undefined : stub),
+        apply: () => stub,
+        construct: () => stub
+    });
+    return stub;
+}
+
+/**
+ * Loads the dashboard scripts into a vm context with a small projects table
+ * @returns {Promise<Object>} vm context holding the dashboard's globals
+ */
+async function loadDashboard() {
+    const SQL = await initSqlJs();
+    const database = new SQL.Database();
+    database.run(`CREATE TABLE projects (${PROJECT_COLUMNS.join(', ')})`);
+    const insert = database.prepare(`INSERT INTO projects VALUES (${PROJECT_COLUMNS.map(() => '?').join(', ')})`);
+    PROJECT_ROWS.forEach(row => insert.run(PROJECT_COLUMNS.map(column => row[column] || '')));
+    insert.free();
+
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error: console.error },
+        L: createStub(),
+        document: { addEventListener() {}, getElementById: () => null, querySelector: () => null },
+        localStorage: { getItem: () => null, setItem() {}, removeItem() {} },
+        setTimeout,
+        clearTimeout,
+        performance
+    });
+    context.window = context;
+
+    ['js/schema.js', 'js/script.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT_DIR, file), 'utf8'), context, { filename: file });
+    });
+
+    context.testDatabase = database;
+    vm.runInContext('database = testDatabase; applyProjectViews(database);', context);
+    return context;
+}
+
+test('queryProjectTable', async (t) => {
+    const dashboard = await loadDashboard();
+    // Rows are copied into an array of this realm so deepStrictEqual can compare them
+    const query = request => {
+        const result = dashboard.queryProjectTable({ offset: 0, limit: 25, ...request });
+        return { ...result, rows: Array.from(result.rows) };
+    };
+
+    await t.test('applies like and = header filters', () => {
+        const result = query({ filters: [{ field: 'DISTRICT', type: '=', value: '1' }, { field: 'ROUTE', type: 'like', value: 'us' }] });
+        assert.deepStrictEqual(result.rows.map(row => row.SYP_NO), ['01-00002.00']);
+        assert.strictEqual(result.count, 1);
+        assert.strictEqual(result.fundTotal, 200);
+    });
+
+    await t.test('treats LIKE wildcards in a filter value as text', () => {
+        const result = query({ filters: [{ field: 'DESCRIPTION', type: 'like', value: '50%' }] });
+        assert.deepStrictEqual(result.rows.map(row => row.SYP_NO), ['01-00002.00']);
+    });
+
+    await t.test('ignores filters on unknown columns and unknown filter types', () => {
+        const result = query({
+            filters: [
+                { field: 'SYP_NO = SYP_NO; DROP TABLE projects; --', type: '=', value: 'x' },
+                { field: 'COUNTY', type: 'regex', value: '^F' }
+            ]
+        });
+        assert.strictEqual(result.count, PROJECT_ROWS.length);
+        assert.strictEqual(dashboard.testDatabase.exec('SELECT COUNT(*) FROM projects')[0].values[0][0], PROJECT_ROWS.length);
+    });
+
+    await t.test('sorts by known columns without regard to case, primary sorter last', () => {
+        const result = query({ sorters: [{ field: 'SYP_NO', dir: 'asc' }, { field: 'COUNTY', dir: 'desc' }] });
+        assert.deepStrictEqual(result.rows.map(row => row.COUNTY), ['Graves', 'Fulton', 'fayette']);
+    });
+
+    await t.test('ignores sorters on unknown columns', () => {
+        const result = query({ sorters: [{ field: 'RSY_YEAR', dir: 'desc' }, { field: 'NOT_A_COLUMN', dir: 'asc' }] });
+        assert.deepStrictEqual(result.rows.map(row => row.RSY_YEAR), ['2027', '2026', '2025']);
+    });
+
+    await t.test('pages with limit and offset', () => {
+        const result = query({ sorters: [{ field: 'SYP_NO', dir: 'asc' }], offset: 1, limit: 1 });
+        assert.deepStrictEqual(result.rows.map(row => row.SYP_NO), ['01-00002.00']);
+        assert.strictEqual(result.count, PROJECT_ROWS.length);
+    });
+});
+
+test('diffProjectSnapshots', async (t) => {
+    const dashboard = await loadDashboard();
+    const project = (phases, awarded = false) => ({ county: 'Fulton', description: 'RESURFACE KY 94', awarded, phases });
+
+    const before = {
+        '01-00001.00': project({ D: { year: '2025', fund: 100 }, C: { year: '2026', fund: 900 } }),
+        '01-00002.00': project({ C: { year: '2025', fund: 400 } }),
+        '01-00003.00': project({ C: { year: '2025', fund: 250 } })
+    };
+    const after = {
+        '01-00001.00': project({ D: { year: '2025', fund: 100 }, C: { year: '2027', fund: 900 } }),
+        '01-00002.00': project({ C: { year: '2025', fund: 400 } }),
+        '01-00004.00': project({ P: { year: '2028', fund: 50 } })
+    };
+    const changes = Array.from(dashboard.diffProjectSnapshots(before, after));
+    const byType = type => changes.filter(change => change.Change === type).map(change => change.SYP_NO);
+
+    await t.test('lists added projects', () => {
+        assert.deepStrictEqual(byType('Added'), ['01-00004.00']);
+    });
+
+    await t.test('lists removed projects', () => {
+        assert.deepStrictEqual(byType('Removed'), ['01-00003.00']);
+    });
+
+    await t.test('lists re-scheduled phases with their old and new years', () => {
+        assert.deepStrictEqual(byType('Rescheduled'), ['01-00001.00']);
+        const rescheduled = changes.find(change => change.Change === 'Rescheduled');
+        assert.match(rescheduled.Details, /2026 → 2027/);
+    });
+
+    await t.test('leaves unchanged projects out', () => {
+        assert.ok(!changes.some(change => change.SYP_NO === '01-00002.00'));
+        assert.strictEqual(changes.length, 3);
+    });
+});
@@ -0,0 +1,42 @@
+/* =====================================================
+   KY Highway Projects Dashboard - Server Tests
+   =====================================================
+
+   CSV parsing used by POST /api/update-projects.
+
+   Usage:
+     npm test
+   ===================================================== */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCSV } = require('../server');
+
+test('parseCSV splits rows and fields', () => {
+    assert.deepStrictEqual(parseCSV('DISTRICT,COUNTY\n1,Fulton\r\n2,Graves\n'), [
+        ['DISTRICT', 'COUNTY'],
+        ['1', 'Fulton'],
+        ['2', 'Graves']
+    ]);
+});
+
+test('parseCSV keeps commas and line breaks inside quoted fields', () => {
+    assert.deepStrictEqual(parseCSV('SYP_NO,DESCRIPTION\n01-00123.00,"RESURFACE, KY 94\nFROM MP 1 TO 4"\n'), [
+        ['SYP_NO', 'DESCRIPTION'],
+        ['01-00123.00', 'RESURFACE, KY 94\nFROM MP 1 TO 4']
+    ]);
+});
+
+test('parseCSV unescapes doubled quotes', () => {
+    assert.deepStrictEqual(parseCSV('DESCRIPTION,ROUTE\n"REPLACE ""OLD"" BRIDGE","US-60"\n'), [
+        ['DESCRIPTION', 'ROUTE'],
+        ['REPLACE "OLD" BRIDGE', 'US-60']
+    ]);
+});
+
+test('parseCSV keeps empty fields and strips a byte order mark', () => {
+    assert.deepStrictEqual(parseCSV('\uFEFFA,B,C\n,"",x\n'), [
+        ['A', 'B', 'C'],
+        ['', '', 'x']
+    ]);
+});